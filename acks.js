@@ -0,0 +1,345 @@
+/**
+ * Acks - Acknowledged, At-Least-Once Delivery
+ *
+ * By default delivery is fire-and-forget: once a subscriber's receive() has
+ * been called, the broker forgets the message. A subscription can opt in to
+ * acknowledgements instead (subscribe option { ack: true } or { ack: settings }):
+ *
+ * - Every delivery gets a deliveryId and an attempt number in its envelope,
+ *   and the subscriber must ack or nack it (Subscriber.ack / Subscriber.nack)
+ * - A message that is nacked, dropped from the delivery queue, whose
+ *   processing throws, or that is not acked within timeoutMs after it was
+ *   handed to the subscriber is redelivered after a backoff that doubles with
+ *   every attempt (backoffMs, 2 * backoffMs, ... up to maxBackoffMs)
+ * - After maxAttempts attempts the message moves to the subscription's
+ *   dead-letter queue, where it can be inspected, replayed or discarded
+ * - A message that the "conflate" overflow policy replaces with a newer one
+ *   of the same topic is released instead, since the newer one supersedes it
+ *
+ * Redelivered messages carry "redelivered: true" in their envelope, so
+ * consumers that write to storage can make their processing idempotent.
+ */
+
+export const DEFAULT_ACK_SETTINGS = {
+    timeoutMs: 5000, // Time to ack a message after it was handed to the subscriber
+    maxAttempts: 5, // Deliveries before a message is dead-lettered
+    backoffMs: 1000, // Delay before the first redelivery
+    maxBackoffMs: 30000 // Upper bound of the doubling redelivery delay
+};
+
+// Dead letters kept per subscription; older ones are discarded first
+export const MAX_DEAD_LETTERS = 100;
+
+/**
+ * Resolve the ack subscription option into complete settings
+ * @param {boolean|Object} option - true for the defaults, or settings to override
+ * @returns {Object} Settings { timeoutMs, maxAttempts, backoffMs, maxBackoffMs }
+ * @throws {Error} If a setting is invalid
+ */
+export function resolveAckSettings(option) {
+    const settings = { ...DEFAULT_ACK_SETTINGS, ...(option === true ? {} : option) };
+    ['timeoutMs', 'backoffMs', 'maxBackoffMs'].forEach(name => {
+        if (!(settings[name] > 0)) {
+            throw new Error(`Invalid ack setting ${name}: ${settings[name]}`);
+        }
+    });
+    if (!Number.isInteger(settings.maxAttempts) || settings.maxAttempts < 1) {
+        throw new Error(`Invalid ack setting maxAttempts: ${settings.maxAttempts}`);
+    }
+    return settings;
+}
+
+/**
+ * AckTracker - Pending acknowledgements, redelivery timers and dead-letter queues
+ */
+export class AckTracker {
+    /**
+     * Constructor - Create a tracker with nothing pending
+     *
+     * @param {Clock} clock - Source of the ack timeouts and backoff timers
+     * @param {Object} hooks - Callbacks provided by the broker
+     * @param {Function} hooks.redeliver - Called with (subscriber, topic, message, envelope) to deliver again
+     * @param {Function} hooks.onDeadLetter - Called with the dead letter and its subscriber when attempts run out
+     */
+    constructor(clock, { redeliver, onDeadLetter }) {
+        this.clock = clock;
+        this.redeliver = redeliver;
+        this.onDeadLetter = onDeadLetter;
+        this.pending = new Map(); // Delivery ID -> { subscriber, pattern, settings, topic, message, envelope, attempt, timer }
+        this.deadLetters = new Map(); // Subscriber -> Map of subscription pattern -> dead letters, oldest first
+        this.nextDeliveryId = 1;
+        this.redeliveredCount = new Map(); // Subscriber -> redeliveries so far
+    }
+
+    /**
+     * Start tracking a first delivery
+     * @param {Subscriber} subscriber - The receiving subscriber
+     * @param {string} pattern - The subscription that requires acks
+     * @param {Object} settings - The subscription's ack settings
+     * @param {string} topic - The concrete topic
+     * @param {Object} message - The message as delivered
+     * @param {Object} envelope - The message envelope (see broker.js)
+     * @param {Object} [extra] - Further envelope fields (e.g., { redelivered: true } for replays)
+     * @returns {Object} The envelope with deliveryId and attempt added
+     */
+    track(subscriber, pattern, settings, topic, message, envelope, extra = {}) {
+        const deliveryId = `dlv-${this.nextDeliveryId++}`;
+        const record = {
+            subscriber,
+            pattern,
+            settings,
+            topic,
+            message,
+            envelope: { ...envelope, ...extra, deliveryId, attempt: 1 },
+            attempt: 1,
+            timer: null
+        };
+        this.pending.set(deliveryId, record);
+        return record.envelope;
+    }
+
+    /**
+     * Start the ack timeout of a delivery handed to its subscriber
+     * @param {string} deliveryId - The delivery
+     */
+    dispatched(deliveryId) {
+        const record = this.pending.get(deliveryId);
+        if (!record) {
+            return;
+        }
+        this.clearTimer(record);
+        record.timer = this.clock.setTimeout(() => {
+            record.timer = null;
+            this.fail(record, `not acknowledged within ${record.settings.timeoutMs} ms`);
+        }, record.settings.timeoutMs);
+    }
+
+    /**
+     * Acknowledge a delivery; it will not be redelivered
+     * @param {Subscriber} subscriber - The subscriber acknowledging
+     * @param {string} deliveryId - The delivery
+     * @returns {boolean} False if the delivery is unknown or already settled
+     */
+    ack(subscriber, deliveryId) {
+        const record = this.pending.get(deliveryId);
+        if (!record || record.subscriber !== subscriber) {
+            return false;
+        }
+        this.clearTimer(record);
+        this.pending.delete(deliveryId);
+        return true;
+    }
+
+    /**
+     * Reject a delivery; it is redelivered or dead-lettered
+     * @param {Subscriber} subscriber - The subscriber rejecting
+     * @param {string} deliveryId - The delivery
+     * @param {string} reason - Why processing failed
+     * @returns {boolean} False if the delivery is unknown or already settled
+     */
+    nack(subscriber, deliveryId, reason) {
+        const record = this.pending.get(deliveryId);
+        if (!record || record.subscriber !== subscriber) {
+            return false;
+        }
+        this.fail(record, reason);
+        return true;
+    }
+
+    /**
+     * Schedule the next attempt, or dead-letter the message after the last one
+     */
+    fail(record, reason) {
+        this.clearTimer(record);
+        const deliveryId = record.envelope.deliveryId;
+        if (record.attempt >= record.settings.maxAttempts) {
+            this.pending.delete(deliveryId);
+            this.addDeadLetter(record, reason);
+            return;
+        }
+        const { backoffMs, maxBackoffMs } = record.settings;
+        const delayMs = Math.min(maxBackoffMs, backoffMs * 2 ** (record.attempt - 1));
+        console.warn(`Delivery ${deliveryId} of ${record.topic} to ${record.subscriber.id} failed (${reason}); ` +
+            `redelivering in ${delayMs} ms`);
+        record.timer = this.clock.setTimeout(() => {
+            record.timer = null;
+            record.attempt++;
+            record.envelope = { ...record.envelope, attempt: record.attempt, redelivered: true };
+            this.redeliveredCount.set(record.subscriber, (this.redeliveredCount.get(record.subscriber) || 0) + 1);
+            this.redeliver(record.subscriber, record.topic, record.message, record.envelope);
+        }, delayMs);
+    }
+
+    /**
+     * Move a message that ran out of attempts to its subscription's dead-letter queue
+     */
+    addDeadLetter(record, reason) {
+        if (!this.deadLetters.has(record.subscriber)) {
+            this.deadLetters.set(record.subscriber, new Map());
+        }
+        const queues = this.deadLetters.get(record.subscriber);
+        const queue = queues.get(record.pattern) || [];
+        const deadLetter = {
+            topic: record.topic,
+            message: record.message,
+            envelope: record.envelope,
+            attempts: record.attempt,
+            reason,
+            deadLetteredAt: this.clock.toISOString()
+        };
+        queue.push(deadLetter);
+        if (queue.length > MAX_DEAD_LETTERS) {
+            queue.shift();
+        }
+        queues.set(record.pattern, queue);
+        console.warn(`Dead-lettered ${record.topic} #${record.envelope.sequence} for ${record.subscriber.id} ` +
+            `after ${record.attempt} attempts: ${reason}`);
+        this.onDeadLetter(record.subscriber, { pattern: record.pattern, ...deadLetter });
+    }
+
+    /**
+     * Cancel a pending ack timeout or redelivery timer
+     */
+    clearTimer(record) {
+        if (record.timer) {
+            this.clock.clearTimeout(record.timer);
+            record.timer = null;
+        }
+    }
+
+    /**
+     * Stop tracking a subscriber's pending deliveries (e.g., after unsubscribing)
+     * Dead letters are kept so they can still be inspected.
+     * @param {Subscriber} subscriber - The subscriber
+     * @param {string} [pattern] - Only deliveries of this subscription (default: all)
+     */
+    cancel(subscriber, pattern = null) {
+        this.pending.forEach((record, deliveryId) => {
+            if (record.subscriber === subscriber && (pattern === null || record.pattern === pattern)) {
+                this.clearTimer(record);
+                this.pending.delete(deliveryId);
+            }
+        });
+    }
+
+    /**
+     * Stop tracking one delivery without redelivering it
+     * Used when a newer message of the same topic supersedes it in the
+     * delivery queue (the "conflate" overflow policy).
+     * @param {string} deliveryId - The delivery
+     */
+    release(deliveryId) {
+        const record = this.pending.get(deliveryId);
+        if (record) {
+            this.clearTimer(record);
+            this.pending.delete(deliveryId);
+        }
+    }
+
+    /**
+     * Forget everything about a subscriber, including its dead letters
+     * @param {Subscriber} subscriber - The subscriber
+     */
+    forget(subscriber) {
+        this.cancel(subscriber);
+        this.deadLetters.delete(subscriber);
+        this.redeliveredCount.delete(subscriber);
+    }
+
+    /**
+     * Get a subscriber's dead letters
+     * @param {Subscriber} subscriber - The subscriber
+     * @param {string} [pattern] - Only this subscription's queue (default: all)
+     * @returns {Array<Object>} Dead letters { pattern, topic, message, envelope, attempts, reason, deadLetteredAt }
+     */
+    getDeadLetters(subscriber, pattern = null) {
+        const queues = this.deadLetters.get(subscriber);
+        if (!queues) {
+            return [];
+        }
+        const deadLetters = [];
+        queues.forEach((queue, queuePattern) => {
+            if (pattern === null || queuePattern === pattern) {
+                queue.forEach(deadLetter => deadLetters.push({ pattern: queuePattern, ...deadLetter }));
+            }
+        });
+        return deadLetters;
+    }
+
+    /**
+     * Remove and return a subscriber's dead letters
+     * @param {Subscriber} subscriber - The subscriber
+     * @param {string} [pattern] - Only this subscription's queue (default: all)
+     * @returns {Array<Object>} The removed dead letters (see getDeadLetters)
+     */
+    takeDeadLetters(subscriber, pattern = null) {
+        const deadLetters = this.getDeadLetters(subscriber, pattern);
+        const queues = this.deadLetters.get(subscriber);
+        if (queues) {
+            if (pattern === null) {
+                queues.clear();
+            } else {
+                queues.delete(pattern);
+            }
+        }
+        return deadLetters;
+    }
+
+    /**
+     * Get a subscriber's acknowledgement counters
+     * @param {Subscriber} subscriber - The subscriber
+     * @returns {{unacked: number, redelivered: number, deadLettered: number}} Deliveries awaiting
+     *          an ack, redeliveries so far and messages in its dead-letter queues
+     */
+    getStats(subscriber) {
+        let unacked = 0;
+        this.pending.forEach(record => {
+            if (record.subscriber === subscriber) {
+                unacked++;
+            }
+        });
+        return {
+            unacked,
+            redelivered: this.redeliveredCount.get(subscriber) || 0,
+            deadLettered: this.getDeadLetters(subscriber).length
+        };
+    }
+
+    /**
+     * Capture the dead-letter queues as a JSON-serializable snapshot
+     * Pending deliveries are not included, like pending queue entries.
+     * @returns {Array<Object>} Entries { subscriberId, pattern, deadLetters }
+     */
+    snapshot() {
+        const queues = [];
+        this.deadLetters.forEach((patternQueues, subscriber) => {
+            patternQueues.forEach((deadLetters, pattern) => {
+                if (deadLetters.length > 0) {
+                    queues.push({ subscriberId: subscriber.id, pattern, deadLetters: deadLetters.slice() });
+                }
+            });
+        });
+        return queues;
+    }
+
+    /**
+     * Restore dead-letter queues from a snapshot
+     * @param {Array<Object>} queues - Snapshot produced by AckTracker.snapshot()
+     * @param {Function} resolveSubscriber - Maps a subscriber ID to a Subscriber instance (or undefined)
+     */
+    restore(queues, resolveSubscriber) {
+        this.pending.forEach(record => this.clearTimer(record));
+        this.pending.clear();
+        this.deadLetters.clear();
+        queues.forEach(({ subscriberId, pattern, deadLetters }) => {
+            const subscriber = resolveSubscriber(subscriberId);
+            if (!subscriber) {
+                return;
+            }
+            if (!this.deadLetters.has(subscriber)) {
+                this.deadLetters.set(subscriber, new Map());
+            }
+            this.deadLetters.get(subscriber).set(pattern, deadLetters.slice(-MAX_DEAD_LETTERS));
+        });
+    }
+}
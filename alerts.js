@@ -0,0 +1,419 @@
+/**
+ * AlertEngine - User-Defined Price Alert Rules
+ *
+ * The alert engine is a subscriber that watches every stock's ticks and
+ * checks them against rules such as:
+ * - "AAPL crosses above 120"              (crosses-above / crosses-below)
+ * - "TSLA drops 3% within 1 minute"       (drops-within / rises-within)
+ * - "any symbol moves more than 4% in a tick" (moves-in-tick)
+ *
+ * A rule applies to one symbol or to any symbol ("*"), can be enabled or
+ * disabled individually, and has a cooldown: after firing for a symbol it
+ * stays quiet for that symbol until the cooldown has passed.
+ *
+ * Fired alerts are kept in a history (newest first) where they can be
+ * acknowledged or dismissed, and are also published to "alerts.<symbol>",
+ * so other subscribers can react to them like to any other topic.
+ *
+ * Times are taken from the tick timestamps, so windows and cooldowns also
+ * behave correctly for replayed data.
+ *
+ * Events (see on/off):
+ * - "alert": an alert record, when a rule fires
+ * - "change": {}, when rules or the alert history change
+ */
+import { systemClock } from './clock.js';
+import { Subscriber } from './subscriber.js';
+
+export const AlertCondition = {
+    CROSSES_ABOVE: 'crosses-above',
+    CROSSES_BELOW: 'crosses-below',
+    RISES_WITHIN: 'rises-within',
+    DROPS_WITHIN: 'drops-within',
+    MOVES_IN_TICK: 'moves-in-tick'
+};
+
+export const ANY_SYMBOL = '*';
+export const ALERTS_TOPIC_PREFIX = 'alerts';
+
+const WINDOW_CONDITIONS = [AlertCondition.RISES_WITHIN, AlertCondition.DROPS_WITHIN];
+
+/**
+ * Check a rule definition
+ * @param {Object} rule - { symbol, condition, threshold, windowMs?, cooldownMs? }
+ * @throws {Error} If the rule is invalid
+ */
+export function validateRule(rule) {
+    if (!rule || typeof rule.symbol !== 'string' || rule.symbol === '') {
+        throw new Error('Alert rule needs a symbol (or "*" for any symbol)');
+    }
+    if (!Object.values(AlertCondition).includes(rule.condition)) {
+        throw new Error(`Unknown alert condition: ${rule.condition}`);
+    }
+    if (!Number.isFinite(rule.threshold)) {
+        throw new Error('Alert rule threshold must be a number');
+    }
+    if (rule.condition !== AlertCondition.CROSSES_ABOVE && rule.condition !== AlertCondition.CROSSES_BELOW
+        && rule.threshold <= 0) {
+        throw new Error('Percentage thresholds must be greater than 0');
+    }
+    if (WINDOW_CONDITIONS.includes(rule.condition) && !(rule.windowMs > 0)) {
+        throw new Error('Alert rule window must be greater than 0');
+    }
+    if (rule.cooldownMs !== undefined && !(rule.cooldownMs >= 0)) {
+        throw new Error('Alert rule cooldown must be 0 or more');
+    }
+}
+
+/**
+ * Describe a rule in words (e.g., "TSLA drops 3% within 1 minute")
+ * @param {Object} rule - Rule definition
+ * @returns {string} Human-readable description
+ */
+export function describeRule(rule) {
+    const subject = rule.symbol === ANY_SYMBOL ? 'any symbol' : rule.symbol;
+    switch (rule.condition) {
+        case AlertCondition.CROSSES_ABOVE:
+            return `${subject} crosses above ${rule.threshold}`;
+        case AlertCondition.CROSSES_BELOW:
+            return `${subject} crosses below ${rule.threshold}`;
+        case AlertCondition.RISES_WITHIN:
+            return `${subject} rises ${rule.threshold}% within ${formatDuration(rule.windowMs)}`;
+        case AlertCondition.DROPS_WITHIN:
+            return `${subject} drops ${rule.threshold}% within ${formatDuration(rule.windowMs)}`;
+        case AlertCondition.MOVES_IN_TICK:
+            return `${subject} moves more than ${rule.threshold}% in a tick`;
+        default:
+            return `${subject} ${rule.condition} ${rule.threshold}`;
+    }
+}
+
+/**
+ * Format a duration for rule descriptions ("30 seconds", "1 minute", "2 hours")
+ */
+function formatDuration(ms) {
+    const units = [['hour', 3600000], ['minute', 60000], ['second', 1000]];
+    const [name, size] = units.find(([, unitSize]) => ms % unitSize === 0) || ['ms', 1];
+    const count = ms / size;
+    return name === 'ms' ? `${ms} ms` : `${count} ${name}${count === 1 ? '' : 's'}`;
+}
+
+export class AlertEngine {
+    /**
+     * Constructor - Prepare an alert engine (call start() to begin)
+     *
+     * @param {Broker} broker - The broker to watch ticks on and publish alerts to
+     * @param {Object} [options] - Engine options
+     * @param {string} [options.source] - Tick topic or pattern to watch
+     * @param {number} [options.historyLength] - Fired alerts kept in the history
+     */
+    constructor(broker, { source = '*', historyLength = 100 } = {}) {
+        this.broker = broker; // Broker for both ticks and alerts
+        this.clock = broker.clock || systemClock; // Time of ticks without a timestamp
+        this.source = source; // Tick topic or pattern subscribed to
+        this.historyLength = historyLength;
+        this.running = false;
+
+        this.rules = new Map(); // Rule ID -> rule
+        this.ruleCounter = 0; // Counter for generating unique rule IDs
+        this.alerts = []; // Fired alerts, newest first
+        this.alertCounter = 0; // Counter for generating unique alert IDs
+        this.lastPrices = new Map(); // Symbol -> previous tick price
+        this.recentPrices = new Map(); // Symbol -> [{ time, price }] within the longest rule window
+        this.lastFired = new Map(); // "ruleId|symbol" -> time the rule last fired for the symbol
+        this.listeners = new Map(); // Event name -> Set of listener functions
+
+        this.subscriber = new Subscriber('alert-engine', 'Alert Engine', broker);
+        this.subscriber.setUpdateCallback((topic, message) => this.handleTick(topic, message));
+    }
+
+    /**
+     * Start watching ticks (only ticks published from now on are checked)
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        this.subscriber.subscribe(this.source, null, { replay: { last: 0 } });
+    }
+
+    /**
+     * Stop watching ticks; rules and alert history are kept
+     */
+    stop() {
+        if (!this.running) {
+            return;
+        }
+        this.running = false;
+        this.subscriber.unsubscribe(this.source);
+    }
+
+    /**
+     * Register a listener for an engine event
+     * @param {string} event - Event name ("alert" or "change")
+     * @param {Function} listener - Called with the event payload
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+    }
+
+    /**
+     * Remove a previously registered event listener
+     * @param {string} event - Event name
+     * @param {Function} listener - The listener to remove
+     */
+    off(event, listener) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).delete(listener);
+        }
+    }
+
+    /**
+     * Notify all listeners of an event
+     * @param {string} event - Event name
+     * @param {Object} payload - Event data
+     * @returns {boolean} True if at least one listener was notified
+     */
+    emit(event, payload) {
+        const eventListeners = this.listeners.get(event);
+        if (!eventListeners || eventListeners.size === 0) {
+            return false;
+        }
+        eventListeners.forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`AlertEngine "${event}" listener failed:`, error);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Add a rule
+     * @param {Object} definition - Rule definition
+     * @param {string} definition.symbol - Stock symbol, or "*" for any symbol
+     * @param {string} definition.condition - One of AlertCondition
+     * @param {number} definition.threshold - Price level, or percentage for the other conditions
+     * @param {number} [definition.windowMs] - Time window for rises-within/drops-within
+     * @param {number} [definition.cooldownMs] - Quiet period after the rule fires for a symbol
+     * @param {boolean} [definition.enabled] - Whether the rule is checked
+     * @returns {Object} The stored rule, including its ID and description
+     * @throws {Error} If the rule is invalid
+     */
+    addRule({ symbol, condition, threshold, windowMs = null, cooldownMs = 60000, enabled = true }) {
+        const definition = { symbol, condition, threshold, windowMs, cooldownMs };
+        validateRule(definition);
+
+        this.ruleCounter++;
+        const rule = {
+            id: `rule-${this.ruleCounter}`,
+            ...definition,
+            windowMs: WINDOW_CONDITIONS.includes(condition) ? windowMs : null,
+            enabled,
+            description: describeRule(definition)
+        };
+        this.rules.set(rule.id, rule);
+        console.log(`Alert rule added: ${rule.description}`);
+        this.emit('change', {});
+        return rule;
+    }
+
+    /**
+     * Remove a rule
+     * @param {string} ruleId - ID of the rule
+     */
+    removeRule(ruleId) {
+        if (this.rules.delete(ruleId)) {
+            this.lastFired.forEach((time, key) => {
+                if (key.startsWith(`${ruleId}|`)) {
+                    this.lastFired.delete(key);
+                }
+            });
+            this.emit('change', {});
+        }
+    }
+
+    /**
+     * Enable or disable a rule
+     * @param {string} ruleId - ID of the rule
+     * @param {boolean} enabled - Whether the rule is checked
+     */
+    setRuleEnabled(ruleId, enabled) {
+        const rule = this.rules.get(ruleId);
+        if (rule) {
+            rule.enabled = enabled;
+            this.emit('change', {});
+        }
+    }
+
+    /**
+     * Get all rules in the order they were added
+     * @returns {Array<Object>} Rules
+     */
+    getRules() {
+        return Array.from(this.rules.values());
+    }
+
+    /**
+     * Get the alert history, newest first
+     * @returns {Array<Object>} Alert records
+     */
+    getAlerts() {
+        return this.alerts;
+    }
+
+    /**
+     * Count alerts that have not been acknowledged yet
+     * @returns {number} Number of unacknowledged alerts
+     */
+    getUnacknowledgedCount() {
+        return this.alerts.filter(alert => !alert.acknowledged).length;
+    }
+
+    /**
+     * Mark an alert as seen; it stays in the history
+     * @param {string} alertId - ID of the alert
+     */
+    acknowledge(alertId) {
+        const alert = this.alerts.find(entry => entry.id === alertId);
+        if (alert && !alert.acknowledged) {
+            alert.acknowledged = true;
+            this.emit('change', {});
+        }
+    }
+
+    /**
+     * Remove an alert from the history
+     * @param {string} alertId - ID of the alert
+     */
+    dismiss(alertId) {
+        const index = this.alerts.findIndex(entry => entry.id === alertId);
+        if (index !== -1) {
+            this.alerts.splice(index, 1);
+            this.emit('change', {});
+        }
+    }
+
+    /**
+     * Check a tick against every enabled rule for its symbol
+     * @param {string} topic - Tick topic
+     * @param {Object} message - Tick with symbol, price, change and timestamp
+     */
+    handleTick(topic, message) {
+        const symbol = message.symbol || topic;
+        const time = message.timestamp ? new Date(message.timestamp).getTime() : this.clock.now();
+        const previousPrice = this.lastPrices.get(symbol);
+        this.lastPrices.set(symbol, message.price);
+
+        // Keep prices for as long as the longest window rule needs them
+        const longestWindow = Math.max(0, ...this.getRules()
+            .filter(rule => rule.enabled && rule.windowMs)
+            .map(rule => rule.windowMs));
+        const recent = (this.recentPrices.get(symbol) || []).filter(entry => entry.time <= time && time - entry.time <= longestWindow);
+        recent.push({ time, price: message.price });
+        this.recentPrices.set(symbol, recent);
+
+        this.rules.forEach(rule => {
+            if (!rule.enabled || (rule.symbol !== ANY_SYMBOL && rule.symbol !== symbol)) {
+                return;
+            }
+            const key = `${rule.id}|${symbol}`;
+            if (this.lastFired.has(key) && time - this.lastFired.get(key) < rule.cooldownMs) {
+                return;
+            }
+            if (this.evaluate(rule, previousPrice, message, recent, time)) {
+                this.lastFired.set(key, time);
+                this.fire(rule, symbol, message);
+            }
+        });
+    }
+
+    /**
+     * Decide whether a rule's condition is met by the latest tick
+     * @returns {boolean} True if the rule should fire
+     */
+    evaluate(rule, previousPrice, message, recent, time) {
+        const price = message.price;
+        switch (rule.condition) {
+            case AlertCondition.CROSSES_ABOVE:
+                return previousPrice !== undefined && previousPrice < rule.threshold && price >= rule.threshold;
+            case AlertCondition.CROSSES_BELOW:
+                return previousPrice !== undefined && previousPrice > rule.threshold && price <= rule.threshold;
+            case AlertCondition.RISES_WITHIN: {
+                const low = Math.min(...recent.filter(entry => time - entry.time <= rule.windowMs).map(entry => entry.price));
+                return (price - low) / low * 100 >= rule.threshold;
+            }
+            case AlertCondition.DROPS_WITHIN: {
+                const high = Math.max(...recent.filter(entry => time - entry.time <= rule.windowMs).map(entry => entry.price));
+                return (high - price) / high * 100 >= rule.threshold;
+            }
+            case AlertCondition.MOVES_IN_TICK: {
+                const change = typeof message.change === 'number' ? message.change
+                    : (previousPrice !== undefined ? (price - previousPrice) / previousPrice * 100 : 0);
+                return Math.abs(change) > rule.threshold;
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Record an alert, notify listeners and publish it to "alerts.<symbol>"
+     */
+    fire(rule, symbol, message) {
+        this.alertCounter++;
+        const alert = {
+            id: `alert-${this.alertCounter}`,
+            ruleId: rule.id,
+            rule: rule.description,
+            symbol,
+            price: message.price,
+            change: typeof message.change === 'number' ? message.change : 0,
+            timestamp: message.timestamp || this.clock.toISOString(),
+            acknowledged: false
+        };
+
+        this.alerts.unshift(alert);
+        if (this.alerts.length > this.historyLength) {
+            this.alerts.pop();
+        }
+
+        console.log(`Alert fired: ${rule.description} (${symbol} at ${message.price})`);
+        this.emit('alert', alert);
+        this.emit('change', {});
+
+        const { acknowledged, ...published } = alert;
+        this.broker.publish(`${ALERTS_TOPIC_PREFIX}.${symbol}`, published);
+    }
+
+    /**
+     * Capture rules and alert history as a JSON-serializable snapshot
+     * @returns {Object} Snapshot for AlertEngine.restore()
+     */
+    snapshot() {
+        return {
+            ruleCounter: this.ruleCounter,
+            rules: this.getRules().map(rule => ({ ...rule })),
+            alertCounter: this.alertCounter,
+            alerts: this.alerts.map(alert => ({ ...alert }))
+        };
+    }
+
+    /**
+     * Restore rules and alert history from a snapshot
+     * @param {Object} snapshot - Snapshot produced by AlertEngine.snapshot()
+     */
+    restore(snapshot) {
+        this.ruleCounter = snapshot.ruleCounter;
+        this.rules = new Map(snapshot.rules.map(rule => [rule.id, { ...rule }]));
+        this.alertCounter = snapshot.alertCounter;
+        this.alerts = snapshot.alerts.slice(0, this.historyLength);
+        this.lastFired.clear();
+        this.emit('change', {});
+    }
+}
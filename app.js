@@ -18,16 +18,125 @@
  * Publisher -> Broker -> All Subscribed Subscribers
  */
 
+import { AlertEngine } from './alerts.js';
+import { BarAggregator } from './bars.js';
+import {
+    BOOK_LEVEL,
+    DEFAULT_SNAPSHOT_EVERY,
+    OrderBook,
+    QUOTE_LEVEL,
+    TRADES_LEVEL,
+    marketDataTopic
+} from './book.js';
 import { Broker } from './broker.js';
-import { Publisher } from './publisher.js';
+import { ChartMode, PriceChart } from './chart.js';
+import { VirtualClock, systemClock } from './clock.js';
+import { IndicatorEngine, IndicatorType, describeIndicator, indicatorTopic } from './indicators.js';
+import { DEFAULT_SYMBOL_PROFILES, createPriceModel } from './models.js';
+import { Portfolio } from './portfolio.js';
+import { Publisher, TICK_SCHEMA } from './publisher.js';
+import { RetentionPolicy } from './retention.js';
+import { MarketCalendar, MarketSession, SESSION_SCHEMA, SESSION_TOPIC, SessionPhase } from './session.js';
+import { MarketEvent, MarketStatus, STATUS_SCHEMA } from './status.js';
+import { LocalStorageAdapter } from './storage.js';
 import { Subscriber } from './subscriber.js';
+import { SymbolRegistry } from './symbols.js';
+import { matchTopic, splitTopic } from './topics.js';
+
+/**
+ * Simulation Clock
+ * Open the page with "?clock=virtual" to run the whole simulation on a virtual
+ * clock (see clock.js): time only moves when the clock controls advance it, so
+ * a trading session can be fast-forwarded or stepped through tick by tick.
+ */
+const virtualTime = new URLSearchParams(window.location.search).get('clock') === 'virtual';
+const clock = virtualTime ? new VirtualClock() : systemClock;
+const CLOCK_FRAME_MS = 100; // Real milliseconds between two advances of the virtual clock
+const FAST_FORWARD_MS = 6.5 * 60 * 60 * 1000; // One trading session (9:30 to 16:00)
+const FAST_FORWARD_STEP_MS = 5 * 60 * 1000; // Virtual time covered per frame while fast-forwarding
+let clockSpeed = 0; // Virtual milliseconds per real millisecond (0 = stopped)
+let fastForwardUntil = null; // Virtual time the running fast-forward stops at
 
 /**
  * Initialize the central message broker
  * The broker acts as the intermediary between publishers and subscribers,
- * managing subscriptions and routing messages asynchronously.
+ * managing subscriptions and routing messages asynchronously. Publishers and
+ * subscribers created for it share its clock.
+ */
+const broker = new Broker({ clock });
+
+/**
+ * Retain the most recent ticks of every stock so that new subscribers
+ * can be backfilled with recent history instead of a single quote
+ */
+broker.setRetentionPolicy('*', RetentionPolicy.last(20));
+broker.setRetentionPolicy('*.bars.*', RetentionPolicy.last(20));
+broker.setRetentionPolicy('*.ind.*', RetentionPolicy.last(20));
+// Enough book messages to always include the latest full snapshot
+broker.setRetentionPolicy('*.book', RetentionPolicy.last(DEFAULT_SNAPSHOT_EVERY));
+// Recent listings and delistings (see symbols.js)
+broker.setRetentionPolicy('topics.*', RetentionPolicy.last(20));
+// Recent halts, resumptions and news per stock (see status.js)
+broker.setRetentionPolicy('status.*', RetentionPolicy.last(20));
+// Recent session transitions (see session.js)
+broker.setRetentionPolicy(SESSION_TOPIC, RetentionPolicy.last(10));
+
+/**
+ * Validate every stock tick; malformed ticks are not delivered and are
+ * published to "deadletter.<symbol>" with the reason instead
+ */
+broker.registerSchema('*', TICK_SCHEMA);
+broker.registerSchema('status.*', STATUS_SCHEMA);
+broker.registerSchema(SESSION_TOPIC, SESSION_SCHEMA);
+
+/**
+ * Aggregate every stock's ticks into 5-second and 1-minute OHLC bars,
+ * published to derived topics such as "AAPL.bars.1m"
+ */
+const barAggregator = new BarAggregator(broker, { intervals: ['5s', '1m'] });
+barAggregator.start();
+
+/**
+ * Compute technical indicators (moving averages, RSI, MACD, Bollinger Bands,
+ * VWAP) for every stock, published to derived topics such as "AAPL.ind.rsi14";
+ * each stock's indicators can be chosen in the publisher panel
+ */
+const indicatorEngine = new IndicatorEngine(broker);
+indicatorEngine.start();
+
+// Period used when an indicator is added without one
+const DEFAULT_INDICATOR_PERIODS = {
+    [IndicatorType.SMA]: 20,
+    [IndicatorType.EMA]: 20,
+    [IndicatorType.RSI]: 14,
+    [IndicatorType.BOLLINGER]: 20
+};
+
+/**
+ * Check every tick against the user's alert rules; fired alerts are shown
+ * in the notification panel and published to "alerts.<symbol>"
+ */
+const alertEngine = new AlertEngine(broker);
+alertEngine.start();
+
+/**
+ * Paper-trading portfolio: orders fill against the latest published prices,
+ * and the valuation is published to "portfolio.paper"
+ */
+const portfolio = new Portfolio(broker);
+
+/**
+ * Market session shared by every publisher. The demo starts "always open" so
+ * prices move at any hour; exchange hours can be chosen in the publisher panel
+ * (most useful with virtual time). Transitions are published to "market.session".
  */
-const broker = new Broker();
+const MARKET_CALENDARS = {
+    'always-open': () => MarketCalendar.alwaysOpen(),
+    'exchange': () => new MarketCalendar()
+};
+let marketHours = 'always-open'; // Key of the active MARKET_CALENDARS entry
+const marketSession = new MarketSession(broker, { calendar: MARKET_CALENDARS[marketHours]() });
+marketSession.start();
 
 /**
  * Application State Management
@@ -36,7 +145,17 @@ const broker = new Broker();
  * Each publisher publishes price updates for a specific stock symbol (topic)
  */
 const publishers = new Map();
-let currentPublisher = null; // Currently active publisher for UI controls
+let currentPublisher = null; // Publisher of the stock shown in the Latest Update and depth views
+
+// Price models offered in the publisher panel (see models.js)
+const PRICE_MODEL_NAMES = {
+    'gbm': 'Brownian Motion',
+    'mean-reversion': 'Mean Reversion',
+    'jump-diffusion': 'Jump Diffusion'
+};
+
+// Circuit breaker settings of every publisher, changed from the publisher panel
+const circuitBreakerSettings = { bandPercent: 10, haltMs: 60 * 1000 };
 
 /**
  * Subscribers: Map of subscriber IDs to Subscriber instances
@@ -46,60 +165,145 @@ let subscriberCounter = 0; // Counter for generating unique subscriber IDs
 const subscribers = new Map();
 
 /**
- * Initialize publishers for all available stocks
- * Each stock symbol acts as a topic in the publish-subscribe pattern
+ * Delivery options for subscriber card subscriptions
+ * Price ticks are a natural fit for conflation: if a card falls behind,
+ * the broker keeps only the newest quote per symbol instead of a backlog.
+ * New subscriptions are backfilled with the last few retained ticks per stock;
+ * the buffer is large enough to hold that backfill for every stock.
  */
-const stockSymbols = ['AAPL', 'GOOGL', 'MSFT', 'TSLA', 'AMZN'];
-stockSymbols.forEach(symbol => {
-    const publisher = new Publisher(broker, symbol);
-    publishers.set(symbol, publisher);
-});
+const CARD_DELIVERY_OPTIONS = { bufferSize: 50, overflow: 'conflate', replay: { last: 5 } };
 
-// Set default publisher for initial UI state
-currentPublisher = publishers.get('AAPL');
+/**
+ * Ack settings for subscriptions made with "Require acks" (see acks.js)
+ * Short enough to watch a failing card's messages being redelivered and
+ * dead-lettered within a few seconds.
+ */
+const CARD_ACK_SETTINGS = { timeoutMs: 3000, maxAttempts: 3, backoffMs: 1000 };
+
+// Subscribers whose card rejects acknowledged messages ("Simulate Failure")
+const failingSubscribers = new Set();
+
+// Dead letters listed on a card, newest first
+const CARD_DEAD_LETTER_LENGTH = 5;
+
+// Number of earlier messages listed under the latest message on each card
+const CARD_HISTORY_LENGTH = 5;
+
+/**
+ * Price charts
+ * Every subscriber card has a small chart of the messages it received, and the
+ * "Latest Update" box has a larger interactive chart of the current stock.
+ */
+const cardCharts = new Map(); // Subscriber ID -> PriceChart
+let latestChart = null;
+const LATEST_CHART_POINTS = 200;
+const LATEST_CHART_BACKFILL = 20; // Retained ticks shown when switching stocks
 
 /**
  * DOM Element References
  * These will be initialized when DOM is ready
  */
-let startPublishingBtn, stopPublishingBtn, stockSymbolSelect;
+let startPublishingBtn, stopPublishingBtn, publishInvalidBtn, stockSymbolSelect;
 let addSubscriberBtn, removeSubscriberBtn, subscriberSelect, topicSelect;
-let subscribeBtn, unsubscribeBtn, publisherState, currentStock;
-let latestUpdateContent, subscribersContainer;
-let subscriberNameInput, defaultNamesSelect;
+let subscribeBtn, unsubscribeBtn, publisherState, currentStock, filterInput, ackInput;
+let latestUpdateContent, subscribersContainer, topicMetricsBody, subscriberMetricsBody;
+let subscriberNameInput, defaultNamesSelect, latestChartCanvas, latestChartMode;
+let alertSymbolSelect, alertConditionSelect, alertThresholdInput, alertWindowInput, alertCooldownInput;
+let addAlertRuleBtn, alertRulesList, alertHistoryList, alertBadge;
+let orderSymbolSelect, orderSideSelect, orderTypeSelect, orderQuantityInput, orderLimitPriceInput;
+let placeOrderBtn, portfolioSummary, portfolioPositionsBody, portfolioOrdersBody;
+let depthSummary, depthBody, publisherRowsBody;
+let newSymbolInput, newSymbolNameInput, newSymbolPriceInput, newSymbolModelSelect, addSymbolBtn;
+let clockModeSelect, clockTimeLabel, clockSpeedSelect, clockStepBtn, clockFastForwardBtn;
+let bandPercentInput, haltSecondsInput, newsSymbolSelect, newsHeadlineInput, newsPercentInput, newsDelayInput;
+let publishNewsBtn, marketHoursSelect, marketPhaseLabel, marketTimeLabel, marketNextLabel;
+let indicatorSymbolSelect, indicatorTypeSelect, indicatorPeriodInput, addIndicatorBtn, indicatorList, indicatorTopicsGroup;
 
 // Track subscriber creation order for proper removal
 const subscriberCreationOrder = [];
 
 /**
- * Add Subscriber Handler
- * Creates a new subscriber instance and adds it to the system
- * Demonstrates:
- * 1. Dynamic subscriber creation at runtime
- * 2. Callback-based message handling (asynchronous notification)
- * 3. Automatic subscription to current stock for demo purposes
+ * Symbol Registry
+ * The stocks being simulated (see symbols.js). Each stock symbol acts as a
+ * topic in the publish-subscribe pattern; listing a symbol creates its
+ * publisher and delisting stops and drops it. Every stock has its own starting
+ * price and price model; open the page with "?seed=42" to reproduce the exact
+ * same price sequences on every run.
  */
-function handleAddSubscriber() {
-    // Check if required elements are available
-    if (!subscriberNameInput || !subscriberSelect || !subscribersContainer) {
-        console.error('Required DOM elements not available for adding subscriber');
-        return;
+const symbolRegistry = new SymbolRegistry(broker);
+const seedParam = new URLSearchParams(window.location.search).get('seed');
+let symbolCounter = 0; // Symbols listed so far, so each publisher gets its own seed
+
+symbolRegistry.on('add', entry => {
+    const options = {
+        startPrice: entry.startPrice,
+        model: createPriceModel(entry.model, entry.params),
+        circuitBreaker: circuitBreakerSettings,
+        session: marketSession
+    };
+    if (seedParam !== null) {
+        options.seed = Number(seedParam) + symbolCounter;
     }
-    
-    subscriberCounter++;
-    
-    // Get subscriber name from input or use default
-    let subscriberName = subscriberNameInput.value.trim();
-    if (!subscriberName) {
-        subscriberName = `Subscriber ${subscriberCounter}`;
+    symbolCounter++;
+    publishers.set(entry.symbol, new Publisher(broker, entry.symbol, options));
+    refreshSymbolViews();
+});
+
+symbolRegistry.on('remove', entry => {
+    const publisher = publishers.get(entry.symbol);
+    publisher.stopPublishing();
+    publisher.setSession(null); // Stop following the shared session
+    publishers.delete(entry.symbol);
+    haltedSymbols.delete(entry.symbol);
+    indicatorEngine.reset(entry.symbol);
+    const wasCurrent = currentPublisher && currentPublisher.symbol === entry.symbol;
+    if (wasCurrent) {
+        currentPublisher = publishers.values().next().value || null;
     }
-    
-    const subscriberId = `sub-${subscriberCounter}`;
+    refreshSymbolViews();
+    if (wasCurrent && publisherRowsBody) {
+        updatePublisherStatus();
+    }
+});
+
+Object.entries(DEFAULT_SYMBOL_PROFILES).forEach(([symbol, profile]) => {
+    symbolRegistry.add({ symbol, ...profile });
+});
+
+// Set default publisher for initial UI state
+currentPublisher = publishers.get('AAPL');
+
+/**
+ * Persistence
+ * Subscribers, subscriptions and retained quotes are saved to the browser's
+ * localStorage and restored on startup, so reloading the page keeps the demo state.
+ * Any adapter from storage.js (e.g., IndexedDBStorage) can be used instead.
+ */
+const storage = new LocalStorageAdapter();
+const STATE_KEY = 'state';
+const SAVE_INTERVAL_MS = 5000; // Retained quotes change on every tick
+
+// How often the broker metrics panel is refreshed
+const METRICS_REFRESH_MS = 1000;
+
+/**
+ * Create Subscriber
+ * Creates a subscriber instance, registers it in the application state and
+ * adds it to the UI. Shared by the "Add Subscriber" button and state restore.
+ * @param {string} subscriberId - Unique subscriber ID
+ * @param {string} subscriberName - Display name
+ * @param {Object} [snapshot] - Saved subscriber state to restore before the card is drawn
+ * @returns {Subscriber} The new subscriber
+ */
+function createSubscriber(subscriberId, subscriberName, snapshot = null) {
     const subscriber = new Subscriber(
         subscriberId,
         subscriberName,
         broker
     );
+    if (snapshot) {
+        subscriber.restore(snapshot);
+    }
     
     subscribers.set(subscriber.id, subscriber);
     subscriberCreationOrder.push(subscriber.id); // Track creation order
@@ -109,8 +313,20 @@ function handleAddSubscriber() {
      * This callback is invoked whenever the subscriber receives a message
      * from the broker, demonstrating the asynchronous nature of the pattern
      */
-    subscriber.setUpdateCallback((topic, message) => {
-        updateSubscriberCard(subscriber.id, topic, message);
+    subscriber.setUpdateCallback((topic, message, envelope) => {
+        // A failing card rejects acknowledged messages, so the broker redelivers them
+        if (envelope && envelope.deliveryId && failingSubscribers.has(subscriber.id)) {
+            subscriber.nack(envelope, 'simulated processing failure');
+            updateSubscriberCard(subscriber.id);
+            return;
+        }
+        subscriber.ack(envelope);
+        // Resent and redelivered messages are older than the latest message
+        if (envelope && (envelope.resent || envelope.redelivered)) {
+            updateSubscriberCard(subscriber.id);
+        } else {
+            updateSubscriberCard(subscriber.id, topic, message);
+        }
     });
     
     // Add subscriber to dropdown for subscription management
@@ -122,9 +338,38 @@ function handleAddSubscriber() {
     // Create visual representation of subscriber
     createSubscriberCard(subscriber);
     
+    return subscriber;
+}
+
+/**
+ * Add Subscriber Handler
+ * Creates a new subscriber instance and adds it to the system
+ * Demonstrates:
+ * 1. Dynamic subscriber creation at runtime
+ * 2. Callback-based message handling (asynchronous notification)
+ * 3. Automatic subscription to current stock for demo purposes
+ */
+function handleAddSubscriber() {
+    // Check if required elements are available
+    if (!subscriberNameInput || !subscriberSelect || !subscribersContainer) {
+        console.error('Required DOM elements not available for adding subscriber');
+        return;
+    }
+    
+    subscriberCounter++;
+    
+    // Get subscriber name from input or use default
+    let subscriberName = subscriberNameInput.value.trim();
+    if (!subscriberName) {
+        subscriberName = `Subscriber ${subscriberCounter}`;
+    }
+    
+    const subscriberId = `sub-${subscriberCounter}`;
+    const subscriber = createSubscriber(subscriberId, subscriberName);
+    
     // Auto-subscribe to current stock for demonstration
     if (stockSymbolSelect && stockSymbolSelect.value) {
-        subscriber.subscribe(stockSymbolSelect.value);
+        subscriber.subscribe(stockSymbolSelect.value, null, CARD_DELIVERY_OPTIONS);
         updateSubscriberCard(subscriber.id);
     }
     
@@ -135,7 +380,7 @@ function handleAddSubscriber() {
     }
     
     // If publishing is active, trigger immediate update
-    if (currentPublisher && publisherState && publisherState.textContent === 'Publishing') {
+    if (currentPublisher && currentPublisher.isPublishing()) {
         // Force an immediate update to show subscription
         // The broker's subscribe method already sends the last message,
         // but we ensure it's displayed
@@ -144,13 +389,14 @@ function handleAddSubscriber() {
         }, 50);
     }
     
+    saveState();
     console.log(`Subscriber added: ${subscriberName} (${subscriberId})`);
 }
 
 /**
  * Remove Subscriber Handler
  * Removes the last created subscriber from the system
- * Demonstrates dynamic unsubscription and cleanup
+ * (each card's Remove button removes that specific subscriber)
  */
 function handleRemoveSubscriber() {
     if (subscribers.size === 0 || subscriberCreationOrder.length === 0) {
@@ -159,49 +405,228 @@ function handleRemoveSubscriber() {
     }
     
     // Get the most recently added subscriber (last in creation order)
-    const lastSubscriberId = subscriberCreationOrder[subscriberCreationOrder.length - 1];
-    const subscriber = subscribers.get(lastSubscriberId);
-    
+    removeSubscriber(subscriberCreationOrder[subscriberCreationOrder.length - 1]);
+}
+
+/**
+ * Remove Subscriber
+ * Removes any subscriber: the broker drops its subscriptions and pending
+ * messages, and its dropdown entry and card disappear
+ * Demonstrates dynamic unsubscription and cleanup
+ * @param {string} subscriberId - The ID of the subscriber to remove
+ */
+function removeSubscriber(subscriberId) {
+    const subscriber = subscribers.get(subscriberId);
+    const orderIndex = subscriberCreationOrder.indexOf(subscriberId);
+    if (orderIndex !== -1) {
+        subscriberCreationOrder.splice(orderIndex, 1); // Clean up even if the subscriber is missing
+    }
     if (!subscriber) {
-        console.warn(`Subscriber ${lastSubscriberId} not found in map`);
-        subscriberCreationOrder.pop(); // Clean up anyway
+        console.warn(`Subscriber ${subscriberId} not found in map`);
         return;
     }
     
-    console.log(`Removing subscriber: ${subscriber.name} (${lastSubscriberId})`);
-    
-    // Unsubscribe from all topics before removal
-    stockSymbols.forEach(symbol => {
-        subscriber.unsubscribe(symbol);
-    });
+    console.log(`Removing subscriber: ${subscriber.name} (${subscriberId})`);
     
-    // Remove from internal data structures
-    subscribers.delete(lastSubscriberId);
-    subscriberCreationOrder.pop(); // Remove from creation order
+    // Unsubscribe from all topics (including wildcard patterns) and drop the queue
+    broker.removeSubscriber(subscriber);
+    subscribers.delete(subscriberId);
+    failingSubscribers.delete(subscriberId);
     
     // Remove from dropdown
     if (subscriberSelect) {
         const option = Array.from(subscriberSelect.options).find(
-            opt => opt.value === lastSubscriberId
+            opt => opt.value === subscriberId
         );
         if (option) {
             option.remove();
         }
         
         // Clear selection if removed subscriber was selected
-        if (subscriberSelect.value === lastSubscriberId) {
+        if (subscriberSelect.value === subscriberId) {
             subscriberSelect.value = '';
         }
     }
     
     // Remove visual card
-    const card = document.getElementById(`subscriber-${lastSubscriberId}`);
+    const card = document.getElementById(`subscriber-${subscriberId}`);
+    cardCharts.delete(subscriberId);
     if (card) {
         card.remove();
-        console.log(`Subscriber card removed: ${lastSubscriberId}`);
+        console.log(`Subscriber card removed: ${subscriberId}`);
+    } else {
+        console.warn(`Card not found for subscriber: ${subscriberId}`);
+    }
+    
+    saveState();
+}
+
+/**
+ * Rename Subscriber
+ * Replaces the card's name with a text field; Enter or leaving the field
+ * saves the new name, Escape keeps the old one
+ * @param {string} subscriberId - The ID of the subscriber to rename
+ */
+function startRenameSubscriber(subscriberId) {
+    const subscriber = subscribers.get(subscriberId);
+    const nameElement = document.getElementById(`name-${subscriberId}`);
+    if (!subscriber || !nameElement) {
+        return;
+    }
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'rename-input';
+    input.value = subscriber.name;
+    nameElement.replaceWith(input);
+    input.focus();
+    input.select();
+    
+    let finished = false;
+    const finish = (save) => {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        if (save && input.value.trim() && input.value.trim() !== subscriber.name) {
+            subscriber.rename(input.value);
+            const option = Array.from(subscriberSelect.options).find(opt => opt.value === subscriberId);
+            if (option) {
+                option.textContent = subscriber.name;
+            }
+            saveState();
+        }
+        nameElement.textContent = subscriber.name;
+        input.replaceWith(nameElement);
+    };
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            finish(true);
+        } else if (e.key === 'Escape') {
+            finish(false);
+        }
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
+/**
+ * Pause or Resume Subscriber
+ * A paused subscriber's messages wait in its delivery queue (conflated per
+ * topic, see CARD_DELIVERY_OPTIONS) until it is resumed
+ * @param {string} subscriberId - The ID of the subscriber to pause or resume
+ */
+function togglePauseSubscriber(subscriberId) {
+    const subscriber = subscribers.get(subscriberId);
+    if (!subscriber) {
+        return;
+    }
+    if (subscriber.isPaused()) {
+        subscriber.resume();
+    } else {
+        subscriber.pause();
+    }
+    updateSubscriberCard(subscriberId);
+    saveState();
+}
+
+/**
+ * Resend Missing Messages
+ * Asks the broker to resend every message the subscriber detected as missing;
+ * messages no longer retained are counted as lost on the card
+ * @param {string} subscriberId - The ID of the subscriber
+ */
+function resendMissingMessages(subscriberId) {
+    const subscriber = subscribers.get(subscriberId);
+    if (!subscriber) {
+        return;
+    }
+    const lostBefore = subscriber.getSequenceStats().lost;
+    const resending = subscriber.requestResend();
+    const lost = subscriber.getSequenceStats().lost - lostBefore;
+    console.log(`Resending ${resending} messages to ${subscriber.name}`);
+    if (lost > 0) {
+        console.warn(`${lost} messages missed by ${subscriber.name} are no longer retained and cannot be resent`);
+    }
+    updateSubscriberCard(subscriberId);
+    saveState();
+}
+
+/**
+ * Toggle Simulated Failure
+ * While on, the card nacks every message of its acknowledged subscriptions
+ * @param {string} subscriberId - The ID of the subscriber
+ */
+function toggleFailingSubscriber(subscriberId) {
+    if (failingSubscribers.has(subscriberId)) {
+        failingSubscribers.delete(subscriberId);
+    } else {
+        failingSubscribers.add(subscriberId);
+    }
+    updateSubscriberCard(subscriberId);
+}
+
+/**
+ * Replay or Discard Dead Letters
+ * Replayed messages get a fresh set of delivery attempts
+ * @param {string} subscriberId - The ID of the subscriber
+ * @param {boolean} replay - Deliver the dead letters again instead of discarding them
+ */
+function settleDeadLetters(subscriberId, replay) {
+    const subscriber = subscribers.get(subscriberId);
+    if (!subscriber) {
+        return;
+    }
+    if (replay) {
+        subscriber.replayDeadLetters();
     } else {
-        console.warn(`Card not found for subscriber: ${lastSubscriberId}`);
+        console.log(`Discarded ${subscriber.discardDeadLetters()} dead letters of ${subscriber.name}`);
+    }
+    updateSubscriberCard(subscriberId);
+    saveState();
+}
+
+/**
+ * Clone Subscriber
+ * Creates a new subscriber with the same subscriptions (topics, filters,
+ * schema versions and ack settings), backfilled from the retained messages like a new card
+ * @param {string} subscriberId - The ID of the subscriber to clone
+ */
+function cloneSubscriber(subscriberId) {
+    const original = subscribers.get(subscriberId);
+    if (!original) {
+        return;
+    }
+    
+    subscriberCounter++;
+    const clone = createSubscriber(`sub-${subscriberCounter}`, `${original.name} (copy)`);
+    original.getSubscriptions().forEach(({ topic, filter, schemaVersion, ack }) => {
+        const options = { ...CARD_DELIVERY_OPTIONS };
+        if (schemaVersion !== null) {
+            options.schemaVersion = schemaVersion;
+        }
+        if (ack) {
+            options.ack = ack;
+        }
+        clone.subscribe(topic, filter, options);
+    });
+    updateSubscriberCard(clone.id);
+    
+    saveState();
+    console.log(`Subscriber ${subscriberId} cloned as ${clone.id}`);
+}
+
+/**
+ * Read the content filter entered for a new subscription
+ * Text starting with "{" is treated as a JSON field-equality map
+ * (e.g. {"symbol": "AAPL"}), anything else as a filter expression.
+ * @returns {string|Object|null} The filter, or null if none was entered
+ */
+function readFilterInput() {
+    const text = filterInput ? filterInput.value.trim() : '';
+    if (!text) {
+        return null;
     }
+    return text.startsWith('{') ? JSON.parse(text) : text;
 }
 
 /**
@@ -216,7 +641,17 @@ function handleSubscribe() {
     if (subscriberId && topic) {
         const subscriber = subscribers.get(subscriberId);
         if (subscriber) {
-            subscriber.subscribe(topic);
+            const options = ackInput.checked
+                ? { ...CARD_DELIVERY_OPTIONS, ack: CARD_ACK_SETTINGS }
+                : CARD_DELIVERY_OPTIONS;
+            try {
+                subscriber.subscribe(topic, readFilterInput(), options);
+            } catch (error) {
+                console.error(`Invalid filter: ${error.message}`);
+                filterInput.classList.add('invalid');
+                return;
+            }
+            filterInput.classList.remove('invalid');
             updateSubscriberCard(subscriberId);
             
             // Update card immediately - broker's subscribe already sends last message
@@ -224,6 +659,7 @@ function handleSubscribe() {
             setTimeout(() => {
                 updateSubscriberCard(subscriberId);
             }, 50);
+            saveState();
         }
     }
 }
@@ -242,6 +678,7 @@ function handleUnsubscribe() {
         if (subscriber) {
             subscriber.unsubscribe(topic);
             updateSubscriberCard(subscriberId);
+            saveState();
         }
     }
 }
@@ -252,69 +689,402 @@ function handleUnsubscribe() {
  */
 
 /**
- * Create Subscriber Card
- * Creates a visual card in the UI to represent a subscriber
- * Shows subscriber information, subscriptions, and received messages
- * @param {Subscriber} subscriber - The subscriber instance to display
+ * Add Alert Rule Handler
+ * Reads the rule form and registers the rule with the alert engine
  */
-function createSubscriberCard(subscriber) {
-    // Check if subscribersContainer is available
-    if (!subscribersContainer) {
-        console.error('subscribersContainer is not available');
+function handleAddAlertRule() {
+    try {
+        alertEngine.addRule({
+            symbol: alertSymbolSelect.value,
+            condition: alertConditionSelect.value,
+            threshold: parseFloat(alertThresholdInput.value),
+            windowMs: parseFloat(alertWindowInput.value) * 1000,
+            cooldownMs: parseFloat(alertCooldownInput.value) * 1000
+        });
+    } catch (error) {
+        console.error(`Invalid alert rule: ${error.message}`);
+        alertThresholdInput.classList.add('invalid');
         return;
     }
-    
-    // Check if card already exists
-    const existingCard = document.getElementById(`subscriber-${subscriber.id}`);
-    if (existingCard) {
-        console.log(`Card for ${subscriber.id} already exists`);
-        return;
+    alertThresholdInput.classList.remove('invalid');
+    alertThresholdInput.value = '';
+    saveState();
+}
+
+/**
+ * Render Alerts
+ * Redraws the rule list, the notification history and the unread badge
+ */
+function renderAlerts() {
+    const rules = alertEngine.getRules();
+    if (rules.length > 0) {
+        alertRulesList.innerHTML = rules.map(rule => `
+            <div class="alert-rule ${rule.enabled ? '' : 'disabled'}">
+                <input type="checkbox" data-rule-toggle="${rule.id}" ${rule.enabled ? 'checked' : ''}>
+                <span>${escapeHtml(rule.description)} <small>(cooldown ${rule.cooldownMs / 1000}s)</small></span>
+                <button data-rule-remove="${rule.id}">Remove</button>
+            </div>
+        `).join('');
+    } else {
+        alertRulesList.textContent = 'No rules yet';
     }
     
-    const card = document.createElement('div');
-    card.id = `subscriber-${subscriber.id}`;
-    card.className = 'subscriber-card';
-    
-    card.innerHTML = `
-        <div class="subscriber-header">
-            <span class="subscriber-name">${subscriber.name}</span>
-            <span class="subscriber-id">${subscriber.id}</span>
-        </div>
-        <div class="subscriptions-list">
-            <strong>Subscriptions:</strong> <span id="subs-${subscriber.id}">None</span>
-        </div>
-        <div class="latest-message" id="msg-${subscriber.id}">
-            <h4>Latest Message:</h4>
-            <div class="message-content">No messages received yet</div>
-        </div>
-    `;
+    const alerts = alertEngine.getAlerts();
+    if (alerts.length > 0) {
+        alertHistoryList.innerHTML = alerts.map(alert => `
+            <div class="alert-entry ${alert.acknowledged ? '' : 'unread'}">
+                <span>
+                    <strong>${escapeHtml(alert.rule)}</strong><br>
+                    ${alert.symbol} at $${alert.price.toFixed(2)} · ${new Date(alert.timestamp).toLocaleTimeString()}
+                </span>
+                ${alert.acknowledged ? '' : `<button data-alert-ack="${alert.id}">Acknowledge</button>`}
+                <button data-alert-dismiss="${alert.id}">Dismiss</button>
+            </div>
+        `).join('');
+    } else {
+        alertHistoryList.textContent = 'No alerts yet';
+    }
     
-    subscribersContainer.appendChild(card);
-    console.log(`Subscriber card created for ${subscriber.name} (${subscriber.id})`);
-    updateSubscriberCard(subscriber.id);
+    const unread = alertEngine.getUnacknowledgedCount();
+    alertBadge.textContent = unread;
+    alertBadge.classList.toggle('unread', unread > 0);
 }
 
 /**
- * Update Subscriber Card
- * Updates the visual representation of a subscriber with current state
- * This function is called asynchronously when messages are received,
- * demonstrating real-time updates in the publish-subscribe pattern
- * 
- * @param {string} subscriberId - The ID of the subscriber to update
- * @param {string} topic - The topic (stock symbol) of the received message (optional)
- * @param {Object} message - The message data received (optional)
+ * Place Order Handler
+ * Sends the order form to the portfolio; invalid input marks the form fields
  */
-function updateSubscriberCard(subscriberId, topic = null, message = null) {
-    const subscriber = subscribers.get(subscriberId);
-    if (!subscriber) {
-        console.warn(`Subscriber ${subscriberId} not found`);
+function handlePlaceOrder() {
+    const type = orderTypeSelect.value;
+    try {
+        portfolio.placeOrder({
+            symbol: orderSymbolSelect.value,
+            side: orderSideSelect.value,
+            type,
+            quantity: Number(orderQuantityInput.value),
+            limitPrice: type === 'limit' ? parseFloat(orderLimitPriceInput.value) : null
+        });
+    } catch (error) {
+        console.error(`Invalid order: ${error.message}`);
+        orderQuantityInput.classList.toggle('invalid', /quantity/.test(error.message));
+        orderLimitPriceInput.classList.toggle('invalid', /limit price/.test(error.message));
         return;
     }
+    orderQuantityInput.classList.remove('invalid');
+    orderLimitPriceInput.classList.remove('invalid');
+    saveState();
+}
+
+/**
+ * Format a profit or loss with its sign and color
+ * @param {number} value - Amount
+ * @returns {string} HTML for the amount
+ */
+function formatPnL(value) {
+    const changeClass = value >= 0 ? 'positive' : 'negative';
+    const sign = value >= 0 ? '+' : '-';
+    return `<span class="message-change ${changeClass}">${sign}$${Math.abs(value).toFixed(2)}</span>`;
+}
+
+/**
+ * Render Portfolio
+ * Redraws the portfolio summary, positions and orders from the latest valuation
+ */
+function renderPortfolio() {
+    const valuation = portfolio.getValuation();
+    portfolioSummary.innerHTML = `
+        <div><strong>Cash:</strong> $${valuation.cash.toFixed(2)}</div>
+        <div><strong>Market Value:</strong> $${valuation.marketValue.toFixed(2)}</div>
+        <div><strong>Equity:</strong> $${valuation.equity.toFixed(2)}</div>
+        <div><strong>Realized:</strong> ${formatPnL(valuation.realizedPnL)}</div>
+        <div><strong>Unrealized:</strong> ${formatPnL(valuation.unrealizedPnL)}</div>
+        <div><strong>Return:</strong> ${valuation.change >= 0 ? '+' : ''}${valuation.change.toFixed(2)}%</div>
+    `;
     
-    const card = document.getElementById(`subscriber-${subscriberId}`);
-    if (!card) {
-        console.warn(`Card for subscriber ${subscriberId} not found`);
-        return;
+    if (valuation.positions.length > 0) {
+        portfolioPositionsBody.innerHTML = valuation.positions.map(position => `
+            <tr>
+                <td>${position.symbol}</td>
+                <td>${position.quantity}</td>
+                <td>$${position.averageCost.toFixed(2)}</td>
+                <td>$${position.price.toFixed(2)}</td>
+                <td>$${position.marketValue.toFixed(2)}</td>
+                <td>${formatPnL(position.unrealizedPnL)}</td>
+            </tr>
+        `).join('');
+    } else {
+        portfolioPositionsBody.innerHTML = '<tr><td colspan="6">No positions</td></tr>';
+    }
+    
+    const orders = portfolio.getOrders().slice().reverse(); // Newest first
+    if (orders.length > 0) {
+        portfolioOrdersBody.innerHTML = orders.map(order => `
+            <tr>
+                <td>${order.side.toUpperCase()} ${order.quantity} ${order.symbol} ${order.type === 'limit' ? `@ ${order.limitPrice}` : 'MKT'}</td>
+                <td class="${order.status === 'rejected' ? 'order-rejected' : ''}" title="${escapeHtml(order.reason || '')}">${order.status}</td>
+                <td>${order.fillPrice !== null ? `$${order.fillPrice.toFixed(2)}` : '-'}</td>
+                <td>${order.status === 'open' ? `<button data-order-cancel="${order.id}">Cancel</button>` : ''}</td>
+            </tr>
+        `).join('');
+    } else {
+        portfolioOrdersBody.innerHTML = '<tr><td colspan="4">No orders yet</td></tr>';
+    }
+}
+
+/**
+ * Escape text for safe insertion into innerHTML
+ * Filter expressions contain characters such as "<" and ">"
+ * @param {string} text - Raw text
+ * @returns {string} HTML-escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Check whether a message is a price tick (it has both a price and a change)
+ * @param {Object} message - Message data
+ * @returns {boolean} True for ticks, false for trades, indicators and other messages
+ */
+function isTick(message) {
+    return typeof message.price === 'number' && typeof message.change === 'number';
+}
+
+/**
+ * Describe a message that is not a tick (e.g., a trade, a dead letter or a market event)
+ * @param {Object} message - Message data
+ * @returns {string} The indicator value, the trade, the rejection reason, the market event
+ *          or session phase, or the message as JSON
+ */
+function describeMessage(message) {
+    if (message.indicator) {
+        return describeIndicatorValue(message);
+    }
+    if (typeof message.size === 'number' && message.side) {
+        return `${message.side === 'buy' ? 'Buy' : 'Sell'} ${message.size} @ $${message.price.toFixed(2)}`;
+    }
+    if (message.event) {
+        return describeMarketEvent(message);
+    }
+    if (message.phase) {
+        const next = message.nextPhase
+            ? ` until ${new Date(message.nextTransitionAt).toLocaleTimeString()}, then ${PHASE_NAMES[message.nextPhase]}`
+            : '';
+        return `${PHASE_NAMES[message.phase]}${next}`;
+    }
+    return message.reason ? `Rejected: ${message.reason}` : JSON.stringify(message);
+}
+
+/**
+ * Describe an indicator message (e.g., "RSI(14) 63.2")
+ * @param {Object} message - Message published by the indicator engine
+ * @returns {string} Indicator label and value(s)
+ */
+function describeIndicatorValue(message) {
+    const label = describeIndicator(message.indicator);
+    switch (message.type) {
+        case IndicatorType.RSI:
+            return `${label} ${message.value.toFixed(1)}`;
+        case IndicatorType.MACD:
+            return `${label} ${message.value.toFixed(3)} · signal ${message.signal.toFixed(3)} · histogram ${message.histogram.toFixed(3)}`;
+        case IndicatorType.BOLLINGER:
+            return `${label} $${message.lower.toFixed(2)} / $${message.value.toFixed(2)} / $${message.upper.toFixed(2)}`;
+        case IndicatorType.VWAP:
+            return `${label} $${message.value.toFixed(2)} (volume ${message.volume.toLocaleString()})`;
+        default:
+            return `${label} $${message.value.toFixed(2)}`;
+    }
+}
+
+/**
+ * Get the CSS class of a message without a price
+ * @param {Object} message - Indicator, market event, session phase or dead letter
+ * @returns {string} Class for the message text
+ */
+function messageClass(message) {
+    if (message.indicator) {
+        return 'indicator-value';
+    }
+    return message.event || message.phase ? 'market-event' : 'dead-letter';
+}
+
+/**
+ * Format a tick's change against the previous close
+ * @param {Object} message - Price tick
+ * @returns {string} HTML, or an empty string for ticks without a previous close
+ */
+function formatChangeFromClose(message) {
+    if (typeof message.changeFromClose !== 'number') {
+        return '';
+    }
+    const changeClass = message.changeFromClose >= 0 ? 'positive' : 'negative';
+    const changeSign = message.changeFromClose >= 0 ? '+' : '';
+    return `<span class="message-change-close ${changeClass}">${changeSign}${message.changeFromClose.toFixed(2)}% vs. close $${message.previousClose.toFixed(2)}</span>`;
+}
+
+/**
+ * Describe a "status.<symbol>" message
+ * @param {Object} message - Halt, resume or news event (see status.js)
+ * @returns {string} Short description
+ */
+function describeMarketEvent(message) {
+    switch (message.event) {
+        case MarketEvent.HALT: {
+            const until = message.resumesAt ? ` until ${new Date(message.resumesAt).toLocaleTimeString()}` : '';
+            return `${message.symbol} HALTED (${message.trigger})${until}`;
+        }
+        case MarketEvent.RESUME:
+            return `${message.symbol} resumed at $${message.lastPrice.toFixed(2)}`;
+        default:
+            return `${message.symbol} news: ${message.headline} (${message.percent >= 0 ? '+' : ''}${message.percent}%)`;
+    }
+}
+
+/**
+ * Check whether a subscription follows a stock
+ * True for patterns matching the stock's topic and for its derived topics
+ * (e.g., "AAPL.bars.1m").
+ * @param {string} pattern - Subscribed topic or pattern
+ * @param {string} symbol - Stock symbol
+ * @returns {boolean} True if the subscription follows the stock
+ */
+function followsSymbol(pattern, symbol) {
+    return matchTopic(pattern, symbol) || splitTopic(pattern)[0] === symbol;
+}
+
+/**
+ * Create Subscriber Card
+ * Creates a visual card in the UI to represent a subscriber
+ * Shows subscriber information, subscriptions, and received messages
+ * @param {Subscriber} subscriber - The subscriber instance to display
+ */
+function createSubscriberCard(subscriber) {
+    // Check if subscribersContainer is available
+    if (!subscribersContainer) {
+        console.error('subscribersContainer is not available');
+        return;
+    }
+    
+    // Check if card already exists
+    const existingCard = document.getElementById(`subscriber-${subscriber.id}`);
+    if (existingCard) {
+        console.log(`Card for ${subscriber.id} already exists`);
+        return;
+    }
+    
+    const card = document.createElement('div');
+    card.id = `subscriber-${subscriber.id}`;
+    card.className = 'subscriber-card';
+    
+    card.innerHTML = `
+        <div class="subscriber-header">
+            <span class="subscriber-name" id="name-${subscriber.id}">${escapeHtml(subscriber.name)}</span>
+            <span class="subscriber-id">${subscriber.id}</span>
+        </div>
+        <div class="halt-banner" id="halt-${subscriber.id}" hidden></div>
+        <div class="card-controls">
+            <button data-card-action="rename">Rename</button>
+            <button data-card-action="pause" id="pause-${subscriber.id}">Pause</button>
+            <button data-card-action="clone">Clone</button>
+            <button data-card-action="resend" id="resend-${subscriber.id}" title="Request the missing messages again">Resend</button>
+            <button data-card-action="fail" id="fail-${subscriber.id}" title="Nack every message of acknowledged subscriptions">Simulate Failure</button>
+            <button data-card-action="remove">Remove</button>
+        </div>
+        <div class="subscriptions-list">
+            <strong>Subscriptions:</strong> <span id="subs-${subscriber.id}">None</span>
+        </div>
+        <div class="delivery-stats" id="stats-${subscriber.id}"></div>
+        <div class="dead-letters" id="dlq-${subscriber.id}" hidden>
+            <div class="dead-letters-header">
+                <strong id="dlq-count-${subscriber.id}"></strong>
+                <button data-card-action="replay-dead-letters">Replay</button>
+                <button data-card-action="discard-dead-letters">Discard</button>
+            </div>
+            <div id="dlq-list-${subscriber.id}"></div>
+        </div>
+        <div class="latest-message" id="msg-${subscriber.id}">
+            <h4>Latest Message:</h4>
+            <div class="message-content">No messages received yet</div>
+        </div>
+        <div class="card-chart">
+            <select class="chart-mode" id="chart-mode-${subscriber.id}">
+                <option value="${ChartMode.LINE}">Line</option>
+                <option value="${ChartMode.CANDLESTICK}">Candles</option>
+            </select>
+            <canvas id="chart-${subscriber.id}"></canvas>
+        </div>
+        <div class="recent-history" id="history-${subscriber.id}"></div>
+    `;
+    
+    subscribersContainer.appendChild(card);
+    
+    // Chart the subscriber's message history, then keep it updated per message
+    const chart = new PriceChart(document.getElementById(`chart-${subscriber.id}`));
+    chart.load(subscriber.getMessageHistory());
+    cardCharts.set(subscriber.id, chart);
+    document.getElementById(`chart-mode-${subscriber.id}`).addEventListener('change', (e) => {
+        chart.setMode(e.target.value);
+    });
+    
+    // Per-card lifecycle and dead-letter controls
+    card.addEventListener('click', (e) => {
+        switch (e.target.dataset.cardAction) {
+            case 'rename':
+                startRenameSubscriber(subscriber.id);
+                break;
+            case 'pause':
+                togglePauseSubscriber(subscriber.id);
+                break;
+            case 'clone':
+                cloneSubscriber(subscriber.id);
+                break;
+            case 'resend':
+                resendMissingMessages(subscriber.id);
+                break;
+            case 'fail':
+                toggleFailingSubscriber(subscriber.id);
+                break;
+            case 'replay-dead-letters':
+                settleDeadLetters(subscriber.id, true);
+                break;
+            case 'discard-dead-letters':
+                settleDeadLetters(subscriber.id, false);
+                break;
+            case 'remove':
+                removeSubscriber(subscriber.id);
+                break;
+        }
+    });
+    
+    console.log(`Subscriber card created for ${subscriber.name} (${subscriber.id})`);
+    updateSubscriberCard(subscriber.id);
+}
+
+/**
+ * Update Subscriber Card
+ * Updates the visual representation of a subscriber with current state
+ * This function is called asynchronously when messages are received,
+ * demonstrating real-time updates in the publish-subscribe pattern
+ * 
+ * @param {string} subscriberId - The ID of the subscriber to update
+ * @param {string} topic - The topic (stock symbol) of the received message (optional)
+ * @param {Object} message - The message data received (optional)
+ */
+function updateSubscriberCard(subscriberId, topic = null, message = null) {
+    const subscriber = subscribers.get(subscriberId);
+    if (!subscriber) {
+        console.warn(`Subscriber ${subscriberId} not found`);
+        return;
+    }
+    
+    const card = document.getElementById(`subscriber-${subscriberId}`);
+    if (!card) {
+        console.warn(`Card for subscriber ${subscriberId} not found`);
+        return;
     }
     
     const subsElement = document.getElementById(`subs-${subscriberId}`);
@@ -325,42 +1095,145 @@ function updateSubscriberCard(subscriberId, topic = null, message = null) {
         return;
     }
     
-    // Update subscriptions
-    const subscriptions = [];
-    stockSymbols.forEach(symbol => {
-        const subs = broker.getSubscribers(symbol);
-        if (subs.includes(subscriberId)) {
-            subscriptions.push(symbol);
-        }
-    });
+    // Update subscriptions (exact topics and wildcard patterns)
+    const subscriptions = subscriber.getSubscriptions();
     
     if (subscriptions.length > 0) {
-        subsElement.innerHTML = subscriptions.map(s => 
-            `<span class="subscription-badge">${s}</span>`
-        ).join('');
+        subsElement.innerHTML = subscriptions.map(({ topic: s, filter, ack }) => {
+            // Show the active content filter next to the topic, if any
+            const filterText = filter
+                ? ` <span class="subscription-filter">where ${escapeHtml(filter)}</span>`
+                : '';
+            const ackText = ack ? ' <span class="subscription-ack">acked</span>' : '';
+            return `<span class="subscription-badge">${s}${filterText}${ackText}</span>`;
+        }).join('');
         card.classList.add('active');
     } else {
         subsElement.textContent = 'None';
         card.classList.remove('active');
     }
     
+    // Show a halt banner while a stock the card follows is halted
+    const haltElement = document.getElementById(`halt-${subscriberId}`);
+    if (haltElement) {
+        const halts = Array.from(haltedSymbols.values()).filter(halt =>
+            subscriptions.some(({ topic: s }) => followsSymbol(s, halt.symbol))
+        );
+        haltElement.textContent = halts.map(describeMarketEvent).join(' · ');
+        haltElement.hidden = halts.length === 0;
+        card.classList.toggle('halted', halts.length > 0);
+    }
+    
+    // Update delivery queue statistics
+    const statsElement = document.getElementById(`stats-${subscriberId}`);
+    if (statsElement) {
+        const stats = broker.getDeliveryStats(subscriber);
+        const pausedText = subscriber.isPaused() ? 'Paused · ' : '';
+        const sequenceStats = subscriber.getSequenceStats();
+        const missingText = sequenceStats.missing > 0 ? ` (${sequenceStats.missing} missing)` : '';
+        const lostText = sequenceStats.lost > 0 ? ` · Lost: ${sequenceStats.lost}` : '';
+        const duplicatesText = sequenceStats.duplicates > 0 ? ` · Duplicates: ${sequenceStats.duplicates}` : '';
+        const ackStats = broker.getAckStats(subscriber);
+        const ackText = subscriptions.some(({ ack }) => ack)
+            ? ` · Unacked: ${ackStats.unacked} · Redelivered: ${ackStats.redelivered}`
+            : '';
+        statsElement.textContent = `${pausedText}Queued: ${stats.depth} · Dropped: ${stats.dropped} · Failed: ${stats.failed}` +
+            ` · Gaps: ${sequenceStats.gaps}${missingText}${lostText}${duplicatesText}${ackText}`;
+        statsElement.classList.toggle('has-gaps', sequenceStats.missing > 0);
+        document.getElementById(`resend-${subscriberId}`).disabled = sequenceStats.missing === 0;
+    }
+    
+    // Update pause state
+    const pauseButton = document.getElementById(`pause-${subscriberId}`);
+    if (pauseButton) {
+        pauseButton.textContent = subscriber.isPaused() ? 'Resume' : 'Pause';
+    }
+    card.classList.toggle('paused', subscriber.isPaused());
+    
+    // Update simulated failure state
+    const failButton = document.getElementById(`fail-${subscriberId}`);
+    if (failButton) {
+        failButton.textContent = failingSubscribers.has(subscriberId) ? 'Stop Failing' : 'Simulate Failure';
+        failButton.classList.toggle('failing', failingSubscribers.has(subscriberId));
+    }
+    
+    // Update the dead-letter queue: messages that ran out of delivery attempts
+    const deadLettersElement = document.getElementById(`dlq-${subscriberId}`);
+    if (deadLettersElement) {
+        const deadLetters = subscriber.getDeadLetters();
+        deadLettersElement.hidden = deadLetters.length === 0;
+        document.getElementById(`dlq-count-${subscriberId}`).textContent = `Dead letters: ${deadLetters.length}`;
+        document.getElementById(`dlq-list-${subscriberId}`).innerHTML = deadLetters
+            .slice(-CARD_DEAD_LETTER_LENGTH)
+            .reverse()
+            .map(({ topic: entryTopic, message: entry, envelope, attempts, reason }) => `
+                <div class="dead-letter-row">
+                    <span>${entryTopic} #${envelope.sequence}</span>
+                    <span>${typeof entry.price === 'number' ? `$${entry.price.toFixed(2)}` : escapeHtml(describeMessage(entry))}</span>
+                    <span title="${escapeHtml(reason)}">${attempts} attempts</span>
+                </div>
+            `).join('');
+    }
+    
     // Update latest message
     if (message) {
+        const chart = cardCharts.get(subscriberId);
+        if (chart) {
+            chart.addMessage(topic, message);
+        }
+        
         const changeClass = message.change >= 0 ? 'positive' : 'negative';
         const changeSign = message.change >= 0 ? '+' : '';
         
-        msgElement.innerHTML = `
-            <h4>Latest Message (${topic}):</h4>
-            <div class="message-content">
-                <div class="message-price">$${message.price.toFixed(2)}</div>
-                <div class="message-change ${changeClass}">
-                    ${changeSign}${message.change.toFixed(2)}%
+        if (isTick(message)) {
+            msgElement.innerHTML = `
+                <h4>Latest Message (${topic}):</h4>
+                <div class="message-content">
+                    <div class="message-price">$${message.price.toFixed(2)}</div>
+                    <div class="message-change ${changeClass}">
+                        ${changeSign}${message.change.toFixed(2)}%
+                    </div>
+                    <div>${formatChangeFromClose(message)}</div>
+                    <div style="font-size: 0.8em; color: #666; margin-top: 5px;">
+                        ${new Date(message.timestamp).toLocaleTimeString()}
+                    </div>
                 </div>
-                <div style="font-size: 0.8em; color: #666; margin-top: 5px;">
-                    ${new Date(message.timestamp).toLocaleTimeString()}
+            `;
+        } else {
+            // Trades, indicators, dead letters, market events and session phases are not ticks
+            msgElement.innerHTML = `
+                <h4>Latest Message (${topic}):</h4>
+                <div class="message-content ${messageClass(message)}">${escapeHtml(describeMessage(message))}</div>
+            `;
+        }
+    }
+    
+    // Update recent history (messages received before the latest one)
+    const historyElement = document.getElementById(`history-${subscriberId}`);
+    if (historyElement) {
+        const history = subscriber.getMessageHistory();
+        const earlier = history.slice(-(CARD_HISTORY_LENGTH + 1), -1).reverse();
+        historyElement.innerHTML = earlier.map(({ topic: entryTopic, message: entry }) => {
+            if (!isTick(entry)) {
+                return `
+                    <div class="history-row">
+                        <span>${entryTopic}</span>
+                        <span class="${messageClass(entry)}">${escapeHtml(describeMessage(entry))}</span>
+                        <span>${new Date(entry.timestamp).toLocaleTimeString()}</span>
+                    </div>
+                `;
+            }
+            const changeClass = entry.change >= 0 ? 'positive' : 'negative';
+            const changeSign = entry.change >= 0 ? '+' : '';
+            return `
+                <div class="history-row">
+                    <span>${entryTopic}</span>
+                    <span>$${entry.price.toFixed(2)}</span>
+                    <span class="message-change ${changeClass}">${changeSign}${entry.change.toFixed(2)}%</span>
+                    <span>${new Date(entry.timestamp).toLocaleTimeString()}</span>
                 </div>
-            </div>
-        `;
+            `;
+        }).join('');
     }
 }
 
@@ -383,28 +1256,722 @@ uiSubscriber.setUpdateCallback((topic, message) => {
         const changeClass = message.change >= 0 ? 'positive' : 'negative';
         const changeSign = message.change >= 0 ? '+' : '';
         
+        const sinceClose = typeof message.changeFromClose === 'number'
+            ? `<div><strong>Since Close:</strong> ${formatChangeFromClose(message)}</div>`
+            : '';
+        
         latestUpdateContent.innerHTML = `
             <div><strong>Symbol:</strong> ${message.symbol}</div>
             <div><strong>Price:</strong> <span class="message-price">$${message.price.toFixed(2)}</span></div>
             <div><strong>Change:</strong> <span class="message-change ${changeClass}">${changeSign}${message.change.toFixed(2)}%</span></div>
+            ${sinceClose}
             <div><strong>Time:</strong> ${new Date(message.timestamp).toLocaleString()}</div>
         `;
     }
+    if (latestChart && message) {
+        latestChart.addMessage(topic, message);
+    }
 });
 
+/**
+ * Depth View Subscriber
+ * Follows the current stock's quote, trades and order book topics and keeps
+ * a local copy of the book for the depth view
+ */
+const depthSubscriber = new Subscriber('ui-depth', 'Depth View', broker);
+const depthBook = new OrderBook();
+const DEPTH_LEVELS = 5;
+let depthSymbol = null; // Symbol whose market data the depth view follows
+let depthQuote = null; // Latest "<symbol>.quote" message
+let depthTrade = null; // Latest "<symbol>.trades" message
+
+depthSubscriber.setUpdateCallback((topic, message) => {
+    if (topic === marketDataTopic(depthSymbol, BOOK_LEVEL)) {
+        depthBook.apply(message);
+    } else if (topic === marketDataTopic(depthSymbol, QUOTE_LEVEL)) {
+        depthQuote = message;
+    } else if (topic === marketDataTopic(depthSymbol, TRADES_LEVEL)) {
+        depthTrade = message;
+    }
+    renderDepth();
+});
+
+/**
+ * Market Status Subscriber
+ * Follows every stock's "status.<symbol>" topic to know which stocks are
+ * halted; cards following a halted stock show a HALTED banner. Only events
+ * from now on count, since retained halts may have ended before a reload.
+ */
+const statusSubscriber = new Subscriber('ui-status', 'Market Status', broker);
+const haltedSymbols = new Map(); // Symbol -> latest halt message
+
+statusSubscriber.setUpdateCallback((topic, message) => {
+    if (message.event === MarketEvent.HALT) {
+        haltedSymbols.set(message.symbol, message);
+    } else if (message.status === MarketStatus.TRADING) {
+        haltedSymbols.delete(message.symbol);
+    }
+    if (publisherRowsBody) {
+        subscribers.forEach(subscriber => updateSubscriberCard(subscriber.id));
+        renderPublishers();
+    }
+});
+statusSubscriber.subscribe('status.*', null, { replay: { last: 0 } });
+
+/**
+ * Market Session Subscriber
+ * Follows "market.session" for the phase badge of the header's market clock
+ */
+const sessionSubscriber = new Subscriber('ui-session', 'Market Session', broker);
+const PHASE_NAMES = {
+    [SessionPhase.PRE_MARKET]: 'Pre-Market',
+    [SessionPhase.REGULAR]: 'Market Open',
+    [SessionPhase.AFTER_HOURS]: 'After Hours',
+    [SessionPhase.CLOSED]: 'Market Closed'
+};
+let sessionMessage = null; // Latest "market.session" message
+
+sessionSubscriber.setUpdateCallback((topic, message) => {
+    sessionMessage = message;
+    if (marketPhaseLabel) {
+        renderMarketClock();
+        renderPublishers();
+    }
+});
+sessionSubscriber.subscribe(SESSION_TOPIC);
+
+/**
+ * Follow another symbol in the depth view
+ * The book topic is replayed far enough back to include a full snapshot.
+ * @param {string|null} symbol - Stock symbol (null to follow nothing)
+ */
+function followDepth(symbol) {
+    if (depthSymbol) {
+        [QUOTE_LEVEL, TRADES_LEVEL, BOOK_LEVEL].forEach(level => {
+            depthSubscriber.unsubscribe(marketDataTopic(depthSymbol, level));
+        });
+    }
+    depthSymbol = symbol;
+    depthBook.reset();
+    depthQuote = null;
+    depthTrade = null;
+    renderDepth();
+    if (!symbol) {
+        return;
+    }
+    
+    depthSubscriber.subscribe(marketDataTopic(symbol, QUOTE_LEVEL));
+    depthSubscriber.subscribe(marketDataTopic(symbol, TRADES_LEVEL));
+    depthSubscriber.subscribe(marketDataTopic(symbol, BOOK_LEVEL), null, { replay: { last: DEFAULT_SNAPSHOT_EVERY } });
+}
+
+/**
+ * Render Depth View
+ * Draws the order book as a price ladder (asks above, bids below) with
+ * size bars, plus the best quote and the last trade
+ */
+function renderDepth() {
+    if (!depthSummary || !depthBody) {
+        return;
+    }
+    
+    const parts = [];
+    if (depthQuote) {
+        parts.push(`Bid ${depthQuote.bid.toFixed(2)} × ${depthQuote.bidSize} · Ask ${depthQuote.ask.toFixed(2)} × ${depthQuote.askSize} · Spread ${depthQuote.spread.toFixed(2)}`);
+    }
+    if (depthTrade) {
+        parts.push(`Last ${depthTrade.size} @ ${depthTrade.price.toFixed(2)} (${depthTrade.side}) · Volume ${depthTrade.volume.toLocaleString()}`);
+    }
+    if (!depthBook.synced && depthBook.sequence !== null) {
+        parts.push('Book out of sync, waiting for snapshot…');
+    }
+    depthSummary.innerHTML = parts.length > 0 ? parts.join('<br>') : 'No market data yet';
+    
+    const { bids, asks } = depthBook.getLevels(DEPTH_LEVELS);
+    const maxSize = Math.max(1, ...bids.map(([, size]) => size), ...asks.map(([, size]) => size));
+    const bar = (size, color) => `background-image: linear-gradient(${color}, ${color}); background-size: ${size / maxSize * 100}% 100%;`;
+    
+    const askRows = asks.slice().reverse().map(([price, size]) => `
+        <tr>
+            <td></td>
+            <td class="ask-price">${price.toFixed(2)}</td>
+            <td class="ask-size" style="${bar(size, 'rgba(244, 67, 54, 0.2)')}">${size}</td>
+        </tr>
+    `);
+    const spreadRow = depthQuote && bids.length > 0
+        ? `<tr class="spread-row"><td colspan="3">spread ${depthQuote.spread.toFixed(2)}</td></tr>`
+        : '';
+    const bidRows = bids.map(([price, size]) => `
+        <tr>
+            <td class="bid-size" style="${bar(size, 'rgba(76, 175, 80, 0.2)')}">${size}</td>
+            <td class="bid-price">${price.toFixed(2)}</td>
+            <td></td>
+        </tr>
+    `);
+    depthBody.innerHTML = askRows.join('') + spreadRow + bidRows.join('');
+}
+
 /**
  * Update Publisher Status
  * Manages the UI subscriber's subscription to match the current publisher
  * Demonstrates dynamic subscription changes based on user selection
  */
 function updatePublisherStatus() {
+    // Unsubscribe from all topics first
+    uiSubscriber.unsubscribeAll();
+    if (latestChart) {
+        latestChart.clear();
+    }
+    // Subscribe to current publisher's stock, backfilling the chart with recent ticks
+    const symbol = currentPublisher ? currentPublisher.symbol : null;
+    if (symbol) {
+        uiSubscriber.subscribe(symbol, null, { replay: { last: LATEST_CHART_BACKFILL } });
+    }
+    if (depthSymbol !== symbol) {
+        followDepth(symbol);
+    }
+}
+
+/**
+ * Render Symbol Options
+ * Fills every symbol select from the registry, keeping the current choices
+ * where the symbol is still listed. Symbols come first in the topic select,
+ * ahead of the wildcard patterns, and after "Any symbol" in the alert form.
+ */
+function renderSymbolOptions() {
+    const entries = symbolRegistry.getAll();
+    [
+        { select: stockSymbolSelect, label: entry => `${entry.symbol} (${entry.name})` },
+        { select: topicSelect, atStart: true },
+        { select: alertSymbolSelect },
+        { select: orderSymbolSelect },
+        { select: newsSymbolSelect },
+        { select: indicatorSymbolSelect }
+    ].forEach(({ select, label = entry => entry.symbol, atStart = false }) => {
+        const selected = select.value;
+        select.querySelectorAll('option[data-symbol]').forEach(option => option.remove());
+        const anchor = atStart ? select.firstChild : null;
+        entries.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.symbol;
+            option.textContent = label(entry);
+            option.dataset.symbol = entry.symbol;
+            select.insertBefore(option, anchor);
+        });
+        if (Array.from(select.options).some(option => option.value === selected)) {
+            select.value = selected;
+        }
+    });
+}
+
+/**
+ * Refresh Symbol Views
+ * Rebuilds everything that lists symbols after one is listed or delisted:
+ * the symbol selects, the publisher panel, the current stock and the
+ * subscriptions shown on the cards
+ */
+function refreshSymbolViews() {
+    if (!publisherRowsBody) {
+        return; // Not initialized yet; initializeApp renders the first views
+    }
+    renderSymbolOptions();
+    renderIndicators();
+    createPublisherRows();
+    if (currentPublisher) {
+        stockSymbolSelect.value = currentPublisher.symbol;
+    }
+    currentStock.textContent = currentPublisher ? currentPublisher.symbol : 'None';
+    subscribers.forEach(subscriber => updateSubscriberCard(subscriber.id));
+}
+
+/**
+ * Add Symbol Handler
+ * Lists a new symbol from the symbol form; its publisher is created by the
+ * registry's "add" listener
+ */
+function handleAddSymbol() {
+    const startPrice = parseFloat(newSymbolPriceInput.value);
+    const model = newSymbolModelSelect.value;
+    try {
+        symbolRegistry.add({
+            symbol: newSymbolInput.value.trim().toUpperCase(),
+            name: newSymbolNameInput.value.trim(),
+            startPrice,
+            model,
+            // Without a profile, mean reversion pulls towards the starting price
+            params: model === 'mean-reversion' ? { mean: startPrice } : {}
+        });
+    } catch (error) {
+        console.error(`Cannot list symbol: ${error.message}`);
+        newSymbolInput.classList.toggle('invalid', /symbol/i.test(error.message));
+        newSymbolPriceInput.classList.toggle('invalid', /price/.test(error.message));
+        return;
+    }
+    newSymbolInput.classList.remove('invalid');
+    newSymbolPriceInput.classList.remove('invalid');
+    newSymbolInput.value = '';
+    newSymbolNameInput.value = '';
+    newSymbolPriceInput.value = '';
+    saveState();
+}
+
+/**
+ * Create a price model for a publisher from the panel's model choice
+ * Uses the symbol's own profile when it defines that model; mean reversion
+ * otherwise pulls towards the current price.
+ * @param {Publisher} publisher - The publisher to configure
+ * @param {string} type - Price model type (see PRICE_MODEL_NAMES)
+ * @returns {Object} The price model
+ */
+function createModelFor(publisher, type) {
+    const profile = DEFAULT_SYMBOL_PROFILES[publisher.symbol];
+    if (profile && profile.model === type) {
+        return createPriceModel(type, profile.params);
+    }
+    if (type === 'mean-reversion') {
+        return createPriceModel(type, { mean: publisher.currentPrice });
+    }
+    return createPriceModel(type);
+}
+
+/**
+ * Create Publisher Rows
+ * Builds one row per publisher in the publisher panel. The inputs are only
+ * created here, so refreshing the status never interrupts editing them.
+ */
+function createPublisherRows() {
+    publisherRowsBody.innerHTML = Array.from(publishers.values()).map(publisher => {
+        const modelOptions = Object.entries(PRICE_MODEL_NAMES).map(([type, name]) =>
+            `<option value="${type}" ${publisher.model.type === type ? 'selected' : ''}>${name}</option>`
+        ).join('');
+        return `
+            <tr>
+                <td><strong>${publisher.symbol}</strong></td>
+                <td id="publisher-status-${publisher.symbol}"></td>
+                <td><input type="number" min="0.1" step="0.1" value="${publisher.intervalMs / 1000}" data-publisher-interval="${publisher.symbol}"></td>
+                <td><select data-publisher-model="${publisher.symbol}">${modelOptions}</select></td>
+                <td id="publisher-price-${publisher.symbol}">-</td>
+                <td id="publisher-count-${publisher.symbol}">0</td>
+                <td>
+                    <button data-publisher-toggle="${publisher.symbol}"></button>
+                    <button data-publisher-halt="${publisher.symbol}"></button>
+                    <button data-symbol-remove="${publisher.symbol}">Delist</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+    renderPublishers();
+}
+
+/**
+ * Render Publishers
+ * Refreshes each publisher's status, last price and update count, and the
+ * overall publishing state
+ */
+function renderPublishers() {
+    let running = 0;
+    publishers.forEach(publisher => {
+        const publishing = publisher.isPublishing();
+        if (publishing) {
+            running++;
+        }
+        const status = document.getElementById(`publisher-status-${publisher.symbol}`);
+        if (!status) {
+            return;
+        }
+        const halted = publisher.isHalted();
+        const marketOpen = publisher.isMarketOpen();
+        if (halted) {
+            status.textContent = `Halted (${publisher.currentHalt.trigger})`;
+        } else if (publishing) {
+            status.textContent = marketOpen ? 'Publishing' : 'Waiting (market closed)';
+        } else {
+            status.textContent = 'Stopped';
+        }
+        status.classList.toggle('publisher-running', publishing && !halted && marketOpen);
+        status.classList.toggle('publisher-halted', halted);
+        if (publisher.lastMessage) {
+            document.getElementById(`publisher-price-${publisher.symbol}`).textContent =
+                `$${publisher.lastMessage.price.toFixed(2)}`;
+        }
+        document.getElementById(`publisher-count-${publisher.symbol}`).textContent = publisher.publishedCount;
+        publisherRowsBody.querySelector(`[data-publisher-toggle="${publisher.symbol}"]`).textContent =
+            publishing ? 'Stop' : 'Start';
+        publisherRowsBody.querySelector(`[data-publisher-halt="${publisher.symbol}"]`).textContent =
+            halted ? 'Resume' : 'Halt';
+    });
+    
+    publisherState.textContent = running > 0 ? `Publishing (${running} of ${publishers.size})` : 'Stopped';
+    publisherState.parentElement.classList.toggle('publishing', running > 0);
+}
+
+/**
+ * Circuit Breaker Settings Handler
+ * Applies the band and halt duration from the publisher panel to every
+ * publisher, and to publishers created later
+ */
+function handleCircuitBreakerChange() {
+    const settings = {
+        bandPercent: parseFloat(bandPercentInput.value),
+        haltMs: parseFloat(haltSecondsInput.value) * 1000
+    };
+    try {
+        publishers.forEach(publisher => publisher.setCircuitBreaker(settings));
+    } catch (error) {
+        console.error(`Cannot change the circuit breaker: ${error.message}`);
+        bandPercentInput.classList.toggle('invalid', /band/.test(error.message));
+        haltSecondsInput.classList.toggle('invalid', /halt/.test(error.message));
+        return;
+    }
+    Object.assign(circuitBreakerSettings, settings);
+    bandPercentInput.classList.remove('invalid');
+    haltSecondsInput.classList.remove('invalid');
+}
+
+/**
+ * Publish News Handler
+ * Publishes a news shock for the chosen stock now, or schedules it after
+ * the given delay
+ */
+function handlePublishNews() {
+    const publisher = publishers.get(newsSymbolSelect.value);
+    if (!publisher) {
+        return;
+    }
+    const news = {
+        headline: newsHeadlineInput.value.trim() || undefined,
+        percent: parseFloat(newsPercentInput.value)
+    };
+    const delaySeconds = parseFloat(newsDelayInput.value) || 0;
+    try {
+        if (delaySeconds > 0) {
+            publisher.scheduleNews(news, delaySeconds * 1000);
+        } else {
+            publisher.publishNews(news);
+        }
+    } catch (error) {
+        console.error(`Cannot publish news: ${error.message}`);
+        newsPercentInput.classList.add('invalid');
+        return;
+    }
+    newsPercentInput.classList.remove('invalid');
+    newsHeadlineInput.value = '';
+    renderPublishers();
+}
+
+/**
+ * Render Indicators
+ * Lists every stock's indicators with remove buttons, and offers each
+ * indicator topic in the topic dropdown
+ */
+function renderIndicators() {
+    const symbols = symbolRegistry.getAll().map(entry => entry.symbol);
+    indicatorList.innerHTML = symbols.map(symbol => {
+        const chips = indicatorEngine.getIndicators(symbol).map(name => `
+            <span class="indicator-chip">${escapeHtml(describeIndicator(name))}
+                <button data-indicator-remove="${name}" data-indicator-symbol="${symbol}" title="Stop computing">×</button>
+            </span>
+        `).join('');
+        const reset = indicatorEngine.isConfigured(symbol)
+            ? `<button data-indicator-reset="${symbol}">Use defaults</button>`
+            : '<small>(defaults)</small>';
+        return `<div class="indicator-row"><strong>${symbol}</strong> ${chips || '<small>none</small>'} ${reset}</div>`;
+    }).join('');
+    
+    // Offer every indicator topic, keeping the selected topic if it still exists
+    const selected = topicSelect.value;
+    indicatorTopicsGroup.innerHTML = symbols.flatMap(symbol => indicatorEngine.getIndicators(symbol).map(name => {
+        const topic = indicatorTopic(symbol, name);
+        return `<option value="${topic}">${symbol} ${escapeHtml(describeIndicator(name))} (${topic})</option>`;
+    })).join('');
+    if (Array.from(topicSelect.options).some(option => option.value === selected)) {
+        topicSelect.value = selected;
+    }
+}
+
+/**
+ * Add Indicator Handler
+ * Adds the indicator chosen in the publisher panel to a stock; the period
+ * defaults to the usual one for the indicator (MACD and VWAP take none)
+ */
+function handleAddIndicator() {
+    const type = indicatorTypeSelect.value;
+    const period = indicatorPeriodInput.value.trim() || DEFAULT_INDICATOR_PERIODS[type];
+    const name = type === IndicatorType.MACD || type === IndicatorType.VWAP ? type : `${type}${period}`;
+    try {
+        indicatorEngine.addIndicator(indicatorSymbolSelect.value, name);
+    } catch (error) {
+        console.error(`Cannot add indicator: ${error.message}`);
+        indicatorPeriodInput.classList.add('invalid');
+        return;
+    }
+    indicatorPeriodInput.classList.remove('invalid');
+    indicatorPeriodInput.value = '';
+    saveState();
+}
+
+/**
+ * Publish Invalid Tick Handler
+ * Publishes a tick with a non-numeric price for the current stock, which the
+ * broker rejects and sends to the stock's dead-letter topic
+ */
+function handlePublishInvalidTick() {
     if (currentPublisher) {
-        // Unsubscribe from all stocks first
-        stockSymbols.forEach(symbol => {
-            uiSubscriber.unsubscribe(symbol);
+        broker.publish(currentPublisher.symbol, {
+            symbol: currentPublisher.symbol,
+            price: 'n/a',
+            timestamp: clock.toISOString(),
+            change: 0
+        });
+    }
+}
+
+/**
+ * Render Clock
+ * Shows the simulation time and, in virtual time, the fast-forward progress
+ */
+function renderClock() {
+    clockTimeLabel.textContent = new Date(clock.now()).toLocaleString();
+    if (virtualTime) {
+        clockFastForwardBtn.textContent = fastForwardUntil === null
+            ? 'Fast-Forward Session'
+            : `Fast-Forwarding (${Math.round((fastForwardUntil - clock.now()) / 60000)} min left)`;
+    }
+    renderMarketClock();
+}
+
+/**
+ * Render Market Clock
+ * Shows the session phase, the exchange time and the time left until the
+ * next phase in the header
+ */
+function renderMarketClock() {
+    const phase = sessionMessage ? sessionMessage.phase : marketSession.getPhase();
+    marketPhaseLabel.textContent = PHASE_NAMES[phase];
+    marketPhaseLabel.className = `market-phase phase-${phase}`;
+    marketTimeLabel.textContent = new Date(clock.now()).toLocaleTimeString('en-US', {
+        timeZone: marketSession.calendar.timeZone,
+        timeZoneName: 'short'
+    });
+
+    const next = marketSession.getNextTransition();
+    if (!next) {
+        marketNextLabel.textContent = '';
+        return;
+    }
+    const minutesLeft = Math.max(0, Math.ceil((next.at - clock.now()) / 60000));
+    const hours = Math.floor(minutesLeft / 60);
+    const countdown = hours > 0 ? `${hours}h ${minutesLeft % 60}m` : `${minutesLeft}m`;
+    marketNextLabel.textContent = `${PHASE_NAMES[next.phase]} in ${countdown}`;
+}
+
+/**
+ * Handle Market Hours Change
+ * Switches the shared session between "always open" and exchange hours
+ * @param {string} key - MARKET_CALENDARS key
+ */
+function setMarketHours(key) {
+    if (!MARKET_CALENDARS[key]) {
+        console.warn(`Unknown market hours: ${key}`);
+        return;
+    }
+    marketHours = key;
+    marketSession.setCalendar(MARKET_CALENDARS[key]());
+    if (marketHoursSelect) {
+        marketHoursSelect.value = key;
+        renderClock();
+    }
+}
+
+/**
+ * Advance the virtual clock by one frame
+ * A fast-forward covers FAST_FORWARD_STEP_MS per frame until it reaches its
+ * end; otherwise the clock runs at the selected speed.
+ */
+function runVirtualClock() {
+    if (fastForwardUntil !== null) {
+        clock.advanceTo(Math.min(fastForwardUntil, clock.now() + FAST_FORWARD_STEP_MS));
+        if (clock.now() >= fastForwardUntil) {
+            fastForwardUntil = null;
+            renderPublishers();
+        }
+    } else if (clockSpeed > 0) {
+        clock.advance(CLOCK_FRAME_MS * clockSpeed);
+    } else {
+        return;
+    }
+    renderClock();
+}
+
+/**
+ * Step Tick Handler
+ * Runs the virtual clock's timers up to and including the next publisher tick
+ */
+function handleStepTick() {
+    const publishing = Array.from(publishers.values()).filter(publisher => publisher.isPublishing());
+    if (publishing.length === 0) {
+        console.warn('No publisher is running; start one to step through its ticks');
+        return;
+    }
+    const countTicks = () => publishing.reduce((sum, publisher) => sum + publisher.publishedCount, 0);
+    const before = countTicks();
+    while (countTicks() === before && clock.step()) {
+        // Other timers (e.g., the bar aggregator's) may fall due first
+    }
+    renderClock();
+    renderPublishers();
+}
+
+/**
+ * Switch between real and virtual time
+ * The clock is chosen when the page loads, so the state is saved and the page
+ * reloaded with the new "clock" parameter.
+ * @param {string} mode - "real" or "virtual"
+ */
+function switchClockMode(mode) {
+    const url = new URL(window.location.href);
+    if (mode === 'virtual') {
+        url.searchParams.set('clock', 'virtual');
+    } else {
+        url.searchParams.delete('clock');
+    }
+    saveState().then(() => window.location.assign(url.href));
+}
+
+/**
+ * Format a latency for the metrics panel
+ * @param {number|null} ms - Latency in milliseconds (null before the first delivery)
+ * @returns {string} Formatted latency
+ */
+function formatLatency(ms) {
+    return ms === null ? '-' : ms.toFixed(1);
+}
+
+/**
+ * Render Broker Metrics
+ * Refreshes the metrics panel from Broker.getMetrics(): publish counts, rates,
+ * fan-out and last publish time per topic, and delivery counters and latency
+ * percentiles for the subscribers currently shown in the UI.
+ */
+function renderMetrics() {
+    const metrics = broker.getMetrics();
+    
+    if (metrics.topics.length > 0) {
+        topicMetricsBody.innerHTML = metrics.topics.map(topic => `
+            <tr>
+                <td>${topic.topic}</td>
+                <td>${topic.publishCount}</td>
+                <td>${topic.ratePerSecond.toFixed(2)}</td>
+                <td>${topic.fanOut} / ${topic.averageFanOut.toFixed(1)}</td>
+                <td>${new Date(topic.lastPublishedAt).toLocaleTimeString()}</td>
+            </tr>
+        `).join('');
+    }
+    
+    // Only list the cards and the UI display, not internal subscribers
+    const shown = metrics.subscribers.filter(entry =>
+        subscribers.has(entry.id) || entry.id === uiSubscriber.id
+    );
+    if (shown.length > 0) {
+        subscriberMetricsBody.innerHTML = shown.map(entry => `
+            <tr>
+                <td>${escapeHtml(entry.name)}</td>
+                <td>${entry.delivered}</td>
+                <td>${entry.depth}</td>
+                <td>${entry.dropped}</td>
+                <td>${entry.failed}</td>
+                <td>${formatLatency(entry.latency.p50)} / ${formatLatency(entry.latency.p90)} / ${formatLatency(entry.latency.p99)}</td>
+            </tr>
+        `).join('');
+    }
+}
+
+/**
+ * Save Application State
+ * Stores the broker snapshot (subscriptions, retained quotes) and every
+ * subscriber's snapshot (name, message history) through the storage adapter.
+ * @returns {Promise<void>} Resolves when the state is saved (errors are logged)
+ */
+function saveState() {
+    const state = {
+        subscriberCounter,
+        subscribers: subscriberCreationOrder.map(id => subscribers.get(id).snapshot()),
+        broker: broker.snapshot(),
+        symbols: symbolRegistry.snapshot(),
+        alerts: alertEngine.snapshot(),
+        portfolio: portfolio.snapshot(),
+        indicators: indicatorEngine.snapshot(),
+        clockTime: virtualTime ? clock.now() : null,
+        marketHours
+    };
+    return storage.save(STATE_KEY, state).catch(error => {
+        console.error('Failed to save application state:', error);
+    });
+}
+
+/**
+ * Restore Application State
+ * Re-creates subscriber cards from the saved snapshots, then restores the
+ * broker's retained quotes and the subscribers' subscriptions.
+ * @returns {Promise<void>} Resolves when the state is restored (errors are logged)
+ */
+async function restoreState() {
+    let state;
+    try {
+        state = await storage.load(STATE_KEY);
+    } catch (error) {
+        console.error('Failed to load application state:', error);
+        return;
+    }
+    if (!state) {
+        return;
+    }
+    
+    try {
+        if (state.marketHours) {
+            setMarketHours(state.marketHours);
+        }
+        // Continue a virtual session where it stopped, so retained timestamps stay in order
+        if (virtualTime && state.clockTime > clock.now()) {
+            clock.advanceTo(state.clockTime);
+            renderClock();
+        }
+        subscriberCounter = state.subscriberCounter;
+        if (state.symbols) {
+            symbolRegistry.restore(state.symbols);
+        }
+        state.subscribers.forEach(snapshot => {
+            createSubscriber(snapshot.id, snapshot.name, snapshot);
+        });
+        broker.restore(state.broker, id => subscribers.get(id));
+        if (state.alerts) {
+            alertEngine.restore(state.alerts);
+        }
+        if (state.portfolio) {
+            portfolio.restore(state.portfolio);
+        }
+        if (state.indicators) {
+            indicatorEngine.restore(state.indicators);
+        }
+
+        // Show each restored subscriber's latest message and the latest published quote
+        subscribers.forEach(subscriber => {
+            const history = subscriber.getMessageHistory();
+            const latest = history[history.length - 1];
+            if (latest) {
+                updateSubscriberCard(subscriber.id, latest.topic, latest.message);
+                // The card chart already showed the whole history before this update
+                cardCharts.get(subscriber.id).load(history);
+            } else {
+                updateSubscriberCard(subscriber.id);
+            }
         });
-        // Subscribe to current publisher's stock
-        uiSubscriber.subscribe(currentPublisher.symbol);
+        updatePublisherStatus();
+
+        console.log(`Restored ${state.subscribers.length} subscribers from storage`);
+    } catch (error) {
+        // A saved state this version cannot apply must not stop the app from starting
+        console.error('Failed to restore application state:', error);
     }
 }
 
@@ -417,6 +1984,7 @@ function initializeApp() {
     // Get all DOM elements
     startPublishingBtn = document.getElementById('startPublishing');
     stopPublishingBtn = document.getElementById('stopPublishing');
+    publishInvalidBtn = document.getElementById('publishInvalid');
     stockSymbolSelect = document.getElementById('stockSymbol');
     addSubscriberBtn = document.getElementById('addSubscriber');
     removeSubscriberBtn = document.getElementById('removeSubscriber');
@@ -430,45 +1998,191 @@ function initializeApp() {
     subscribersContainer = document.getElementById('subscribersContainer');
     subscriberNameInput = document.getElementById('subscriberName');
     defaultNamesSelect = document.getElementById('defaultNames');
+    filterInput = document.getElementById('filterInput');
+    ackInput = document.getElementById('ackInput');
+    topicMetricsBody = document.getElementById('topicMetrics');
+    subscriberMetricsBody = document.getElementById('subscriberMetrics');
+    latestChartCanvas = document.getElementById('latestChart');
+    latestChartMode = document.getElementById('latestChartMode');
+    alertSymbolSelect = document.getElementById('alertSymbol');
+    alertConditionSelect = document.getElementById('alertCondition');
+    alertThresholdInput = document.getElementById('alertThreshold');
+    alertWindowInput = document.getElementById('alertWindow');
+    alertCooldownInput = document.getElementById('alertCooldown');
+    addAlertRuleBtn = document.getElementById('addAlertRule');
+    alertRulesList = document.getElementById('alertRules');
+    alertHistoryList = document.getElementById('alertHistory');
+    alertBadge = document.getElementById('alertBadge');
+    orderSymbolSelect = document.getElementById('orderSymbol');
+    orderSideSelect = document.getElementById('orderSide');
+    orderTypeSelect = document.getElementById('orderType');
+    orderQuantityInput = document.getElementById('orderQuantity');
+    orderLimitPriceInput = document.getElementById('orderLimitPrice');
+    placeOrderBtn = document.getElementById('placeOrder');
+    portfolioSummary = document.getElementById('portfolioSummary');
+    portfolioPositionsBody = document.getElementById('portfolioPositions');
+    portfolioOrdersBody = document.getElementById('portfolioOrders');
+    depthSummary = document.getElementById('depthSummary');
+    depthBody = document.getElementById('depthBody');
+    publisherRowsBody = document.getElementById('publisherRows');
+    newSymbolInput = document.getElementById('newSymbol');
+    newSymbolNameInput = document.getElementById('newSymbolName');
+    newSymbolPriceInput = document.getElementById('newSymbolPrice');
+    newSymbolModelSelect = document.getElementById('newSymbolModel');
+    addSymbolBtn = document.getElementById('addSymbol');
+    clockModeSelect = document.getElementById('clockMode');
+    clockTimeLabel = document.getElementById('clockTime');
+    clockSpeedSelect = document.getElementById('clockSpeed');
+    clockStepBtn = document.getElementById('clockStep');
+    clockFastForwardBtn = document.getElementById('clockFastForward');
+    bandPercentInput = document.getElementById('bandPercent');
+    haltSecondsInput = document.getElementById('haltSeconds');
+    newsSymbolSelect = document.getElementById('newsSymbol');
+    newsHeadlineInput = document.getElementById('newsHeadline');
+    newsPercentInput = document.getElementById('newsPercent');
+    newsDelayInput = document.getElementById('newsDelay');
+    publishNewsBtn = document.getElementById('publishNews');
+    marketHoursSelect = document.getElementById('marketHours');
+    marketPhaseLabel = document.getElementById('marketPhase');
+    marketTimeLabel = document.getElementById('marketTime');
+    marketNextLabel = document.getElementById('marketNext');
+    indicatorSymbolSelect = document.getElementById('indicatorSymbol');
+    indicatorTypeSelect = document.getElementById('indicatorType');
+    indicatorPeriodInput = document.getElementById('indicatorPeriod');
+    addIndicatorBtn = document.getElementById('addIndicator');
+    indicatorList = document.getElementById('indicatorList');
+    indicatorTopicsGroup = document.getElementById('indicatorTopics');
     
     // Ensure all DOM elements are available
-    if (!startPublishingBtn || !stopPublishingBtn || !addSubscriberBtn || 
+    if (!startPublishingBtn || !stopPublishingBtn || !publishInvalidBtn || !addSubscriberBtn || 
         !removeSubscriberBtn || !subscriberSelect || !topicSelect || 
         !subscribeBtn || !unsubscribeBtn || !publisherState || !currentStock || 
-        !latestUpdateContent || !subscribersContainer || !subscriberNameInput || !defaultNamesSelect) {
+        !latestUpdateContent || !subscribersContainer || !subscriberNameInput || !defaultNamesSelect ||
+        !filterInput || !ackInput || !topicMetricsBody || !subscriberMetricsBody || !latestChartCanvas || !latestChartMode ||
+        !alertSymbolSelect || !alertConditionSelect || !alertThresholdInput || !alertWindowInput ||
+        !alertCooldownInput || !addAlertRuleBtn || !alertRulesList || !alertHistoryList || !alertBadge ||
+        !orderSymbolSelect || !orderSideSelect || !orderTypeSelect || !orderQuantityInput ||
+        !orderLimitPriceInput || !placeOrderBtn || !portfolioSummary || !portfolioPositionsBody || !portfolioOrdersBody ||
+        !depthSummary || !depthBody || !publisherRowsBody || !newSymbolInput || !newSymbolNameInput ||
+        !newSymbolPriceInput || !newSymbolModelSelect || !addSymbolBtn || !clockModeSelect ||
+        !clockTimeLabel || !clockSpeedSelect || !clockStepBtn || !clockFastForwardBtn || !bandPercentInput ||
+        !haltSecondsInput || !newsSymbolSelect || !newsHeadlineInput || !newsPercentInput || !newsDelayInput ||
+        !publishNewsBtn || !marketHoursSelect || !marketPhaseLabel || !marketTimeLabel || !marketNextLabel ||
+        !indicatorSymbolSelect || !indicatorTypeSelect || !indicatorPeriodInput || !addIndicatorBtn ||
+        !indicatorList || !indicatorTopicsGroup) {
         console.error('Some DOM elements are missing');
         return;
     }
     
+    latestChart = new PriceChart(latestChartCanvas, { maxPoints: LATEST_CHART_POINTS, interactive: true });
+    
     // Set up all event listeners
     startPublishingBtn.addEventListener('click', () => {
-        if (currentPublisher) {
-            currentPublisher.startPublishing(2000);
-            publisherState.textContent = 'Publishing';
-            publisherState.parentElement.classList.add('publishing');
-            updatePublisherStatus();
-        }
+        publishers.forEach(publisher => {
+            if (!publisher.isPublishing()) {
+                publisher.startPublishing();
+            }
+        });
+        renderPublishers();
     });
     
     stopPublishingBtn.addEventListener('click', () => {
-        if (currentPublisher) {
-            currentPublisher.stopPublishing();
-            publisherState.textContent = 'Stopped';
-            publisherState.parentElement.classList.remove('publishing');
+        publishers.forEach(publisher => publisher.stopPublishing());
+        renderPublishers();
+    });
+    
+    // Per-publisher controls (rows are generated, so listen on the table body)
+    publisherRowsBody.addEventListener('click', (e) => {
+        if (e.target.dataset.symbolRemove) {
+            symbolRegistry.remove(e.target.dataset.symbolRemove);
+            saveState();
+            return;
+        }
+        const haltedPublisher = publishers.get(e.target.dataset.publisherHalt);
+        if (haltedPublisher) {
+            if (haltedPublisher.isHalted()) {
+                haltedPublisher.resumeTrading();
+            } else {
+                haltedPublisher.haltTrading();
+            }
+            renderPublishers();
+            return;
+        }
+        const publisher = publishers.get(e.target.dataset.publisherToggle);
+        if (publisher) {
+            if (publisher.isPublishing()) {
+                publisher.stopPublishing();
+            } else {
+                publisher.startPublishing();
+            }
+            renderPublishers();
         }
     });
+    publisherRowsBody.addEventListener('change', (e) => {
+        if (e.target.dataset.publisherInterval) {
+            try {
+                publishers.get(e.target.dataset.publisherInterval).setUpdateInterval(parseFloat(e.target.value) * 1000);
+                e.target.classList.remove('invalid');
+            } catch (error) {
+                console.error(error.message);
+                e.target.classList.add('invalid');
+            }
+        } else if (e.target.dataset.publisherModel) {
+            const publisher = publishers.get(e.target.dataset.publisherModel);
+            publisher.setModel(createModelFor(publisher, e.target.value));
+        }
+    });
+    
+    publishInvalidBtn.addEventListener('click', handlePublishInvalidTick);
+    
+    addSymbolBtn.addEventListener('click', handleAddSymbol);
+    
+    // Circuit breaker settings and news shocks
+    bandPercentInput.value = circuitBreakerSettings.bandPercent;
+    haltSecondsInput.value = circuitBreakerSettings.haltMs / 1000;
+    bandPercentInput.addEventListener('change', handleCircuitBreakerChange);
+    haltSecondsInput.addEventListener('change', handleCircuitBreakerChange);
+    publishNewsBtn.addEventListener('click', handlePublishNews);
+    
+    // Technical indicators
+    addIndicatorBtn.addEventListener('click', handleAddIndicator);
+    indicatorTypeSelect.addEventListener('change', (e) => {
+        indicatorPeriodInput.disabled = e.target.value === IndicatorType.MACD || e.target.value === IndicatorType.VWAP;
+    });
+    indicatorList.addEventListener('click', (e) => {
+        if (e.target.dataset.indicatorRemove) {
+            indicatorEngine.removeIndicator(e.target.dataset.indicatorSymbol, e.target.dataset.indicatorRemove);
+            saveState();
+        } else if (e.target.dataset.indicatorReset) {
+            indicatorEngine.configure(e.target.dataset.indicatorReset, null);
+            saveState();
+        }
+    });
+    indicatorEngine.on('change', renderIndicators);
+    
+    // Simulation clock (the virtual time controls only apply to a virtual clock)
+    clockModeSelect.value = virtualTime ? 'virtual' : 'real';
+    clockModeSelect.addEventListener('change', (e) => switchClockMode(e.target.value));
+    [clockSpeedSelect, clockStepBtn, clockFastForwardBtn].forEach(control => {
+        control.disabled = !virtualTime;
+    });
+    clockSpeedSelect.addEventListener('change', (e) => {
+        clockSpeed = Number(e.target.value);
+    });
+    clockStepBtn.addEventListener('click', handleStepTick);
+    clockFastForwardBtn.addEventListener('click', () => {
+        fastForwardUntil = fastForwardUntil === null ? clock.now() + FAST_FORWARD_MS : null;
+        renderClock();
+    });
+    marketHoursSelect.value = marketHours;
+    marketHoursSelect.addEventListener('change', (e) => setMarketHours(e.target.value));
     
+    // Publishers keep running; only the stock shown in the views changes
     stockSymbolSelect.addEventListener('change', (e) => {
         const symbol = e.target.value;
-        if (currentPublisher) {
-            currentPublisher.stopPublishing();
-        }
         currentPublisher = publishers.get(symbol);
         currentStock.textContent = symbol;
         updatePublisherStatus();
-        if (publisherState.textContent === 'Publishing') {
-            currentPublisher.startPublishing(2000);
-        }
     });
     
     defaultNamesSelect.addEventListener('change', (e) => {
@@ -481,13 +2195,88 @@ function initializeApp() {
     removeSubscriberBtn.addEventListener('click', handleRemoveSubscriber);
     subscribeBtn.addEventListener('click', handleSubscribe);
     unsubscribeBtn.addEventListener('click', handleUnsubscribe);
+    latestChartMode.addEventListener('change', (e) => latestChart.setMode(e.target.value));
+    
+    // Alert rules and notifications (buttons are re-rendered, so listen on the lists)
+    addAlertRuleBtn.addEventListener('click', handleAddAlertRule);
+    alertRulesList.addEventListener('change', (e) => {
+        if (e.target.dataset.ruleToggle) {
+            alertEngine.setRuleEnabled(e.target.dataset.ruleToggle, e.target.checked);
+            saveState();
+        }
+    });
+    alertRulesList.addEventListener('click', (e) => {
+        if (e.target.dataset.ruleRemove) {
+            alertEngine.removeRule(e.target.dataset.ruleRemove);
+            saveState();
+        }
+    });
+    alertHistoryList.addEventListener('click', (e) => {
+        if (e.target.dataset.alertAck) {
+            alertEngine.acknowledge(e.target.dataset.alertAck);
+        } else if (e.target.dataset.alertDismiss) {
+            alertEngine.dismiss(e.target.dataset.alertDismiss);
+        }
+    });
+    alertEngine.on('change', renderAlerts);
+    
+    // Acknowledged delivery: show messages moving to a card's dead-letter queue
+    broker.on('undelivered', ({ subscriber }) => {
+        if (subscribers.has(subscriber.id)) {
+            updateSubscriberCard(subscriber.id);
+        }
+    });
+    
+    // Paper trading
+    placeOrderBtn.addEventListener('click', handlePlaceOrder);
+    orderTypeSelect.addEventListener('change', (e) => {
+        orderLimitPriceInput.disabled = e.target.value !== 'limit';
+    });
+    portfolioOrdersBody.addEventListener('click', (e) => {
+        if (e.target.dataset.orderCancel) {
+            portfolio.cancelOrder(e.target.dataset.orderCancel);
+            saveState();
+        }
+    });
+    portfolio.on('change', renderPortfolio);
+    renderPortfolio();
+    window.addEventListener('resize', () => {
+        latestChart.draw();
+        cardCharts.forEach(chart => chart.draw());
+    });
     
     // Initialize UI state
+    renderSymbolOptions();
+    renderIndicators();
+    createPublisherRows();
     updatePublisherStatus();
     if (currentStock) {
         currentStock.textContent = stockSymbolSelect.value;
     }
     
+    // Restore the previous session and keep saving retained quotes as they change
+    restoreState();
+    setInterval(saveState, SAVE_INTERVAL_MS);
+    window.addEventListener('pagehide', saveState);
+    
+    // Keep the metrics panel, publisher statuses and clock live
+    setInterval(renderMetrics, METRICS_REFRESH_MS);
+    setInterval(renderPublishers, METRICS_REFRESH_MS);
+    renderClock();
+    if (virtualTime) {
+        setInterval(runVirtualClock, CLOCK_FRAME_MS);
+    } else {
+        setInterval(renderClock, METRICS_REFRESH_MS);
+    }
+    // Paused cards receive no messages, so refresh their queue depth here
+    setInterval(() => {
+        subscribers.forEach(subscriber => {
+            if (subscriber.isPaused()) {
+                updateSubscriberCard(subscriber.id);
+            }
+        });
+    }, METRICS_REFRESH_MS);
+    
     console.log('Application initialized successfully');
 }
 
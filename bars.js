@@ -0,0 +1,247 @@
+/**
+ * BarAggregator - Builds OHLC Bars from Raw Ticks
+ *
+ * The aggregator is an ordinary participant in the publish-subscribe pattern:
+ * it subscribes to raw tick topics through the broker, like any subscriber,
+ * and republishes completed open/high/low/close bars to derived topics, like
+ * any publisher. Downstream subscribers can consume bars instead of quotes:
+ *
+ *   AAPL (ticks) -> BarAggregator -> AAPL.bars.5s, AAPL.bars.1m, AAPL.bars.5m
+ *
+ * Bars are aligned to the interval (a 1m bar covers 10:31:00-10:32:00) and
+ * use the tick's own timestamp, so replayed data is bucketed by recorded time.
+ * A bar is completed when the first tick of a later interval arrives, or, if
+ * no tick arrives (e.g., the publisher was stopped), once its interval has
+ * elapsed since the last tick. Intervals without any ticks produce no bar;
+ * the next bar is flagged with gap: true and the number of missed intervals.
+ *
+ * Bar messages also carry price (the close), change (open to close, in
+ * percent) and timestamp (the bar end), so they can be shown wherever ticks are.
+ */
+import { systemClock } from './clock.js';
+import { Subscriber } from './subscriber.js';
+import { TOPIC_SEPARATOR, splitTopic } from './topics.js';
+
+// Topic level that separates a tick topic from its bar topics
+export const BARS_LEVEL = 'bars';
+
+const INTERVAL_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+/**
+ * Parse an interval label into milliseconds
+ * @param {string} label - Interval such as "5s", "1m" or "1h"
+ * @returns {number} Interval length in milliseconds
+ * @throws {Error} If the label is not a positive number followed by s, m or h
+ */
+export function parseInterval(label) {
+    const match = /^(\d+)([smh])$/.exec(label);
+    if (!match || Number(match[1]) === 0) {
+        throw new Error(`Invalid bar interval: ${label} (expected e.g. "5s", "1m" or "1h")`);
+    }
+    return Number(match[1]) * INTERVAL_UNITS[match[2]];
+}
+
+/**
+ * Get the derived topic that bars of a tick topic are published to
+ * @param {string} topic - Tick topic (e.g., "AAPL")
+ * @param {string} interval - Interval label (e.g., "1m")
+ * @returns {string} Bar topic (e.g., "AAPL.bars.1m")
+ */
+export function barTopic(topic, interval) {
+    return [topic, BARS_LEVEL, interval].join(TOPIC_SEPARATOR);
+}
+
+export class BarAggregator {
+    /**
+     * Constructor - Prepare an aggregator (call start() to begin)
+     *
+     * @param {Broker} broker - The broker to read ticks from and publish bars to
+     * @param {Object} [options] - Aggregator options
+     * @param {Array<string>} [options.intervals] - Bar intervals to build
+     * @param {string} [options.source] - Tick topic or pattern to aggregate
+     * @param {number} [options.flushIntervalMs] - How often idle bars are checked for completion
+     * @throws {Error} If an interval is invalid
+     */
+    constructor(broker, { intervals = ['5s', '1m', '5m'], source = '*', flushIntervalMs = 1000 } = {}) {
+        this.broker = broker; // Broker for both ticks and bars
+        this.clock = broker.clock || systemClock; // Drives the flush timer and receive times
+        this.intervals = intervals.map(label => ({ label, ms: parseInterval(label) }));
+        this.source = source; // Tick topic or pattern subscribed to
+        this.flushIntervalMs = flushIntervalMs;
+        this.flushTimer = null; // Clock interval ID while running
+
+        /**
+         * Partial Bars Map
+         * Key: Bar topic (e.g., "AAPL.bars.1m")
+         * Value: Bar still being built for the current interval
+         */
+        this.partialBars = new Map();
+
+        /**
+         * Last Completed Bar End Map
+         * Key: Bar topic
+         * Value: End time (ms) of the last completed bar, used to detect gaps
+         */
+        this.lastBarEnds = new Map();
+
+        this.subscriber = new Subscriber('bar-aggregator', 'Bar Aggregator', broker);
+        this.subscriber.setUpdateCallback((topic, message) => this.handleTick(topic, message));
+    }
+
+    /**
+     * Subscribe to the tick topics and start completing idle bars
+     * Only ticks published from now on are aggregated.
+     */
+    start() {
+        if (this.flushTimer) {
+            return;
+        }
+        this.subscriber.subscribe(this.source, null, { replay: { last: 0 } });
+        this.flushTimer = this.clock.setInterval(() => this.flush(), this.flushIntervalMs);
+    }
+
+    /**
+     * Stop aggregating; partial bars are kept and can still be queried
+     */
+    stop() {
+        if (!this.flushTimer) {
+            return;
+        }
+        this.subscriber.unsubscribe(this.source);
+        this.clock.clearInterval(this.flushTimer);
+        this.flushTimer = null;
+    }
+
+    /**
+     * Add a tick to the current bar of every interval
+     * @param {string} topic - Tick topic
+     * @param {Object} message - Tick with price, timestamp and optionally volume
+     */
+    handleTick(topic, message) {
+        // Never aggregate bars again, even if the source pattern matches them
+        if (splitTopic(topic).includes(BARS_LEVEL)) {
+            return;
+        }
+
+        const time = message.timestamp ? new Date(message.timestamp).getTime() : this.clock.now();
+        const receivedAt = this.clock.now();
+
+        this.intervals.forEach(({ label, ms }) => {
+            const derivedTopic = barTopic(topic, label);
+            const start = Math.floor(time / ms) * ms;
+            let bar = this.partialBars.get(derivedTopic);
+
+            // A tick from another interval completes the current bar; this also
+            // covers time going backwards, e.g. when a replay loops
+            if (bar && bar.start !== start) {
+                this.completeBar(derivedTopic);
+                bar = null;
+            }
+
+            if (!bar) {
+                bar = this.createBar(derivedTopic, message.symbol || topic, label, start, ms, message.price);
+                this.partialBars.set(derivedTopic, bar);
+            }
+
+            bar.high = Math.max(bar.high, message.price);
+            bar.low = Math.min(bar.low, message.price);
+            bar.close = message.price;
+            bar.tickCount++;
+            bar.volume += message.volume || 0;
+            bar.lastTickTime = time;
+            bar.lastReceivedAt = receivedAt;
+        });
+    }
+
+    /**
+     * Complete bars whose interval has elapsed without a newer tick
+     * A bar is considered elapsed once the time remaining in it after its last
+     * tick has passed, so bars of replayed data are not completed too early.
+     * @param {number} [now] - Current time in ms since epoch (default: the clock's time)
+     */
+    flush(now = this.clock.now()) {
+        Array.from(this.partialBars.entries()).forEach(([derivedTopic, bar]) => {
+            if (now - bar.lastReceivedAt >= bar.end - bar.lastTickTime) {
+                this.completeBar(derivedTopic);
+            }
+        });
+    }
+
+    /**
+     * Get the bar currently being built for a topic and interval
+     * @param {string} topic - Tick topic (e.g., "AAPL")
+     * @param {string} interval - Interval label (e.g., "1m")
+     * @returns {Object|null} The partial bar message, or null if there is none
+     */
+    getPartialBar(topic, interval) {
+        const bar = this.partialBars.get(barTopic(topic, interval));
+        return bar ? this.toMessage(bar) : null;
+    }
+
+    /**
+     * Get every bar currently being built
+     * @returns {Array<Object>} { topic, bar } for each partial bar, where topic is the bar topic
+     */
+    getPartialBars() {
+        return Array.from(this.partialBars.entries()).map(([derivedTopic, bar]) => ({
+            topic: derivedTopic,
+            bar: this.toMessage(bar)
+        }));
+    }
+
+    /**
+     * Start a new bar, noting how many intervals were skipped since the last one
+     */
+    createBar(derivedTopic, symbol, interval, start, ms, price) {
+        const lastEnd = this.lastBarEnds.get(derivedTopic);
+        const missedIntervals = lastEnd !== undefined && start > lastEnd ? (start - lastEnd) / ms : 0;
+        return {
+            symbol,
+            interval,
+            start,
+            end: start + ms,
+            open: price,
+            high: price,
+            low: price,
+            close: price,
+            tickCount: 0,
+            volume: 0,
+            missedIntervals,
+            lastTickTime: start,
+            lastReceivedAt: this.clock.now()
+        };
+    }
+
+    /**
+     * Publish a finished bar to its derived topic
+     */
+    completeBar(derivedTopic) {
+        const bar = this.partialBars.get(derivedTopic);
+        this.partialBars.delete(derivedTopic);
+        this.lastBarEnds.set(derivedTopic, bar.end);
+        this.broker.publish(derivedTopic, this.toMessage(bar));
+    }
+
+    /**
+     * Convert internal bar state to a bar message
+     */
+    toMessage(bar) {
+        return {
+            symbol: bar.symbol,
+            interval: bar.interval,
+            start: new Date(bar.start).toISOString(),
+            end: new Date(bar.end).toISOString(),
+            open: bar.open,
+            high: bar.high,
+            low: bar.low,
+            close: bar.close,
+            tickCount: bar.tickCount,
+            volume: bar.volume,
+            gap: bar.missedIntervals > 0,
+            missedIntervals: bar.missedIntervals,
+            price: bar.close,
+            change: parseFloat(((bar.close - bar.open) / bar.open * 100).toFixed(2)),
+            timestamp: new Date(bar.end).toISOString()
+        };
+    }
+}
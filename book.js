@@ -0,0 +1,254 @@
+/**
+ * Order Book - Simulated Market Microstructure and Level-2 Books
+ *
+ * Besides the plain price tick on "AAPL", a publisher also publishes three
+ * topic families for each symbol:
+ * - "AAPL.quote":  best bid and ask with sizes and spread
+ * - "AAPL.trades": last trade price and size, aggressor side and cumulative volume
+ * - "AAPL.book":   level-2 order book with a configurable number of levels per side
+ *
+ * Book messages are either a full snapshot or an incremental update that only
+ * lists the levels that changed (size 0 removes a level). Every book message
+ * has a sequence number; a snapshot is published when publishing starts and
+ * then every snapshotEvery messages, so a consumer that joins late or misses
+ * an update can resynchronize. OrderBook applies these messages on the
+ * consuming side.
+ *
+ * Book and trade sizes come from their own seeded generator, so adding market
+ * data does not change the price sequence of a seeded publisher.
+ */
+
+export const QUOTE_LEVEL = 'quote';
+export const TRADES_LEVEL = 'trades';
+export const BOOK_LEVEL = 'book';
+
+// Book messages between two snapshots (retain at least this many to replay a snapshot)
+export const DEFAULT_SNAPSHOT_EVERY = 20;
+
+export const BookMessageType = {
+    SNAPSHOT: 'snapshot',
+    UPDATE: 'update'
+};
+
+/**
+ * Get the topic of a symbol's market data family
+ * @param {string} symbol - Stock symbol (e.g., "AAPL")
+ * @param {string} level - QUOTE_LEVEL, TRADES_LEVEL or BOOK_LEVEL
+ * @returns {string} Topic (e.g., "AAPL.book")
+ */
+export function marketDataTopic(symbol, level) {
+    return `${symbol}.${level}`;
+}
+
+/**
+ * BookSimulator - Generates quotes, trades and book messages around a price
+ */
+export class BookSimulator {
+    /**
+     * Constructor - Create a simulator for one symbol
+     *
+     * @param {string} symbol - Stock symbol
+     * @param {Function} random - Uniform generator from createRandom()
+     * @param {Object} [options] - Simulation options
+     * @param {number} [options.depth] - Price levels per side of the book
+     * @param {number} [options.tickSize] - Price increment between levels
+     * @param {number} [options.spreadBps] - Typical bid/ask spread in basis points of the price
+     * @param {number} [options.snapshotEvery] - Book messages between two snapshots
+     */
+    constructor(symbol, random, { depth = 5, tickSize = 0.01, spreadBps = 5, snapshotEvery = DEFAULT_SNAPSHOT_EVERY } = {}) {
+        if (!Number.isInteger(depth) || depth < 1) {
+            throw new Error('Book depth must be a positive whole number');
+        }
+        this.symbol = symbol;
+        this.random = random;
+        this.depth = depth;
+        this.tickSize = tickSize;
+        this.spreadBps = spreadBps;
+        this.snapshotEvery = snapshotEvery;
+        this.sequence = 0; // Sequence number of the last book message
+        this.sinceSnapshot = null; // Book messages since the last snapshot (null = snapshot due)
+        this.bids = new Map(); // Price -> size of the last published book
+        this.asks = new Map();
+        this.lastPrice = null; // Previous trade price, for the aggressor side
+        this.volume = 0; // Cumulative traded volume
+    }
+
+    /**
+     * Make the next book message a full snapshot (e.g., when publishing restarts)
+     */
+    requestSnapshot() {
+        this.sinceSnapshot = null;
+    }
+
+    /**
+     * Simulate the market around a new trade price
+     * @param {number} price - Price of the latest trade
+     * @param {string} timestamp - ISO timestamp of the tick
+     * @returns {{quote: Object, trade: Object, book: Object}} Messages for the three topic families
+     */
+    next(price, timestamp) {
+        // Spread varies between half and one and a half times the typical spread
+        const halfSpread = Math.max(this.tickSize, price * this.spreadBps / 10000 / 2 * (0.5 + this.random()));
+        const bestBid = this.roundPrice(Math.floor((price - halfSpread) / this.tickSize) * this.tickSize);
+        const bestAsk = this.roundPrice(Math.max(bestBid + this.tickSize, Math.ceil((price + halfSpread) / this.tickSize) * this.tickSize));
+
+        const bids = new Map();
+        const asks = new Map();
+        for (let level = 0; level < this.depth; level++) {
+            bids.set(this.roundPrice(bestBid - level * this.tickSize), this.randomSize());
+            asks.set(this.roundPrice(bestAsk + level * this.tickSize), this.randomSize());
+        }
+
+        const size = this.randomSize();
+        this.volume += size;
+        const side = this.lastPrice === null || price >= this.lastPrice ? 'buy' : 'sell';
+        this.lastPrice = price;
+
+        const quote = {
+            symbol: this.symbol,
+            bid: bestBid,
+            bidSize: bids.get(bestBid),
+            ask: bestAsk,
+            askSize: asks.get(bestAsk),
+            spread: this.roundPrice(bestAsk - bestBid),
+            timestamp
+        };
+        const trade = { symbol: this.symbol, price, size, side, volume: this.volume, timestamp };
+        const book = this.createBookMessage(bids, asks, timestamp);
+
+        this.bids = bids;
+        this.asks = asks;
+        return { quote, trade, book };
+    }
+
+    /**
+     * Build a snapshot, or an update with the levels that changed since the last book
+     */
+    createBookMessage(bids, asks, timestamp) {
+        this.sequence++;
+        const snapshot = this.sinceSnapshot === null || this.sinceSnapshot + 1 >= this.snapshotEvery;
+        this.sinceSnapshot = snapshot ? 0 : this.sinceSnapshot + 1;
+
+        return {
+            symbol: this.symbol,
+            type: snapshot ? BookMessageType.SNAPSHOT : BookMessageType.UPDATE,
+            sequence: this.sequence,
+            bids: snapshot ? Array.from(bids.entries()) : diffLevels(this.bids, bids),
+            asks: snapshot ? Array.from(asks.entries()) : diffLevels(this.asks, asks),
+            timestamp
+        };
+    }
+
+    /**
+     * Random order size in round lots of 100 shares
+     */
+    randomSize() {
+        return (1 + Math.floor(this.random() * 10)) * 100;
+    }
+
+    /**
+     * Round away floating point noise from price arithmetic
+     */
+    roundPrice(price) {
+        return parseFloat(price.toFixed(4));
+    }
+}
+
+/**
+ * List the levels that changed between two books ([price, 0] for removed levels)
+ */
+function diffLevels(previous, current) {
+    const changes = [];
+    previous.forEach((size, price) => {
+        if (!current.has(price)) {
+            changes.push([price, 0]);
+        }
+    });
+    current.forEach((size, price) => {
+        if (previous.get(price) !== size) {
+            changes.push([price, size]);
+        }
+    });
+    return changes;
+}
+
+/**
+ * OrderBook - Local copy of a level-2 book built from book messages
+ *
+ * Updates are only applied on top of a snapshot and in sequence. After a
+ * missed update the book is out of sync and ignores updates until the next
+ * snapshot arrives.
+ */
+export class OrderBook {
+    constructor() {
+        this.bids = new Map(); // Price -> size
+        this.asks = new Map(); // Price -> size
+        this.sequence = null; // Sequence number of the last applied message
+        this.synced = false; // True while the book reflects every message since a snapshot
+    }
+
+    /**
+     * Apply a book message
+     * @param {Object} message - Snapshot or update from a "<symbol>.book" topic
+     * @returns {boolean} True if the message was applied
+     */
+    apply(message) {
+        if (message.type === BookMessageType.SNAPSHOT) {
+            this.bids = new Map(message.bids);
+            this.asks = new Map(message.asks);
+            this.sequence = message.sequence;
+            this.synced = true;
+            return true;
+        }
+
+        if (!this.synced || message.sequence <= this.sequence) {
+            return false;
+        }
+        if (message.sequence !== this.sequence + 1) {
+            console.warn(`Order book missed updates (expected ${this.sequence + 1}, got ${message.sequence}); waiting for a snapshot`);
+            this.synced = false;
+            return false;
+        }
+
+        applyLevels(this.bids, message.bids);
+        applyLevels(this.asks, message.asks);
+        this.sequence = message.sequence;
+        return true;
+    }
+
+    /**
+     * Get the best levels of each side
+     * @param {number} [depth] - Maximum levels per side
+     * @returns {{bids: Array<Array<number>>, asks: Array<Array<number>>}} [price, size] pairs,
+     *          bids from the highest price and asks from the lowest
+     */
+    getLevels(depth = Infinity) {
+        return {
+            bids: Array.from(this.bids.entries()).sort((a, b) => b[0] - a[0]).slice(0, depth),
+            asks: Array.from(this.asks.entries()).sort((a, b) => a[0] - b[0]).slice(0, depth)
+        };
+    }
+
+    /**
+     * Forget all levels (e.g., when switching symbols)
+     */
+    reset() {
+        this.bids.clear();
+        this.asks.clear();
+        this.sequence = null;
+        this.synced = false;
+    }
+}
+
+/**
+ * Apply [price, size] changes to one side of a book
+ */
+function applyLevels(side, changes) {
+    changes.forEach(([price, size]) => {
+        if (size === 0) {
+            side.delete(price);
+        } else {
+            side.set(price, size);
+        }
+    });
+}
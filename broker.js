@@ -1,3 +1,18 @@
+import { AckTracker, resolveAckSettings } from './acks.js';
+import { systemClock } from './clock.js';
+import { compileFilter } from './filters.js';
+import { BrokerMetrics } from './metrics.js';
+import { DeliveryQueue } from './queue.js';
+import {
+    DEFAULT_REPLAY,
+    DEFAULT_RETENTION,
+    pruneRetained,
+    selectReplay,
+    validateRetention
+} from './retention.js';
+import { SchemaRegistry, deadLetterTopic, isDeadLetterTopic } from './schemas.js';
+import { MULTI_LEVEL_WILDCARD, TOPIC_CREATED, TOPIC_REMOVED, isPattern, matchTopic } from './topics.js';
+
 /**
  * Broker - Central Message Broker for Publish-Subscribe Pattern
  * 
@@ -8,6 +23,30 @@
  * 2. Asynchronous Message Routing: Messages are distributed asynchronously to all subscribers
  * 3. Dynamic Subscriptions: Subscribers can subscribe/unsubscribe at runtime
  * 4. Topic-Based Filtering: Messages are routed based on topics (stock symbols)
+ * 5. Wildcard Subscriptions: Hierarchical topics can be matched with "*" and "#"
+ * 6. Content-Based Filtering: Subscriptions can declare a filter on message fields
+ * 7. Fault Isolation: Each subscriber has its own delivery queue, so a failing
+ *    subscriber never blocks, reorders or drops messages for the others
+ * 8. Backpressure: Delivery queues can be bounded with an overflow policy,
+ *    so a slow subscriber cannot build up an unbounded backlog
+ * 9. Retained Messages: Each topic keeps recent messages according to its
+ *    retention policy, and new subscriptions choose how much of it to replay
+ * 10. Persistence: Broker state can be captured as a snapshot and restored
+ *     later through a storage adapter (see storage.js)
+ * 11. Metrics: Publish rates, fan-out and delivery latencies are recorded
+ *     and reported by getMetrics()
+ * 12. Schemas: Topics can register versioned schemas (see schemas.js); invalid
+ *     messages go to a dead-letter topic and subscribers can request a version
+ * 13. Topic Lifecycle: Topics can be created with metadata and removed again;
+ *     both are announced on the "topics.created" and "topics.removed" topics
+ * 14. Injectable Time: Timestamps, retention ages and publish rates come from
+ *     the broker's clock (see clock.js), which publishers and subscribers share
+ * 15. Message Envelopes: Every delivery carries an envelope with the message's
+ *     ID, per-topic sequence number, publish time and publisher, so subscribers
+ *     can detect gaps and duplicates and ask for a resend (see resend())
+ * 16. Acknowledgements: Subscriptions can require acks; unacked messages are
+ *     redelivered with backoff and finally moved to the subscription's
+ *     dead-letter queue (see acks.js)
  * 
  * Architecture Pattern: Publish-Subscribe (Pub-Sub)
  * - Publishers publish messages to topics without knowing who will receive them
@@ -16,17 +55,40 @@
  * 
  * Message Flow:
  * Publisher -> Broker.publish(topic, message) -> Broker routes to all subscribers of topic
+ *   -> each subscriber's DeliveryQueue -> Subscriber.receive(topic, message, envelope)
+ *   (in a later microtask)
+ * 
+ * Envelope: { messageId, topic, sequence, publishedAt, publisherId }, plus
+ * "filtered: true" when only a filtered subscription let the message through
+ * (the subscriber then cannot expect consecutive sequence numbers) and
+ * "resent: true" for messages delivered again by resend(). Subscriptions that
+ * require acks add deliveryId and attempt, and "redelivered: true" from the
+ * second attempt on.
+ * 
+ * Events (see on/off):
+ * - "error": { subscriber, topic, message, error } when a subscriber fails to process a message
+ * - "disconnect": { subscriber, reason } when a subscriber is forcibly removed (see disconnect())
+ * - "deadletter": { topic, message, reason } when a published message fails validation
+ * - "undelivered": { subscriber, pattern, topic, message, envelope, attempts, reason, deadLetteredAt }
+ *   when an acknowledged subscription's message runs out of attempts
  */
 export class Broker {
     /**
      * Constructor - Initialize the broker
      * Creates data structures to manage subscriptions and message history
+     * 
+     * @param {Object} [options] - Broker options
+     * @param {Clock} [options.clock] - Time source (default: the wall clock; see clock.js)
      */
-    constructor() {
+    constructor({ clock = systemClock } = {}) {
+        // Time source shared with the publishers and subscribers of this broker
+        this.clock = clock;
+        
         /**
          * Subscriptions Map
-         * Key: Topic (stock symbol, e.g., "AAPL")
-         * Value: Set of Subscriber instances subscribed to that topic
+         * Key: Topic or wildcard pattern (e.g., "AAPL", "stocks.tech.*", "#")
+         * Value: Map of Subscriber instances subscribed to that topic to their
+         *        compiled content filter (null when every message is wanted)
          * This enables efficient message routing to all subscribers of a topic
          */
         this.subscriptions = new Map();
@@ -34,10 +96,127 @@ export class Broker {
         /**
          * Message History Map
          * Key: Topic (stock symbol)
-         * Value: Last message published to that topic
+         * Value: Retained entries { sequence, offset, publishedAt, publisherId, schemaVersion, message },
+         *        oldest first
          * Used to send recent messages to newly subscribed subscribers
          */
         this.messageHistory = new Map();
+        
+        /**
+         * Topic Sequences Map
+         * Key: Topic
+         * Value: Number of messages published to that topic so far
+         */
+        this.topicSequences = new Map();
+        
+        // Total number of messages published through this broker
+        this.publishOffset = 0;
+        
+        /**
+         * Topic Catalog Map
+         * Key: Topic declared with createTopic()
+         * Value: { metadata, createdAt }
+         * Publishing does not require a declared topic; the catalog lets other
+         * components discover the topics that are meant to exist.
+         */
+        this.topicCatalog = new Map();
+        
+        /**
+         * Retention Policies Map
+         * Key: Topic or wildcard pattern
+         * Value: Retention policy (see retention.js); topics without a matching
+         *        policy retain only their last message
+         */
+        this.retentionPolicies = new Map();
+        
+        // Versioned message schemas per topic or pattern (see schemas.js)
+        this.schemas = new SchemaRegistry();
+        
+        /**
+         * Requested Schema Versions Map
+         * Key: Topic or wildcard pattern
+         * Value: Map of Subscriber instances to the schema version they asked for
+         *        (subscriptions without a version receive messages as published)
+         */
+        this.schemaVersions = new Map();
+        
+        /**
+         * Ack Settings Map
+         * Key: Topic or wildcard pattern
+         * Value: Map of Subscriber instances to the ack settings of their
+         *        subscription (see acks.js); fire-and-forget subscriptions are absent
+         */
+        this.ackSettings = new Map();
+        
+        // Pending acknowledgements, redeliveries and dead-letter queues
+        this.acks = new AckTracker(clock, {
+            redeliver: (subscriber, topic, message, envelope) => {
+                this.getDeliveryQueue(subscriber).enqueue(topic, message, envelope);
+            },
+            onDeadLetter: (subscriber, deadLetter) => this.emit('undelivered', { subscriber, ...deadLetter })
+        });
+        
+        /**
+         * Delivery Queues Map
+         * Key: Subscriber instance
+         * Value: DeliveryQueue that delivers messages to that subscriber asynchronously
+         */
+        this.deliveryQueues = new Map();
+        
+        /**
+         * Event Listeners Map
+         * Key: Event name (e.g., "error")
+         * Value: Set of listener functions
+         */
+        this.listeners = new Map();
+        
+        // Publish and delivery metrics (see metrics.js)
+        this.metrics = new BrokerMetrics();
+    }
+
+    /**
+     * Register a listener for a broker event
+     * @param {string} event - Event name (e.g., "error")
+     * @param {Function} listener - Called with the event payload
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+    }
+
+    /**
+     * Remove a previously registered event listener
+     * @param {string} event - Event name
+     * @param {Function} listener - The listener to remove
+     */
+    off(event, listener) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).delete(listener);
+        }
+    }
+
+    /**
+     * Notify all listeners of an event
+     * A throwing listener is logged and does not prevent the others from running.
+     * @param {string} event - Event name
+     * @param {Object} payload - Event data passed to each listener
+     * @returns {boolean} True if at least one listener was notified
+     */
+    emit(event, payload) {
+        const eventListeners = this.listeners.get(event);
+        if (!eventListeners || eventListeners.size === 0) {
+            return false;
+        }
+        eventListeners.forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Broker "${event}" listener failed:`, error);
+            }
+        });
+        return true;
     }
 
     /**
@@ -47,30 +226,101 @@ export class Broker {
      * Subscribers can subscribe to topics at any time, and will immediately
      * receive the latest message if available (demonstrating message persistence).
      * 
-     * @param {string} topic - The topic to subscribe to (e.g., stock symbol like "AAPL")
+     * The topic may be a wildcard pattern (see topics.js). A pattern subscription
+     * receives messages for every matching topic, including topics first published
+     * later, and is replayed the latest message of every matching topic.
+     * 
+     * An optional content filter restricts delivery to matching messages (see
+     * filters.js). Subscribing again to the same topic replaces the filter.
+     * 
+     * Backpressure options bound the subscriber's delivery queue (see queue.js).
+     * The queue is shared by all of a subscriber's subscriptions, so the most
+     * recent subscription that declares these options sets them.
+     * 
+     * @param {string} topic - The topic or pattern to subscribe to (e.g., "AAPL", "stocks.#")
      * @param {Subscriber} subscriber - The subscriber instance to add to the topic
+     * @param {string|Object} [filter] - Filter expression (e.g., "price > 150") or field-equality map
+     * @param {Object} [options] - Subscription options
+     * @param {number} [options.bufferSize] - Maximum number of undelivered messages
+     * @param {string} [options.overflow] - Overflow policy: "drop-oldest", "drop-newest", "conflate" or "disconnect"
+     * @param {Object} [options.replay] - Retained messages to replay: { last: n }, { since: time }
+     *        or { sinceSequence: n } (default: the latest message of each matching topic)
+     * @param {number} [options.schemaVersion] - Schema version to receive; messages published
+     *        under older versions are upcast to it (see schemas.js)
+     * @param {boolean|Object} [options.ack] - Require acknowledgements: true, or ack settings
+     *        { timeoutMs, maxAttempts, backoffMs, maxBackoffMs } (see acks.js)
+     * @throws {Error} If the filter expression, backpressure, replay, schema or ack options are invalid
      */
-    subscribe(topic, subscriber) {
+    subscribe(topic, subscriber, filter = null, options = {}) {
+        // Validate first so invalid input leaves existing subscriptions untouched
+        const compiledFilter = filter ? compileFilter(filter) : null;
+        const { bufferSize, overflow, replay = DEFAULT_REPLAY, schemaVersion, ack = false } = options;
+        const ackSettings = ack ? resolveAckSettings(ack) : null;
+        selectReplay([], replay);
+        if (schemaVersion !== undefined && (!Number.isInteger(schemaVersion) || schemaVersion < 1)) {
+            throw new Error(`Invalid schema version: ${schemaVersion}`);
+        }
+        if (schemaVersion !== undefined && !isPattern(topic) && !this.schemas.getSchema(topic, schemaVersion)) {
+            throw new Error(`Topic ${topic} has no schema version ${schemaVersion}`);
+        }
+        if (bufferSize !== undefined || overflow !== undefined) {
+            this.getDeliveryQueue(subscriber).configure({ bufferSize, overflow });
+        }
+        
         // Create topic entry if it doesn't exist
         if (!this.subscriptions.has(topic)) {
-            this.subscriptions.set(topic, new Set());
+            this.subscriptions.set(topic, new Map());
         }
         
-        // Add subscriber to the topic's subscriber set
-        // Using Set ensures no duplicate subscriptions
-        this.subscriptions.get(topic).add(subscriber);
+        // Add subscriber to the topic's subscriber map
+        // Using a Map keyed by subscriber ensures no duplicate subscriptions
+        this.subscriptions.get(topic).set(subscriber, compiledFilter);
+        
+        if (!this.schemaVersions.has(topic)) {
+            this.schemaVersions.set(topic, new Map());
+        }
+        if (schemaVersion !== undefined) {
+            this.schemaVersions.get(topic).set(subscriber, schemaVersion);
+        } else {
+            this.schemaVersions.get(topic).delete(subscriber);
+        }
+        
+        if (!this.ackSettings.has(topic)) {
+            this.ackSettings.set(topic, new Map());
+        }
+        if (ackSettings) {
+            this.ackSettings.get(topic).set(subscriber, ackSettings);
+        } else if (this.ackSettings.get(topic).delete(subscriber)) {
+            this.acks.cancel(subscriber, topic);
+        }
         
         /**
          * Send recent message history to new subscriber
          * This ensures new subscribers receive the latest state immediately,
-         * demonstrating message persistence in the publish-subscribe pattern
+         * demonstrating message persistence in the publish-subscribe pattern.
+         * Messages from several matching topics are replayed in publish order.
          */
-        if (this.messageHistory.has(topic)) {
-            const lastMessage = this.messageHistory.get(topic);
-            subscriber.receive(topic, lastMessage);
-        }
+        const backlog = [];
+        this.messageHistory.forEach((entries, retainedTopic) => {
+            if (!matchTopic(topic, retainedTopic)) {
+                return;
+            }
+            selectReplay(this.getRetainedEntries(retainedTopic), replay).forEach(entry => {
+                if (!compiledFilter || compiledFilter.test(entry.message)) {
+                    backlog.push({ topic: retainedTopic, entry });
+                }
+            });
+        });
+        backlog
+            .sort((a, b) => a.entry.offset - b.entry.offset)
+            .forEach(({ topic: retainedTopic, entry }) => {
+                this.deliver(subscriber, retainedTopic, entry.message, entry.schemaVersion, createEnvelope(retainedTopic, entry));
+            });
         
-        console.log(`Subscriber ${subscriber.id} subscribed to topic: ${topic}`);
+        const filterText = compiledFilter ? ` (filter: ${compiledFilter.source})` : '';
+        const versionText = schemaVersion !== undefined ? ` (schema version: ${schemaVersion})` : '';
+        const ackText = ackSettings ? ' (acknowledged)' : '';
+        console.log(`Subscriber ${subscriber.id} subscribed to topic: ${topic}${filterText}${versionText}${ackText}`);
     }
 
     /**
@@ -80,18 +330,91 @@ export class Broker {
      */
     unsubscribe(topic, subscriber) {
         if (this.subscriptions.has(topic)) {
-            this.subscriptions.get(topic).delete(subscriber);
+            const topicSubscribers = this.subscriptions.get(topic);
+            topicSubscribers.delete(subscriber);
+            
+            // Drop empty entries so unused wildcard patterns don't accumulate
+            if (topicSubscribers.size === 0) {
+                this.subscriptions.delete(topic);
+                this.schemaVersions.delete(topic);
+                this.ackSettings.delete(topic);
+            } else {
+                this.schemaVersions.get(topic).delete(subscriber);
+                this.ackSettings.get(topic).delete(subscriber);
+            }
+            // Deliveries still awaiting an ack are abandoned; dead letters stay
+            this.acks.cancel(subscriber, topic);
             console.log(`Subscriber ${subscriber.id} unsubscribed from topic: ${topic}`);
         }
     }
 
+    /**
+     * Unsubscribe a subscriber from every topic and pattern it is subscribed to
+     * @param {Subscriber} subscriber - The subscriber instance
+     * @returns {number} Number of subscriptions removed
+     */
+    unsubscribeAll(subscriber) {
+        const topics = this.getSubscriptions(subscriber).map(({ topic }) => topic);
+        topics.forEach(topic => this.unsubscribe(topic, subscriber));
+        return topics.length;
+    }
+
+    /**
+     * Remove a subscriber from the broker entirely
+     * Its subscriptions end, undelivered messages are discarded and its
+     * delivery queue, dead-letter queues and metrics are forgotten.
+     * @param {Subscriber} subscriber - The subscriber instance
+     */
+    removeSubscriber(subscriber) {
+        this.unsubscribeAll(subscriber);
+        const queue = this.deliveryQueues.get(subscriber);
+        if (queue) {
+            queue.clear();
+            this.deliveryQueues.delete(subscriber);
+        }
+        this.acks.forget(subscriber);
+        this.metrics.forgetSubscriber(subscriber);
+        console.log(`Subscriber ${subscriber.id} removed`);
+    }
+
+    /**
+     * Suspend delivery to a subscriber
+     * Messages keep being queued (subject to its backpressure options) and are
+     * delivered in order once the subscriber is resumed.
+     * @param {Subscriber} subscriber - The subscriber instance
+     */
+    pause(subscriber) {
+        this.getDeliveryQueue(subscriber).pause();
+        console.log(`Subscriber ${subscriber.id} paused`);
+    }
+
+    /**
+     * Resume delivery to a paused subscriber
+     * @param {Subscriber} subscriber - The subscriber instance
+     */
+    resume(subscriber) {
+        this.getDeliveryQueue(subscriber).resume();
+        console.log(`Subscriber ${subscriber.id} resumed`);
+    }
+
+    /**
+     * Check whether delivery to a subscriber is paused
+     * @param {Subscriber} subscriber - The subscriber instance
+     * @returns {boolean} True if paused
+     */
+    isPaused(subscriber) {
+        const queue = this.deliveryQueues.get(subscriber);
+        return queue ? queue.paused : false;
+    }
+
     /**
      * Publish a message to all subscribers of a topic
      * 
      * This is the core method that implements the publish-subscribe pattern.
      * When a publisher calls this method:
      * 1. The message is stored in history for new subscribers
-     * 2. The message is asynchronously distributed to all subscribers of the topic
+     * 2. The message is queued for every subscriber of the topic and delivered
+     *    asynchronously, after publish() has returned
      * 3. Each subscriber receives the message independently (decoupled communication)
      * 
      * This demonstrates asynchronous, message-driven communication where:
@@ -99,35 +422,508 @@ export class Broker {
      * - Multiple subscribers can receive the same message simultaneously
      * - The broker handles all routing logic
      * 
-     * @param {string} topic - The topic to publish to (e.g., stock symbol)
+     * Messages to a topic with a schema are validated first. A message that
+     * fails validation is not delivered; it is published to the dead-letter
+     * topic "deadletter.<topic>" together with the reason instead.
+     * 
+     * Accepted messages are numbered per topic (1, 2, 3, ...) and delivered
+     * with an envelope carrying that sequence number (see the class comment).
+     * 
+     * @param {string} topic - The concrete topic to publish to (e.g., stock symbol)
      * @param {Object} message - The message data to broadcast
+     * @param {Object} [options] - Publish options
+     * @param {number} [options.schemaVersion] - Schema version of the message (default: the latest)
+     * @param {string} [options.publisherId] - ID of the publishing component, for tracing
      */
-    publish(topic, message) {
+    publish(topic, message, { schemaVersion, publisherId = null } = {}) {
+        // Wildcards only make sense when subscribing
+        if (isPattern(topic)) {
+            console.warn(`Cannot publish to wildcard pattern: ${topic}`);
+            return;
+        }
+        
+        // Dead letters are never validated, so a rejection cannot cascade
+        let schema = null;
+        if (!isDeadLetterTopic(topic)) {
+            const validation = this.schemas.validate(topic, message, schemaVersion);
+            if (validation.reason) {
+                this.deadLetter(topic, message, validation.reason, validation.schema, publisherId);
+                return;
+            }
+            schema = validation.schema;
+        }
+        const version = schema ? schema.version : null;
+        
         /**
          * Store message in history
-         * This allows new subscribers to receive the latest state when they subscribe
+         * This allows new subscribers to receive the latest state when they subscribe.
+         * The topic's retention policy decides how many older messages are kept.
          */
-        this.messageHistory.set(topic, message);
+        const sequence = (this.topicSequences.get(topic) || 0) + 1;
+        this.topicSequences.set(topic, sequence);
+        const entries = this.messageHistory.get(topic) || [];
+        this.publishOffset++;
+        const publishedAt = this.clock.now();
+        const entry = { sequence, offset: this.publishOffset, publishedAt, publisherId, schemaVersion: version, message };
+        entries.push(entry);
+        this.messageHistory.set(topic, pruneRetained(entries, this.getRetentionPolicy(topic), publishedAt));
+        const envelope = createEnvelope(topic, entry);
         
         /**
          * Notify all subscribers asynchronously
-         * This loop iterates through all subscribers and calls their receive method.
-         * In a real-world scenario, this could be implemented with async/await or
-         * message queues for true asynchronous processing.
+         * This loop hands the message to each subscriber's delivery queue; the
+         * queues call the subscribers' receive methods in later microtasks.
          * 
          * The forEach loop demonstrates the broadcast nature: one message -> many receivers
          */
-        if (this.subscriptions.has(topic)) {
-            const subscribers = this.subscriptions.get(topic);
-            subscribers.forEach(subscriber => {
-                // Each subscriber receives the message independently
-                subscriber.receive(topic, message);
-            });
-        }
+        const recipients = this.getMatchingSubscribers(topic, message);
+        recipients.forEach(subscriber => {
+            // Each subscriber receives the message independently
+            this.deliver(subscriber, topic, message, version, envelope);
+        });
+        this.metrics.recordPublish(topic, recipients.size, publishedAt);
         
         console.log(`Published message to topic ${topic}:`, message);
     }
 
+    /**
+     * Publish a rejected message to its dead-letter topic
+     * @param {string} topic - The topic the message was published to
+     * @param {Object} message - The rejected message
+     * @param {string} reason - Why validation failed
+     * @param {Object|null} schema - The schema the message was checked against
+     * @param {string|null} [publisherId] - Publisher of the rejected message
+     */
+    deadLetter(topic, message, reason, schema, publisherId = null) {
+        console.warn(`Rejected message to topic ${topic}: ${reason}`);
+        this.publish(deadLetterTopic(topic), {
+            topic,
+            reason,
+            schema: schema ? `${schema.name}@${schema.version}` : null,
+            message,
+            timestamp: this.clock.toISOString()
+        }, { publisherId });
+        this.emit('deadletter', { topic, message, reason });
+    }
+
+    /**
+     * Register the next version of the schema for a topic or wildcard pattern
+     * @param {string} topic - Topic or pattern (e.g., "AAPL" or "*")
+     * @param {Object} definition - { name, version, fields, upcast } (see SchemaRegistry.register)
+     * @returns {Object} The registered schema
+     * @throws {Error} If the definition is invalid
+     */
+    registerSchema(topic, definition) {
+        const schema = this.schemas.register(topic, definition);
+        console.log(`Registered schema ${schema.name}@${schema.version} for topic: ${topic}`);
+        return schema;
+    }
+
+    /**
+     * Get the schema that applies to a concrete topic
+     * @param {string} topic - The concrete topic
+     * @param {number} [version] - Schema version (default: the latest)
+     * @returns {Object|null} The schema, or null if there is none
+     */
+    getSchema(topic, version) {
+        return this.schemas.getSchema(topic, version);
+    }
+
+    /**
+     * Declare a topic and announce it on "topics.created"
+     * @param {string} topic - The concrete topic (e.g., "NVDA")
+     * @param {Object} [metadata] - Description of the topic, included in the announcement
+     * @throws {Error} If the topic is a wildcard pattern or already declared
+     */
+    createTopic(topic, metadata = {}) {
+        if (isPattern(topic)) {
+            throw new Error(`Cannot create wildcard pattern as a topic: ${topic}`);
+        }
+        if (this.topicCatalog.has(topic)) {
+            throw new Error(`Topic already exists: ${topic}`);
+        }
+        const createdAt = this.clock.now();
+        this.topicCatalog.set(topic, { metadata, createdAt });
+        this.publish(TOPIC_CREATED, { topic, metadata, timestamp: new Date(createdAt).toISOString() });
+    }
+
+    /**
+     * Remove a topic with its subtopics (e.g., "NVDA" and "NVDA.bars.1m") and
+     * announce it on "topics.removed"
+     * Retained messages and publish metrics are dropped and subscriptions to
+     * exactly these topics end; wildcard subscriptions stay in place.
+     * @param {string} topic - The concrete topic
+     */
+    removeTopic(topic) {
+        const scope = `${topic}.${MULTI_LEVEL_WILDCARD}`;
+        this.topicCatalog.delete(topic);
+        Array.from(this.messageHistory.keys()).forEach(retainedTopic => {
+            if (matchTopic(scope, retainedTopic)) {
+                this.messageHistory.delete(retainedTopic);
+                this.metrics.forgetTopic(retainedTopic);
+            }
+        });
+        Array.from(this.subscriptions.keys()).forEach(subscribedTopic => {
+            if (!isPattern(subscribedTopic) && matchTopic(scope, subscribedTopic)) {
+                Array.from(this.subscriptions.get(subscribedTopic).keys()).forEach(subscriber => {
+                    this.unsubscribe(subscribedTopic, subscriber);
+                });
+            }
+        });
+        this.publish(TOPIC_REMOVED, { topic, timestamp: this.clock.toISOString() });
+    }
+
+    /**
+     * Get the declared topics
+     * @returns {Array<Object>} Entries { topic, metadata, createdAt }, in creation order
+     */
+    getTopicCatalog() {
+        return Array.from(this.topicCatalog.entries()).map(([topic, { metadata, createdAt }]) => ({
+            topic,
+            metadata,
+            createdAt
+        }));
+    }
+
+    /**
+     * Set the retention policy for a topic or wildcard pattern
+     * Exact topic policies take precedence over patterns; among patterns, the
+     * first one set that matches wins. Already retained messages are pruned
+     * to the new policy immediately.
+     * @param {string} topic - Topic or pattern (e.g., "AAPL" or "*")
+     * @param {Object} policy - RetentionPolicy.last(n), .window(ms) or .none()
+     * @throws {Error} If the policy is invalid
+     */
+    setRetentionPolicy(topic, policy) {
+        validateRetention(policy);
+        this.retentionPolicies.set(topic, policy);
+        this.messageHistory.forEach((entries, retainedTopic) => {
+            this.messageHistory.set(
+                retainedTopic,
+                pruneRetained(entries, this.getRetentionPolicy(retainedTopic), this.clock.now())
+            );
+        });
+    }
+
+    /**
+     * Get the retention policy that applies to a concrete topic
+     * @param {string} topic - The concrete topic
+     * @returns {Object} The applicable retention policy
+     */
+    getRetentionPolicy(topic) {
+        if (this.retentionPolicies.has(topic)) {
+            return this.retentionPolicies.get(topic);
+        }
+        for (const [pattern, policy] of this.retentionPolicies) {
+            if (matchTopic(pattern, topic)) {
+                return policy;
+            }
+        }
+        return DEFAULT_RETENTION;
+    }
+
+    /**
+     * Get the retained entries of a topic
+     * Time-window policies are applied first, so expired messages are never returned.
+     * @param {string} topic - The concrete topic
+     * @returns {Array<Object>} Entries { sequence, offset, publishedAt, publisherId, schemaVersion, message },
+     *          oldest first
+     */
+    getRetainedEntries(topic) {
+        if (!this.messageHistory.has(topic)) {
+            return [];
+        }
+        const entries = pruneRetained(
+            this.messageHistory.get(topic),
+            this.getRetentionPolicy(topic),
+            this.clock.now()
+        );
+        this.messageHistory.set(topic, entries);
+        return entries.slice();
+    }
+
+    /**
+     * Deliver retained messages of a topic to a subscriber again
+     * Used by subscribers that detected a gap (see Subscriber.requestResend).
+     * Only messages still retained can be resent; the rest of the range is lost.
+     * Resent messages are delivered in sequence order with "resent: true" in
+     * their envelope, after any messages already queued for the subscriber.
+     * @param {string} topic - The concrete topic
+     * @param {Subscriber} subscriber - The receiving subscriber
+     * @param {number} fromSequence - First sequence number to resend
+     * @param {number} toSequence - Last sequence number to resend
+     * @returns {Array<number>} Sequence numbers that were resent
+     * @throws {Error} If the topic is a pattern or the range is invalid
+     */
+    resend(topic, subscriber, fromSequence, toSequence) {
+        if (isPattern(topic)) {
+            throw new Error(`Cannot resend from wildcard pattern: ${topic}`);
+        }
+        if (!Number.isInteger(fromSequence) || !Number.isInteger(toSequence) || fromSequence < 1 || toSequence < fromSequence) {
+            throw new Error(`Invalid sequence range: ${fromSequence}-${toSequence}`);
+        }
+        const entries = this.getRetainedEntries(topic)
+            .filter(entry => entry.sequence >= fromSequence && entry.sequence <= toSequence);
+        entries.forEach(entry => {
+            this.deliver(subscriber, topic, entry.message, entry.schemaVersion, {
+                ...createEnvelope(topic, entry),
+                resent: true
+            });
+        });
+        console.log(`Resent ${entries.length} of ${toSequence - fromSequence + 1} messages (${fromSequence}-${toSequence}) on topic ${topic} to subscriber ${subscriber.id}`);
+        return entries.map(entry => entry.sequence);
+    }
+
+    /**
+     * Get (or create) the delivery queue of a subscriber
+     * Failures are counted by the queue and reported through the "error" event
+     * (or logged if nobody listens), never thrown back to the publisher.
+     * @param {Subscriber} subscriber - The receiving subscriber
+     * @returns {DeliveryQueue} The subscriber's queue
+     */
+    getDeliveryQueue(subscriber) {
+        if (!this.deliveryQueues.has(subscriber)) {
+            this.deliveryQueues.set(subscriber, new DeliveryQueue(subscriber, {
+                onError: (error, topic, message, envelope) => {
+                    if (!this.emit('error', { subscriber, topic, message, error })) {
+                        console.error(`Delivery to subscriber ${subscriber.id} failed for topic ${topic}:`, error);
+                    }
+                    // A failed acknowledged delivery counts as a nack
+                    if (envelope && envelope.deliveryId) {
+                        this.acks.nack(subscriber, envelope.deliveryId, error.message || String(error));
+                    }
+                },
+                onDisconnect: () => this.disconnect(subscriber, 'buffer overflow'),
+                onDelivered: latencyMs => this.metrics.recordDelivery(subscriber, latencyMs),
+                onDispatched: envelope => {
+                    if (envelope && envelope.deliveryId) {
+                        this.acks.dispatched(envelope.deliveryId);
+                    }
+                },
+                onDropped: (topic, message, envelope) => {
+                    if (envelope && envelope.deliveryId) {
+                        this.acks.nack(subscriber, envelope.deliveryId, 'dropped from the delivery queue');
+                    }
+                },
+                onSuperseded: (topic, message, envelope) => {
+                    if (envelope && envelope.deliveryId) {
+                        this.acks.release(envelope.deliveryId);
+                    }
+                }
+            }));
+        }
+        return this.deliveryQueues.get(subscriber);
+    }
+
+    /**
+     * Queue a message for asynchronous delivery to one subscriber
+     * A subscriber that requested a newer schema version than the message was
+     * published with receives the upcast message. If upcasting fails, the
+     * message is not delivered and the failure is reported like a delivery error.
+     * @param {Subscriber} subscriber - The receiving subscriber
+     * @param {string} topic - The concrete topic of the message
+     * @param {Object} message - The message data
+     * @param {number|null} [publishedVersion] - Schema version the message was published with
+     * @param {Object|null} [envelope] - The message's envelope (see createEnvelope)
+     */
+    deliver(subscriber, topic, message, publishedVersion = null, envelope = null) {
+        const requestedVersion = this.getRequestedSchemaVersion(topic, subscriber);
+        if (publishedVersion !== null && requestedVersion !== null && publishedVersion < requestedVersion) {
+            try {
+                message = this.schemas.upcast(topic, message, publishedVersion, requestedVersion);
+            } catch (error) {
+                if (!this.emit('error', { subscriber, topic, message, error })) {
+                    console.error(`Upcast for subscriber ${subscriber.id} failed for topic ${topic}:`, error);
+                }
+                return;
+            }
+        }
+        if (envelope && !envelope.filtered && this.isFilteredFor(topic, subscriber)) {
+            envelope = { ...envelope, filtered: true };
+        }
+        const ackSubscription = envelope ? this.getAckSubscription(topic, subscriber) : null;
+        if (ackSubscription) {
+            envelope = this.acks.track(subscriber, ackSubscription.pattern, ackSubscription.settings, topic, message, envelope);
+        }
+        this.getDeliveryQueue(subscriber).enqueue(topic, message, envelope);
+    }
+
+    /**
+     * Find the subscription that requires acks for a subscriber's deliveries of a topic
+     * @param {string} topic - The concrete topic
+     * @param {Subscriber} subscriber - The subscriber instance
+     * @returns {{pattern: string, settings: Object}|null} The first matching acknowledged
+     *          subscription, or null for fire-and-forget delivery
+     */
+    getAckSubscription(topic, subscriber) {
+        for (const [pattern, settings] of this.ackSettings) {
+            if (settings.has(subscriber) && matchTopic(pattern, topic)) {
+                return { pattern, settings: settings.get(subscriber) };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Acknowledge a delivery of an acknowledged subscription
+     * @param {Subscriber} subscriber - The subscriber that processed the message
+     * @param {string} deliveryId - The envelope's deliveryId
+     * @returns {boolean} False if the delivery is unknown or already settled
+     */
+    ack(subscriber, deliveryId) {
+        return this.acks.ack(subscriber, deliveryId);
+    }
+
+    /**
+     * Reject a delivery of an acknowledged subscription
+     * The message is redelivered after a backoff, or dead-lettered after its last attempt.
+     * @param {Subscriber} subscriber - The subscriber that failed to process the message
+     * @param {string} deliveryId - The envelope's deliveryId
+     * @param {string} [reason] - Why processing failed
+     * @returns {boolean} False if the delivery is unknown or already settled
+     */
+    nack(subscriber, deliveryId, reason = 'rejected by subscriber') {
+        return this.acks.nack(subscriber, deliveryId, reason);
+    }
+
+    /**
+     * Get the messages in a subscriber's dead-letter queues
+     * @param {Subscriber} subscriber - The subscriber instance
+     * @param {string} [pattern] - Only this subscription's queue (default: all)
+     * @returns {Array<Object>} Dead letters { pattern, topic, message, envelope, attempts, reason, deadLetteredAt }
+     */
+    getDeadLetters(subscriber, pattern = null) {
+        return this.acks.getDeadLetters(subscriber, pattern);
+    }
+
+    /**
+     * Deliver a subscriber's dead letters again, with fresh attempts
+     * Dead letters of subscriptions that no longer require acks are delivered
+     * once without tracking; the queues are emptied either way.
+     * @param {Subscriber} subscriber - The subscriber instance
+     * @param {string} [pattern] - Only this subscription's queue (default: all)
+     * @returns {number} Number of messages redelivered
+     */
+    replayDeadLetters(subscriber, pattern = null) {
+        const deadLetters = this.acks.takeDeadLetters(subscriber, pattern);
+        deadLetters.forEach(({ topic, message, envelope }) => {
+            const { deliveryId, attempt, ...original } = envelope;
+            const ackSubscription = this.getAckSubscription(topic, subscriber);
+            const replayed = ackSubscription
+                ? this.acks.track(subscriber, ackSubscription.pattern, ackSubscription.settings, topic, message, original,
+                    { redelivered: true })
+                : { ...original, redelivered: true };
+            this.getDeliveryQueue(subscriber).enqueue(topic, message, replayed);
+        });
+        console.log(`Replaying ${deadLetters.length} dead letters to subscriber ${subscriber.id}`);
+        return deadLetters.length;
+    }
+
+    /**
+     * Empty a subscriber's dead-letter queues
+     * @param {Subscriber} subscriber - The subscriber instance
+     * @param {string} [pattern] - Only this subscription's queue (default: all)
+     * @returns {number} Number of dead letters discarded
+     */
+    discardDeadLetters(subscriber, pattern = null) {
+        return this.acks.takeDeadLetters(subscriber, pattern).length;
+    }
+
+    /**
+     * Get a subscriber's acknowledgement statistics
+     * @param {Subscriber} subscriber - The subscriber instance
+     * @returns {{unacked: number, redelivered: number, deadLettered: number}} See AckTracker.getStats
+     */
+    getAckStats(subscriber) {
+        return this.acks.getStats(subscriber);
+    }
+
+    /**
+     * Check whether a subscriber only receives a topic through filtered subscriptions
+     * Such a subscriber skips the messages its filters reject, so gaps in the
+     * sequence numbers it sees are expected.
+     * @param {string} topic - The concrete topic
+     * @param {Subscriber} subscriber - The subscriber instance
+     * @returns {boolean} True if no unfiltered subscription covers the topic
+     */
+    isFilteredFor(topic, subscriber) {
+        for (const [pattern, topicSubscribers] of this.subscriptions) {
+            if (topicSubscribers.get(subscriber) === null && matchTopic(pattern, topic)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Get the schema version a subscriber requested for a concrete topic
+     * If several of its subscriptions match, the highest requested version wins.
+     * @param {string} topic - The concrete topic
+     * @param {Subscriber} subscriber - The subscriber instance
+     * @returns {number|null} The requested version, or null to receive messages as published
+     */
+    getRequestedSchemaVersion(topic, subscriber) {
+        let requested = null;
+        this.schemaVersions.forEach((versions, pattern) => {
+            if (versions.has(subscriber) && matchTopic(pattern, topic)) {
+                requested = Math.max(requested || 0, versions.get(subscriber));
+            }
+        });
+        return requested;
+    }
+
+    /**
+     * Forcibly remove a subscriber from every topic it is subscribed to
+     * Used by the "disconnect" overflow policy for subscribers that cannot keep up.
+     * @param {Subscriber} subscriber - The subscriber to disconnect
+     * @param {string} reason - Why the subscriber was disconnected
+     */
+    disconnect(subscriber, reason) {
+        this.unsubscribeAll(subscriber);
+        console.warn(`Subscriber ${subscriber.id} disconnected: ${reason}`);
+        this.emit('disconnect', { subscriber, reason });
+    }
+
+    /**
+     * Get delivery statistics for a subscriber
+     * @param {Subscriber} subscriber - The subscriber instance
+     * @returns {{depth: number, delivered: number, failed: number, dropped: number}}
+     *          Current queue depth and delivery counters
+     */
+    getDeliveryStats(subscriber) {
+        const queue = this.deliveryQueues.get(subscriber);
+        if (!queue) {
+            return { depth: 0, delivered: 0, failed: 0, dropped: 0 };
+        }
+        return {
+            depth: queue.depth,
+            delivered: queue.delivered,
+            failed: queue.failed,
+            dropped: queue.dropped
+        };
+    }
+
+    /**
+     * Get broker metrics for introspection
+     * @returns {{topics: Array<Object>, subscribers: Array<Object>}} Per-topic publish
+     *          metrics and per-subscriber delivery metrics (see metrics.js)
+     */
+    getMetrics() {
+        const subscribers = [];
+        this.deliveryQueues.forEach((queue, subscriber) => {
+            subscribers.push({
+                id: subscriber.id,
+                name: subscriber.name,
+                ...this.getDeliveryStats(subscriber),
+                latency: this.metrics.getLatency(subscriber)
+            });
+        });
+        return {
+            topics: this.metrics.getTopicMetrics(this.clock.now()),
+            subscribers
+        };
+    }
+
     /**
      * Get list of subscribers for a topic
      * @param {string} topic - The topic
@@ -137,15 +933,184 @@ export class Broker {
         if (!this.subscriptions.has(topic)) {
             return [];
         }
-        return Array.from(this.subscriptions.get(topic)).map(sub => sub.id);
+        return Array.from(this.subscriptions.get(topic).keys()).map(sub => sub.id);
+    }
+
+    /**
+     * Get every subscription of a subscriber
+     * @param {Subscriber} subscriber - The subscriber instance
+     * @returns {Array<Object>} Entries { topic, filter, schemaVersion, ack } in subscription order;
+     *          filter, schemaVersion and ack (the ack settings) are null when not set
+     */
+    getSubscriptions(subscriber) {
+        const subscriptions = [];
+        this.subscriptions.forEach((topicSubscribers, topic) => {
+            if (topicSubscribers.has(subscriber)) {
+                const compiledFilter = topicSubscribers.get(subscriber);
+                const schemaVersion = this.schemaVersions.get(topic).get(subscriber);
+                subscriptions.push({
+                    topic,
+                    filter: compiledFilter ? compiledFilter.source : null,
+                    schemaVersion: schemaVersion === undefined ? null : schemaVersion,
+                    ack: this.ackSettings.get(topic).get(subscriber) || null
+                });
+            }
+        });
+        return subscriptions;
+    }
+
+    /**
+     * Get the content filter of a subscription
+     * @param {string} topic - The topic or pattern the subscriber subscribed to
+     * @param {Subscriber} subscriber - The subscriber instance
+     * @returns {string|null} The filter expression, or null if unfiltered
+     */
+    getFilter(topic, subscriber) {
+        const topicSubscribers = this.subscriptions.get(topic);
+        const compiledFilter = topicSubscribers ? topicSubscribers.get(subscriber) : null;
+        return compiledFilter ? compiledFilter.source : null;
+    }
+
+    /**
+     * Get every subscriber whose subscriptions cover a concrete topic
+     * A subscriber matched by several patterns (e.g., "AAPL" and "*") is only
+     * returned once, so it receives each message a single time. When a message
+     * is given, a subscriber is included if any of its matching subscriptions
+     * accepts the message.
+     * @param {string} topic - The concrete topic
+     * @param {Object} [message] - Message to check against subscription filters
+     * @returns {Set<Subscriber>} Matching subscriber instances
+     */
+    getMatchingSubscribers(topic, message = null) {
+        const matching = new Set();
+        this.subscriptions.forEach((topicSubscribers, pattern) => {
+            if (!matchTopic(pattern, topic)) {
+                return;
+            }
+            topicSubscribers.forEach((compiledFilter, subscriber) => {
+                if (!message || !compiledFilter || compiledFilter.test(message)) {
+                    matching.add(subscriber);
+                }
+            });
+        });
+        return matching;
     }
 
     /**
      * Get all topics
-     * @returns {Array} List of all topics
+     * @returns {Array} List of all subscribed topics and wildcard patterns
      */
     getAllTopics() {
         return Array.from(this.subscriptions.keys());
     }
+
+    /**
+     * Capture the broker state as a JSON-serializable snapshot
+     * Subscribers are referenced by ID; their own state is captured by
+     * Subscriber.snapshot(). Pending deliveries are not included.
+     * @returns {Object} Snapshot for Broker.restore()
+     */
+    snapshot() {
+        const subscriptions = [];
+        this.subscriptions.forEach((topicSubscribers, topic) => {
+            topicSubscribers.forEach((compiledFilter, subscriber) => {
+                const schemaVersion = this.schemaVersions.get(topic).get(subscriber);
+                subscriptions.push({
+                    topic,
+                    subscriberId: subscriber.id,
+                    filter: compiledFilter ? compiledFilter.source : null,
+                    schemaVersion: schemaVersion === undefined ? null : schemaVersion,
+                    ack: this.ackSettings.get(topic).get(subscriber) || null
+                });
+            });
+        });
+
+        const deliveryOptions = [];
+        this.deliveryQueues.forEach((queue, subscriber) => {
+            deliveryOptions.push({
+                subscriberId: subscriber.id,
+                // JSON has no Infinity, so an unbounded buffer is stored as null
+                bufferSize: Number.isFinite(queue.bufferSize) ? queue.bufferSize : null,
+                overflow: queue.overflow,
+                paused: queue.paused
+            });
+        });
+
+        return {
+            retentionPolicies: Array.from(this.retentionPolicies.entries()),
+            messageHistory: Array.from(this.messageHistory.entries()),
+            topicSequences: Array.from(this.topicSequences.entries()),
+            publishOffset: this.publishOffset,
+            topicCatalog: Array.from(this.topicCatalog.entries()),
+            subscriptions,
+            deliveryOptions,
+            deadLetterQueues: this.acks.snapshot()
+        };
+    }
+
+    /**
+     * Restore broker state from a snapshot
+     * Retained messages, sequences, the topic catalog, retention policies and
+     * dead-letter queues are replaced. Saved subscriptions are re-created for every subscriber the
+     * resolver knows, without replaying retained messages (restored subscribers
+     * already have their own history); subscriptions of unknown subscribers
+     * are skipped.
+     * @param {Object} snapshot - Snapshot produced by Broker.snapshot()
+     * @param {Function} resolveSubscriber - Maps a subscriber ID to a Subscriber instance (or undefined)
+     */
+    restore(snapshot, resolveSubscriber) {
+        this.retentionPolicies = new Map(snapshot.retentionPolicies);
+        this.messageHistory = new Map(snapshot.messageHistory);
+        this.topicSequences = new Map(snapshot.topicSequences);
+        this.publishOffset = snapshot.publishOffset;
+        this.topicCatalog = new Map(snapshot.topicCatalog || []);
+
+        snapshot.deliveryOptions.forEach(({ subscriberId, bufferSize, overflow, paused = false }) => {
+            const subscriber = resolveSubscriber(subscriberId);
+            if (subscriber) {
+                const queue = this.getDeliveryQueue(subscriber);
+                queue.configure({
+                    bufferSize: bufferSize === null ? Infinity : bufferSize,
+                    overflow
+                });
+                if (paused) {
+                    queue.pause();
+                }
+            }
+        });
+
+        snapshot.subscriptions.forEach(({ topic, subscriberId, filter, schemaVersion = null, ack = null }) => {
+            const subscriber = resolveSubscriber(subscriberId);
+            if (subscriber) {
+                const options = { replay: { last: 0 } };
+                if (schemaVersion !== null) {
+                    options.schemaVersion = schemaVersion;
+                }
+                if (ack) {
+                    options.ack = ack;
+                }
+                this.subscribe(topic, subscriber, filter, options);
+            }
+        });
+        this.acks.restore(snapshot.deadLetterQueues || [], resolveSubscriber);
+
+        console.log(`Broker restored: ${this.messageHistory.size} retained topics, ${snapshot.subscriptions.length} subscriptions`);
+    }
 }
 
+/**
+ * Build the envelope delivered alongside a retained entry's message
+ * @param {string} topic - The concrete topic
+ * @param {Object} entry - Retained entry (see Broker.messageHistory)
+ * @returns {{messageId: string, topic: string, sequence: number, publishedAt: string, publisherId: string|null}}
+ *          The envelope
+ */
+function createEnvelope(topic, entry) {
+    return {
+        messageId: `msg-${entry.offset}`,
+        topic,
+        sequence: entry.sequence,
+        publishedAt: new Date(entry.publishedAt).toISOString(),
+        publisherId: entry.publisherId || null
+    };
+}
@@ -0,0 +1,433 @@
+/**
+ * PriceChart - Canvas Price Chart for Received Messages
+ *
+ * Draws the prices a subscriber receives on a <canvas>, one series per topic.
+ * Each series gets its own pane with its own price scale (so AAPL at $190 and
+ * MSFT at $410 are both readable), and all panes share the time axis.
+ *
+ * Modes:
+ * - line: one point per message, connected
+ * - candlestick: bar messages (with open/high/low, e.g. from BarAggregator or
+ *   a replayed bar file) are drawn as they are; plain ticks are grouped into
+ *   candles of candleMs
+ *
+ * The chart is updated incrementally: addMessage() appends one point and
+ * schedules a redraw on the next animation frame, so bursts of messages cost
+ * a single redraw. Interactive charts also support zooming with the mouse
+ * wheel (the window stays anchored at the latest message; double-click
+ * resets it) and a crosshair with a tooltip of the prices under the cursor.
+ */
+
+export const ChartMode = {
+    LINE: 'line',
+    CANDLESTICK: 'candlestick'
+};
+
+// Colors assigned to series in the order their topics first appear
+const SERIES_COLORS = ['#667eea', '#ff9800', '#009688', '#e91e63', '#795548', '#3f51b5'];
+const UP_COLOR = '#4caf50';
+const DOWN_COLOR = '#f44336';
+const AXIS_HEIGHT = 16; // Space below the panes for time labels
+const MIN_ZOOM_SPAN_MS = 5000;
+const ZOOM_FACTOR = 1.25;
+
+export class PriceChart {
+    /**
+     * Constructor - Attach a chart to a canvas
+     *
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on (its CSS size is used)
+     * @param {Object} [options] - Chart options
+     * @param {string} [options.mode] - ChartMode.LINE or ChartMode.CANDLESTICK
+     * @param {number} [options.maxPoints] - Points kept per series
+     * @param {number} [options.candleMs] - Candle length for ticks in candlestick mode
+     * @param {boolean} [options.interactive] - Enable wheel zoom and crosshair tooltips
+     */
+    constructor(canvas, { mode = ChartMode.LINE, maxPoints = 50, candleMs = 10000, interactive = false } = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d'); // null where canvas is unsupported
+        this.mode = mode;
+        this.maxPoints = maxPoints;
+        this.candleMs = candleMs;
+        this.series = new Map(); // Topic -> { color, points: [{ time, price, open?, high?, low?, start?, end? }] }
+        this.zoomSpanMs = null; // Visible time span ending at the latest point (null = everything)
+        this.crosshair = null; // Cursor position { x, y } in CSS pixels, while hovering
+        this.drawScheduled = false;
+
+        if (interactive) {
+            this.attachInteraction();
+        }
+    }
+
+    /**
+     * Switch between line and candlestick mode
+     * @param {string} mode - ChartMode.LINE or ChartMode.CANDLESTICK
+     * @throws {Error} If the mode is unknown
+     */
+    setMode(mode) {
+        if (!Object.values(ChartMode).includes(mode)) {
+            throw new Error(`Unknown chart mode: ${mode}`);
+        }
+        this.mode = mode;
+        this.scheduleDraw();
+    }
+
+    /**
+     * Add a received message to its topic's series
+     * Messages without a numeric price (e.g., dead letters) are ignored.
+     * @param {string} topic - Topic the message was received on
+     * @param {Object} message - Message with price and timestamp (and open/high/low for bars)
+     */
+    addMessage(topic, message) {
+        if (typeof message.price !== 'number') {
+            return;
+        }
+        if (!this.series.has(topic)) {
+            this.series.set(topic, {
+                color: SERIES_COLORS[this.series.size % SERIES_COLORS.length],
+                points: []
+            });
+        }
+        const points = this.series.get(topic).points;
+        points.push(toPoint(message));
+        if (points.length > this.maxPoints) {
+            points.shift();
+        }
+        this.scheduleDraw();
+    }
+
+    /**
+     * Replace the chart contents with a message history
+     * @param {Array<{topic: string, message: Object}>} entries - E.g., Subscriber.getMessageHistory()
+     */
+    load(entries) {
+        this.series.clear();
+        entries.forEach(({ topic, message }) => this.addMessage(topic, message));
+    }
+
+    /**
+     * Remove all series
+     */
+    clear() {
+        this.series.clear();
+        this.scheduleDraw();
+    }
+
+    /**
+     * Zoom the visible time window in (factor > 1) or out (factor < 1)
+     * @param {number} factor - How much to magnify
+     */
+    zoom(factor) {
+        const { min, max } = this.getFullRange();
+        const fullSpan = max - min;
+        if (fullSpan <= 0) {
+            return;
+        }
+        const span = Math.max(MIN_ZOOM_SPAN_MS, (this.zoomSpanMs || fullSpan) / factor);
+        this.zoomSpanMs = span >= fullSpan ? null : span;
+        this.scheduleDraw();
+    }
+
+    /**
+     * Show the full history again
+     */
+    resetZoom() {
+        this.zoomSpanMs = null;
+        this.scheduleDraw();
+    }
+
+    /**
+     * Redraw on the next animation frame (at most once per frame)
+     */
+    scheduleDraw() {
+        if (this.drawScheduled) {
+            return;
+        }
+        this.drawScheduled = true;
+        const frame = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : callback => setTimeout(callback, 0);
+        frame(() => {
+            this.drawScheduled = false;
+            this.draw();
+        });
+    }
+
+    /**
+     * Draw the chart now
+     */
+    draw() {
+        const ctx = this.context;
+        if (!ctx) {
+            return;
+        }
+
+        // Match the canvas resolution to its displayed size
+        const ratio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+        const width = this.canvas.clientWidth || this.canvas.width;
+        const height = this.canvas.clientHeight || this.canvas.height;
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+        }
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '10px sans-serif';
+
+        const layout = this.getLayout(width, height);
+        if (!layout) {
+            ctx.fillStyle = '#999';
+            ctx.fillText('Waiting for data…', 8, height / 2);
+            return;
+        }
+
+        layout.panes.forEach(pane => this.drawPane(ctx, layout, pane));
+        this.drawTimeAxis(ctx, layout);
+        if (this.crosshair) {
+            this.drawCrosshair(ctx, layout);
+        }
+    }
+
+    /**
+     * Compute the visible time range and one pane per series
+     * @returns {Object|null} Layout, or null if there is nothing to draw
+     */
+    getLayout(width, height) {
+        const { min, max } = this.getFullRange();
+        if (min === Infinity) {
+            return null;
+        }
+        const start = this.zoomSpanMs ? max - this.zoomSpanMs : min;
+        const end = max > start ? max : start + 1000;
+        const paneHeight = (height - AXIS_HEIGHT) / this.series.size;
+
+        const panes = Array.from(this.series.entries()).map(([topic, { color, points }], index) => {
+            const items = this.mode === ChartMode.CANDLESTICK ? this.toCandles(points) : points;
+            const visible = items.filter(item => (item.end || item.time) >= start && (item.start || item.time) <= end);
+            const lows = visible.map(item => item.low !== undefined ? item.low : item.price);
+            const highs = visible.map(item => item.high !== undefined ? item.high : item.price);
+            let low = Math.min(...lows);
+            let high = Math.max(...highs);
+            const padding = (high - low) * 0.1 || high * 0.001 || 1;
+            low -= padding;
+            high += padding;
+            return { topic, color, items: visible, low, high, top: index * paneHeight, height: paneHeight };
+        });
+
+        return {
+            width,
+            height,
+            start,
+            end,
+            panes,
+            x: time => (time - start) / (end - start) * (width - 1),
+            time: x => start + x / (width - 1) * (end - start)
+        };
+    }
+
+    /**
+     * Earliest and latest time over all series
+     */
+    getFullRange() {
+        let min = Infinity;
+        let max = -Infinity;
+        this.series.forEach(({ points }) => {
+            points.forEach(point => {
+                min = Math.min(min, point.start || point.time);
+                max = Math.max(max, point.time);
+            });
+        });
+        return { min, max };
+    }
+
+    /**
+     * Turn points into candles: bars are kept, ticks are grouped by candleMs
+     */
+    toCandles(points) {
+        const candles = [];
+        let current = null;
+        points.forEach(point => {
+            if (point.open !== undefined) {
+                current = null;
+                candles.push({
+                    start: point.start || point.time - this.candleMs,
+                    end: point.end || point.time,
+                    open: point.open,
+                    high: point.high,
+                    low: point.low,
+                    close: point.price
+                });
+                return;
+            }
+            const start = Math.floor(point.time / this.candleMs) * this.candleMs;
+            if (!current || current.start !== start) {
+                current = { start, end: start + this.candleMs, open: point.price, high: point.price, low: point.price, close: point.price };
+                candles.push(current);
+            }
+            current.high = Math.max(current.high, point.price);
+            current.low = Math.min(current.low, point.price);
+            current.close = point.price;
+        });
+        return candles;
+    }
+
+    /**
+     * Draw one series in its pane
+     */
+    drawPane(ctx, layout, pane) {
+        const y = price => pane.top + 14 + (pane.high - price) / (pane.high - pane.low) * (pane.height - 18);
+
+        if (pane.top > 0) {
+            ctx.strokeStyle = '#eee';
+            ctx.beginPath();
+            ctx.moveTo(0, pane.top);
+            ctx.lineTo(layout.width, pane.top);
+            ctx.stroke();
+        }
+
+        if (this.mode === ChartMode.CANDLESTICK) {
+            pane.items.forEach(candle => {
+                const left = layout.x(candle.start);
+                const right = layout.x(candle.end);
+                const bodyWidth = Math.max(1, (right - left) * 0.7);
+                const center = (left + right) / 2;
+                const color = candle.close >= candle.open ? UP_COLOR : DOWN_COLOR;
+                ctx.strokeStyle = color;
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.moveTo(center, y(candle.high));
+                ctx.lineTo(center, y(candle.low));
+                ctx.stroke();
+                const top = y(Math.max(candle.open, candle.close));
+                ctx.fillRect(center - bodyWidth / 2, top, bodyWidth, Math.max(1, y(Math.min(candle.open, candle.close)) - top));
+            });
+        } else {
+            ctx.strokeStyle = pane.color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            pane.items.forEach((point, index) => {
+                if (index === 0) {
+                    ctx.moveTo(layout.x(point.time), y(point.price));
+                } else {
+                    ctx.lineTo(layout.x(point.time), y(point.price));
+                }
+            });
+            ctx.stroke();
+            ctx.lineWidth = 1;
+        }
+
+        // Series label with the latest price and the pane's price range
+        const latest = pane.items[pane.items.length - 1];
+        const latestPrice = latest ? (latest.close !== undefined ? latest.close : latest.price) : null;
+        ctx.fillStyle = pane.color;
+        ctx.fillText(`${pane.topic}${latestPrice !== null ? ` $${latestPrice.toFixed(2)}` : ''}`, 4, pane.top + 10);
+        ctx.fillStyle = '#999';
+        ctx.textAlign = 'right';
+        ctx.fillText(pane.high.toFixed(2), layout.width - 2, pane.top + 10);
+        ctx.fillText(pane.low.toFixed(2), layout.width - 2, pane.top + pane.height - 2);
+        ctx.textAlign = 'left';
+    }
+
+    /**
+     * Draw the start and end times of the visible window
+     */
+    drawTimeAxis(ctx, layout) {
+        const baseline = layout.height - 4;
+        ctx.fillStyle = '#666';
+        ctx.fillText(new Date(layout.start).toLocaleTimeString(), 2, baseline);
+        ctx.textAlign = 'right';
+        ctx.fillText(new Date(layout.end).toLocaleTimeString(), layout.width - 2, baseline);
+        ctx.textAlign = 'left';
+    }
+
+    /**
+     * Draw crosshair lines and a tooltip with each series' value under the cursor
+     */
+    drawCrosshair(ctx, layout) {
+        const { x, y } = this.crosshair;
+        const time = layout.time(x);
+
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, layout.height - AXIS_HEIGHT);
+        ctx.moveTo(0, y);
+        ctx.lineTo(layout.width, y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        const lines = [new Date(time).toLocaleTimeString()];
+        layout.panes.forEach(pane => {
+            const item = nearest(pane.items, time);
+            if (!item) {
+                return;
+            }
+            lines.push(item.open !== undefined
+                ? `${pane.topic} O ${item.open.toFixed(2)} H ${item.high.toFixed(2)} L ${item.low.toFixed(2)} C ${(item.close !== undefined ? item.close : item.price).toFixed(2)}`
+                : `${pane.topic} $${item.price.toFixed(2)}`);
+        });
+
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 10;
+        const boxHeight = lines.length * 13 + 6;
+        const left = x + boxWidth + 10 > layout.width ? x - boxWidth - 10 : x + 10;
+        const top = Math.min(Math.max(0, y - boxHeight / 2), layout.height - AXIS_HEIGHT - boxHeight);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fillRect(left, top, boxWidth, boxHeight);
+        ctx.strokeStyle = '#ccc';
+        ctx.strokeRect(left, top, boxWidth, boxHeight);
+        ctx.fillStyle = '#333';
+        lines.forEach((line, index) => ctx.fillText(line, left + 5, top + 14 + index * 13));
+    }
+
+    /**
+     * Wire up mouse wheel zoom, double-click reset and the crosshair
+     */
+    attachInteraction() {
+        this.canvas.addEventListener('wheel', event => {
+            event.preventDefault();
+            this.zoom(event.deltaY < 0 ? ZOOM_FACTOR : 1 / ZOOM_FACTOR);
+        }, { passive: false });
+        this.canvas.addEventListener('dblclick', () => this.resetZoom());
+        this.canvas.addEventListener('mousemove', event => {
+            const bounds = this.canvas.getBoundingClientRect();
+            this.crosshair = { x: event.clientX - bounds.left, y: event.clientY - bounds.top };
+            this.scheduleDraw();
+        });
+        this.canvas.addEventListener('mouseleave', () => {
+            this.crosshair = null;
+            this.scheduleDraw();
+        });
+    }
+}
+
+/**
+ * Convert a message into a chart point
+ */
+function toPoint(message) {
+    const point = { time: new Date(message.timestamp).getTime(), price: message.price };
+    if (message.open !== undefined && message.high !== undefined && message.low !== undefined) {
+        point.open = message.open;
+        point.high = message.high;
+        point.low = message.low;
+        if (message.start && message.end) {
+            point.start = new Date(message.start).getTime();
+            point.end = new Date(message.end).getTime();
+        }
+    }
+    return point;
+}
+
+/**
+ * Find the point or candle closest to a time
+ */
+function nearest(items, time) {
+    let best = null;
+    let bestDistance = Infinity;
+    items.forEach(item => {
+        const itemTime = item.start !== undefined ? (item.start + item.end) / 2 : item.time;
+        const distance = Math.abs(itemTime - time);
+        if (distance < bestDistance) {
+            best = item;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
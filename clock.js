@@ -0,0 +1,266 @@
+/**
+ * Clock - Injectable Time Source and Timers
+ *
+ * Components that read the time or schedule work (Broker, Publisher,
+ * Subscriber, BarAggregator, IndicatorEngine, AlertEngine, Portfolio,
+ * ReplayPublisher) take a clock instead of calling Date.now(), new Date() and
+ * setInterval() directly. By default they all share the broker's clock, so
+ * one clock drives a whole simulation.
+ *
+ * - RealClock follows the wall clock and uses the host's timers (the default,
+ *   available as systemClock)
+ * - VirtualClock only moves when told to: advance() runs every timer that
+ *   falls due, in time order, with now() reporting each timer's exact due time,
+ *   and step() jumps to the next timer. A trading day of ticks can be
+ *   simulated in seconds, one tick at a time, or deterministically under Node:
+ *
+ *   const clock = new VirtualClock('2024-03-15T14:30:00Z');
+ *   const broker = new Broker({ clock });
+ *   new Publisher(broker, 'AAPL', { seed: 42 }).startPublishing(2000);
+ *   clock.advance(60 * 1000); // Publishes 31 ticks stamped 2 seconds apart
+ *
+ * Messages are still delivered to subscribers in microtasks (see queue.js),
+ * i.e. after advance() returns; await between steps (e.g., step() in a loop
+ * with an await) to have each delivery stamped with its own virtual time.
+ */
+
+/**
+ * Clock - Interface shared by RealClock and VirtualClock
+ */
+export class Clock {
+    /**
+     * Get the current time
+     * @returns {number} Milliseconds since epoch
+     */
+    now() {
+        throw new Error('Clock.now() is not implemented');
+    }
+
+    /**
+     * Get the current time as an ISO timestamp
+     * @returns {string} ISO timestamp (e.g., "2024-03-15T14:30:00.000Z")
+     */
+    toISOString() {
+        return new Date(this.now()).toISOString();
+    }
+}
+
+/**
+ * RealClock - Wall-clock time and the host's timers
+ */
+export class RealClock extends Clock {
+    now() {
+        return Date.now();
+    }
+
+    /**
+     * Run a callback once after a delay
+     * @param {Function} callback - Called when the delay has elapsed
+     * @param {number} [delayMs] - Delay in milliseconds
+     * @returns {*} Timer ID for clearTimeout()
+     */
+    setTimeout(callback, delayMs = 0) {
+        return setTimeout(callback, delayMs);
+    }
+
+    /**
+     * Cancel a timer created with setTimeout()
+     * @param {*} id - Timer ID
+     */
+    clearTimeout(id) {
+        clearTimeout(id);
+    }
+
+    /**
+     * Run a callback repeatedly
+     * @param {Function} callback - Called every intervalMs
+     * @param {number} intervalMs - Interval in milliseconds
+     * @returns {*} Timer ID for clearInterval()
+     */
+    setInterval(callback, intervalMs) {
+        return setInterval(callback, intervalMs);
+    }
+
+    /**
+     * Cancel a timer created with setInterval()
+     * @param {*} id - Timer ID
+     */
+    clearInterval(id) {
+        clearInterval(id);
+    }
+}
+
+// Wall clock shared by every component that is not given a clock
+export const systemClock = new RealClock();
+
+/**
+ * VirtualClock - Simulated time that advances on demand
+ *
+ * Timers due at the same time run in the order they were scheduled. Timers
+ * scheduled by a running callback run within the same advance() if they fall
+ * due before its target time.
+ */
+export class VirtualClock extends Clock {
+    /**
+     * Constructor - Create a stopped clock
+     *
+     * @param {number|string|Date} [start] - Initial time (default: the current wall-clock time)
+     */
+    constructor(start = Date.now()) {
+        super();
+        this.time = new Date(start).getTime(); // Current virtual time (ms since epoch)
+        if (Number.isNaN(this.time)) {
+            throw new Error(`Invalid start time: ${start}`);
+        }
+        this.timers = new Map(); // Timer ID -> { id, dueAt, intervalMs, callback, order }
+        this.nextTimerId = 1; // Also orders timers that fall due at the same time
+    }
+
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Run a callback once when the virtual time has advanced by a delay
+     * @param {Function} callback - Called when the delay has elapsed
+     * @param {number} [delayMs] - Delay in virtual milliseconds
+     * @returns {number} Timer ID for clearTimeout()
+     */
+    setTimeout(callback, delayMs = 0) {
+        return this.addTimer(callback, Math.max(0, delayMs), null);
+    }
+
+    /**
+     * Cancel a timer created with setTimeout()
+     * @param {number} id - Timer ID
+     */
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Run a callback every time the virtual time advances by an interval
+     * @param {Function} callback - Called every intervalMs
+     * @param {number} intervalMs - Interval in virtual milliseconds (at least 1)
+     * @returns {number} Timer ID for clearInterval()
+     */
+    setInterval(callback, intervalMs) {
+        const interval = Math.max(1, intervalMs);
+        return this.addTimer(callback, interval, interval);
+    }
+
+    /**
+     * Cancel a timer created with setInterval()
+     * @param {number} id - Timer ID
+     */
+    clearInterval(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Schedule a timer relative to the current virtual time
+     */
+    addTimer(callback, delayMs, intervalMs) {
+        const id = this.nextTimerId++;
+        this.timers.set(id, { id, dueAt: this.time + delayMs, intervalMs, callback, order: id });
+        return id;
+    }
+
+    /**
+     * Get the number of scheduled timers
+     * @returns {number} Pending timeouts and intervals
+     */
+    getPendingCount() {
+        return this.timers.size;
+    }
+
+    /**
+     * Get the time the next timer falls due
+     * @returns {number|null} Milliseconds since epoch, or null if no timer is scheduled
+     */
+    getNextDueTime() {
+        const timer = this.findNextTimer();
+        return timer ? timer.dueAt : null;
+    }
+
+    /**
+     * Find the timer that runs next
+     */
+    findNextTimer() {
+        let next = null;
+        this.timers.forEach(timer => {
+            if (!next || timer.dueAt < next.dueAt || (timer.dueAt === next.dueAt && timer.order < next.order)) {
+                next = timer;
+            }
+        });
+        return next;
+    }
+
+    /**
+     * Move the time to a timer's due time and run it
+     * Intervals are rescheduled before their callback runs, so the callback
+     * can cancel them. A failing callback is logged and does not stop the clock.
+     */
+    runTimer(timer) {
+        this.time = Math.max(this.time, timer.dueAt);
+        if (timer.intervalMs === null) {
+            this.timers.delete(timer.id);
+        } else {
+            timer.dueAt += timer.intervalMs;
+            timer.order = this.nextTimerId++;
+        }
+        try {
+            timer.callback();
+        } catch (error) {
+            console.error('Virtual clock timer failed:', error);
+        }
+    }
+
+    /**
+     * Advance the time, running every timer that falls due on the way
+     * @param {number} ms - Virtual milliseconds to advance
+     * @returns {number} Number of timer callbacks that ran
+     * @throws {Error} If ms is negative or not a number
+     */
+    advance(ms) {
+        if (!(ms >= 0)) {
+            throw new Error(`Cannot advance the clock by ${ms} ms`);
+        }
+        return this.advanceTo(this.time + ms);
+    }
+
+    /**
+     * Advance the time to a point, running every timer that falls due on the way
+     * @param {number|string|Date} target - Time to advance to; earlier times are ignored
+     * @returns {number} Number of timer callbacks that ran
+     * @throws {Error} If the target is not a valid time
+     */
+    advanceTo(target) {
+        const targetTime = new Date(target).getTime();
+        if (Number.isNaN(targetTime)) {
+            throw new Error(`Invalid time: ${target}`);
+        }
+        let ran = 0;
+        let timer = this.findNextTimer();
+        while (timer && timer.dueAt <= targetTime) {
+            this.runTimer(timer);
+            ran++;
+            timer = this.findNextTimer();
+        }
+        this.time = Math.max(this.time, targetTime);
+        return ran;
+    }
+
+    /**
+     * Jump to the next timer and run it
+     * @returns {boolean} False if no timer is scheduled
+     */
+    step() {
+        const timer = this.findNextTimer();
+        if (!timer) {
+            return false;
+        }
+        this.runTimer(timer);
+        return true;
+    }
+}
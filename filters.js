@@ -0,0 +1,350 @@
+/**
+ * Filters - Declarative Content-Based Subscription Filters
+ *
+ * Topic-based routing decides *which* topics a subscriber hears about;
+ * content-based filtering additionally decides *which messages* on those
+ * topics are delivered. Filtering happens inside the broker, so subscribers
+ * such as alerting consumers are never flooded with messages they would discard.
+ *
+ * A filter can be declared in two ways:
+ * 1. An expression string, e.g. "price > 150", "abs(change) >= 2",
+ *    "symbol == 'AAPL' && change < 0"
+ * 2. A field-equality map, e.g. { symbol: 'AAPL' }, which matches when every
+ *    listed field equals the given value. Fields must be valid expression
+ *    fields and values strings, finite numbers, booleans or null, since the
+ *    map is saved as the equivalent expression (see compileFilter)
+ *
+ * Expression syntax:
+ * - Fields: message properties, with dots for nested fields (e.g. "quote.bid")
+ * - Literals: numbers, 'single' or "double" quoted strings, true, false, null
+ * - Comparisons: >, >=, <, <=, ==, !=
+ * - Logic: && (and), || (or), ! (not), and parentheses for grouping
+ * - Functions: abs(x), round(x)
+ *
+ * Expressions are parsed into a small syntax tree and evaluated against each
+ * message; they are never passed to eval, so filters cannot run arbitrary code.
+ */
+
+const FUNCTIONS = {
+    abs: Math.abs,
+    round: Math.round
+};
+
+const COMPARATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+const KEYWORDS = {
+    and: '&&',
+    or: '||',
+    not: '!'
+};
+
+// Words the parser reads as literals rather than fields
+const LITERAL_WORDS = ['true', 'false', 'null'];
+
+// A field name, with dots for nested fields
+const FIELD_PATTERN = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*$/;
+
+/**
+ * Compile a declarative filter into a reusable predicate
+ *
+ * @param {string|Object} filter - Expression string or field-equality map
+ * @returns {{source: string, test: Function}} The normalized filter text and
+ *          a predicate that returns true when a message should be delivered;
+ *          for a map, the source is the equivalent expression
+ * @throws {Error} If the expression cannot be parsed, or a map field or value
+ *         cannot be written as an expression
+ */
+export function compileFilter(filter) {
+    if (typeof filter === 'string') {
+        const source = filter.trim();
+        const tree = new Parser(tokenize(source)).parse();
+        return {
+            source,
+            test: message => Boolean(evaluate(tree, message))
+        };
+    }
+
+    if (filter && typeof filter === 'object') {
+        const entries = Object.entries(filter);
+        return {
+            source: entries
+                .map(([field, value]) => `${formatField(field)} == ${formatLiteral(value)}`)
+                .join(' && '),
+            test: message => entries.every(([field, value]) =>
+                readField(message, field) === value
+            )
+        };
+    }
+
+    throw new Error(`Unsupported filter: ${filter}`);
+}
+
+/**
+ * Check that a field-equality map key reads back as the same field
+ * @throws {Error} If the expression parser would not read it as a field
+ */
+function formatField(field) {
+    if (!FIELD_PATTERN.test(field) || KEYWORDS[field] || LITERAL_WORDS.includes(field)) {
+        throw new Error(`Invalid filter field: ${field}`);
+    }
+    return field;
+}
+
+/**
+ * Write a field-equality map value as an expression literal
+ * Strings are quoted with a quote character they do not contain, since
+ * expression strings have no escapes.
+ * @throws {Error} If the value has no expression literal
+ */
+function formatLiteral(value) {
+    if (value === null || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value))) {
+        return String(value);
+    }
+    if (typeof value === 'string') {
+        if (!value.includes("'")) {
+            return `'${value}'`;
+        }
+        if (!value.includes('"')) {
+            return `"${value}"`;
+        }
+        throw new Error(`Unsupported filter value: ${value} (strings cannot contain both ' and ")`);
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    throw new Error(`Unsupported filter value: ${text} (expected a string, finite number, boolean or null)`);
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Filter expression
+ * @returns {Array<Object>} Tokens of type number, string, identifier or operator
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (/[0-9.]/.test(char)) {
+            const match = /^\d*\.?\d+(?:[eE][-+]?\d+)?/.exec(source.slice(i));
+            if (!match) {
+                throw new Error(`Invalid number at position ${i} in filter: ${source}`);
+            }
+            tokens.push({ type: 'number', value: parseFloat(match[0]) });
+            i += match[0].length;
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            const end = source.indexOf(char, i + 1);
+            if (end === -1) {
+                throw new Error(`Unterminated string at position ${i} in filter: ${source}`);
+            }
+            tokens.push({ type: 'string', value: source.slice(i + 1, end) });
+            i = end + 1;
+            continue;
+        }
+
+        if (/[A-Za-z_$]/.test(char)) {
+            const match = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*/.exec(source.slice(i));
+            const word = match[0];
+            if (KEYWORDS[word]) {
+                tokens.push({ type: 'operator', value: KEYWORDS[word] });
+            } else {
+                tokens.push({ type: 'identifier', value: word });
+            }
+            i += word.length;
+            continue;
+        }
+
+        const operator = ['>=', '<=', '==', '!=', '&&', '||', '>', '<', '!', '(', ')', ',', '-', '=']
+            .find(op => source.startsWith(op, i));
+        if (!operator) {
+            throw new Error(`Unexpected character '${char}' at position ${i} in filter: ${source}`);
+        }
+        // A single "=" is accepted as a friendlier spelling of "=="
+        tokens.push({ type: 'operator', value: operator === '=' ? '==' : operator });
+        i += operator.length;
+    }
+
+    return tokens;
+}
+
+/**
+ * Recursive-descent parser producing a syntax tree
+ *
+ * Grammar (lowest to highest precedence):
+ *   or         := and ( "||" and )*
+ *   and        := not ( "&&" not )*
+ *   not        := "!" not | comparison
+ *   comparison := operand ( comparator operand )?
+ *   operand    := number | string | field | function "(" or ")" | "-" operand | "(" or ")"
+ */
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.position = 0;
+    }
+
+    parse() {
+        if (this.tokens.length === 0) {
+            throw new Error('Filter expression is empty');
+        }
+        const tree = this.parseOr();
+        if (this.position < this.tokens.length) {
+            throw new Error(`Unexpected token '${this.peek().value}' in filter`);
+        }
+        return tree;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    acceptOperator(value) {
+        const token = this.peek();
+        if (token && token.type === 'operator' && token.value === value) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    expectOperator(value) {
+        if (!this.acceptOperator(value)) {
+            throw new Error(`Expected '${value}' in filter`);
+        }
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.acceptOperator('||')) {
+            left = { type: 'or', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.acceptOperator('&&')) {
+            left = { type: 'and', left, right: this.parseNot() };
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.acceptOperator('!')) {
+            return { type: 'not', operand: this.parseNot() };
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const left = this.parseOperand();
+        const token = this.peek();
+        if (token && token.type === 'operator' && COMPARATORS[token.value]) {
+            this.position++;
+            return { type: 'compare', operator: token.value, left, right: this.parseOperand() };
+        }
+        return left;
+    }
+
+    parseOperand() {
+        const token = this.peek();
+        if (!token) {
+            throw new Error('Unexpected end of filter expression');
+        }
+
+        if (token.type === 'number' || token.type === 'string') {
+            this.position++;
+            return { type: 'literal', value: token.value };
+        }
+
+        if (token.type === 'identifier') {
+            this.position++;
+            if (token.value === 'true' || token.value === 'false') {
+                return { type: 'literal', value: token.value === 'true' };
+            }
+            if (token.value === 'null') {
+                return { type: 'literal', value: null };
+            }
+            if (this.acceptOperator('(')) {
+                const fn = FUNCTIONS[token.value];
+                if (!fn) {
+                    throw new Error(`Unknown function '${token.value}' in filter`);
+                }
+                const argument = this.parseOr();
+                this.expectOperator(')');
+                return { type: 'call', fn, argument };
+            }
+            return { type: 'field', path: token.value };
+        }
+
+        if (this.acceptOperator('-')) {
+            return { type: 'negate', operand: this.parseOperand() };
+        }
+
+        if (this.acceptOperator('(')) {
+            const inner = this.parseOr();
+            this.expectOperator(')');
+            return inner;
+        }
+
+        throw new Error(`Unexpected token '${token.value}' in filter`);
+    }
+}
+
+/**
+ * Evaluate a syntax tree against a message
+ * Missing fields evaluate to undefined, so comparisons against them are false.
+ */
+function evaluate(node, message) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'field':
+            return readField(message, node.path);
+        case 'call':
+            return node.fn(evaluate(node.argument, message));
+        case 'negate':
+            return -evaluate(node.operand, message);
+        case 'not':
+            return !evaluate(node.operand, message);
+        case 'and':
+            return evaluate(node.left, message) && evaluate(node.right, message);
+        case 'or':
+            return evaluate(node.left, message) || evaluate(node.right, message);
+        case 'compare':
+            return COMPARATORS[node.operator](
+                evaluate(node.left, message),
+                evaluate(node.right, message)
+            );
+        default:
+            throw new Error(`Unknown filter node: ${node.type}`);
+    }
+}
+
+/**
+ * Read a (possibly nested) field from a message
+ * @param {Object} message - Message data
+ * @param {string} path - Field name, with dots for nested fields
+ * @returns {*} The field value, or undefined if it does not exist
+ */
+function readField(message, path) {
+    return path.split('.').reduce(
+        (value, key) => (value === null || value === undefined ? undefined : value[key]),
+        message
+    );
+}
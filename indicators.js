@@ -0,0 +1,565 @@
+/**
+ * IndicatorEngine - Streaming Technical Indicators on Derived Topics
+ *
+ * Like the bar aggregator, the indicator engine subscribes to raw ticks
+ * through the broker and republishes what it computes to derived topics, one
+ * per symbol and indicator:
+ *
+ *   AAPL (ticks) -> IndicatorEngine -> AAPL.ind.sma20, AAPL.ind.rsi14, AAPL.ind.macd, ...
+ *
+ * Indicators are named by type and period:
+ * - "sma20":  simple moving average of the last 20 prices
+ * - "ema20":  exponential moving average, seeded with the first 20 prices' average
+ * - "rsi14":  relative strength index with Wilder's smoothing (0-100)
+ * - "macd":   MACD line (EMA 12 - EMA 26), its signal line (EMA 9) and the
+ *             histogram; other periods as "macd5-35-5"
+ * - "bb20":   Bollinger Bands, 2 standard deviations around the 20-price SMA
+ * - "vwap":   volume-weighted average price since the engine started
+ *
+ * An indicator publishes once it has enough prices (e.g., the 20th tick for
+ * sma20). VWAP needs volume, so it is only published once trades arrive on
+ * "<symbol>.trades" (see book.js) or ticks carry a volume (recorded data,
+ * see replay.js). Every symbol uses the default indicators unless it is
+ * configured with its own list.
+ *
+ * Indicator messages carry symbol, indicator (the name), type, value and
+ * timestamp (the tick's), plus signal/histogram for MACD and upper/lower for
+ * Bollinger Bands. They have no price field, so charts don't mix them with
+ * prices.
+ *
+ * Events (see on/off):
+ * - "change": {}, when the configured indicators change
+ */
+import { TRADES_LEVEL, marketDataTopic } from './book.js';
+import { systemClock } from './clock.js';
+import { Subscriber } from './subscriber.js';
+import { TOPIC_SEPARATOR, splitTopic } from './topics.js';
+
+// Topic level that separates a symbol from its indicator topics
+export const INDICATORS_LEVEL = 'ind';
+
+export const IndicatorType = {
+    SMA: 'sma',
+    EMA: 'ema',
+    RSI: 'rsi',
+    MACD: 'macd',
+    BOLLINGER: 'bb',
+    VWAP: 'vwap'
+};
+
+// Indicators computed for symbols without their own configuration
+export const DEFAULT_INDICATORS = ['sma20', 'ema20', 'rsi14', 'macd', 'bb20', 'vwap'];
+
+// Standard MACD periods: fast EMA, slow EMA and signal EMA
+const MACD_PERIODS = [12, 26, 9];
+
+// Width of Bollinger Bands in standard deviations
+const BOLLINGER_DEVIATIONS = 2;
+
+/**
+ * Parse an indicator name
+ * @param {string} name - Indicator name (e.g., "rsi14", "macd" or "vwap")
+ * @returns {Object} { name, type, period } or, for MACD, { name, type, periods: [fast, slow, signal] }
+ * @throws {Error} If the name is not a known indicator with valid periods
+ */
+export function parseIndicator(name) {
+    const periodic = /^(sma|ema|rsi|bb)(\d+)$/.exec(name);
+    if (periodic && Number(periodic[2]) >= 2) {
+        return { name, type: periodic[1], period: Number(periodic[2]) };
+    }
+    const macd = /^macd(?:(\d+)-(\d+)-(\d+))?$/.exec(name);
+    if (macd) {
+        const periods = macd[1] ? macd.slice(1, 4).map(Number) : MACD_PERIODS;
+        if (periods.every(period => period >= 1) && periods[0] < periods[1]) {
+            return { name, type: IndicatorType.MACD, periods };
+        }
+    }
+    if (name === IndicatorType.VWAP) {
+        return { name, type: IndicatorType.VWAP };
+    }
+    throw new Error(`Invalid indicator: ${name} (expected e.g. "sma20", "ema50", "rsi14", "macd", "bb20" or "vwap")`);
+}
+
+/**
+ * Describe an indicator for display (e.g., "RSI(14)" or "MACD(12, 26, 9)")
+ * @param {string} name - Indicator name
+ * @returns {string} Display label
+ */
+export function describeIndicator(name) {
+    const indicator = parseIndicator(name);
+    switch (indicator.type) {
+        case IndicatorType.MACD:
+            return `MACD(${indicator.periods.join(', ')})`;
+        case IndicatorType.BOLLINGER:
+            return `Bollinger(${indicator.period}, ${BOLLINGER_DEVIATIONS}σ)`;
+        case IndicatorType.VWAP:
+            return 'VWAP';
+        default:
+            return `${indicator.type.toUpperCase()}(${indicator.period})`;
+    }
+}
+
+/**
+ * Get the derived topic an indicator of a symbol is published to
+ * @param {string} symbol - Stock symbol (e.g., "AAPL")
+ * @param {string} name - Indicator name (e.g., "rsi14")
+ * @returns {string} Indicator topic (e.g., "AAPL.ind.rsi14")
+ */
+export function indicatorTopic(symbol, name) {
+    return [symbol, INDICATORS_LEVEL, name].join(TOPIC_SEPARATOR);
+}
+
+/**
+ * SimpleMovingAverage - Average of the last N prices
+ */
+export class SimpleMovingAverage {
+    constructor(period) {
+        this.period = period;
+        this.window = []; // Last prices, oldest first
+        this.sum = 0;
+    }
+
+    /**
+     * Add a price
+     * @param {number} price - Latest price
+     * @returns {Object|null} { value }, or null until the window is full
+     */
+    update(price) {
+        this.window.push(price);
+        this.sum += price;
+        if (this.window.length > this.period) {
+            this.sum -= this.window.shift();
+        }
+        return this.window.length === this.period ? { value: this.sum / this.period } : null;
+    }
+}
+
+/**
+ * ExponentialMovingAverage - Moving average weighting recent prices more
+ * The smoothing factor is 2 / (N + 1); the first value is the SMA of N prices.
+ */
+export class ExponentialMovingAverage {
+    constructor(period) {
+        this.period = period;
+        this.alpha = 2 / (period + 1);
+        this.seed = new SimpleMovingAverage(period); // Provides the first value
+        this.value = null;
+    }
+
+    update(price) {
+        if (this.value === null) {
+            const seeded = this.seed.update(price);
+            if (!seeded) {
+                return null;
+            }
+            this.value = seeded.value;
+            this.seed = null;
+        } else {
+            this.value += this.alpha * (price - this.value);
+        }
+        return { value: this.value };
+    }
+}
+
+/**
+ * RelativeStrengthIndex - Average gains against average losses, 0 to 100
+ * The first averages cover N price changes; later ones use Wilder's smoothing.
+ */
+export class RelativeStrengthIndex {
+    constructor(period) {
+        this.period = period;
+        this.previous = null; // Previous price
+        this.changes = 0; // Price changes seen, up to the period
+        this.averageGain = 0;
+        this.averageLoss = 0;
+    }
+
+    update(price) {
+        if (this.previous === null) {
+            this.previous = price;
+            return null;
+        }
+        const change = price - this.previous;
+        this.previous = price;
+        const gain = Math.max(change, 0);
+        const loss = Math.max(-change, 0);
+
+        if (this.changes < this.period) {
+            this.changes++;
+            this.averageGain += gain / this.period;
+            this.averageLoss += loss / this.period;
+            if (this.changes < this.period) {
+                return null;
+            }
+        } else {
+            this.averageGain = (this.averageGain * (this.period - 1) + gain) / this.period;
+            this.averageLoss = (this.averageLoss * (this.period - 1) + loss) / this.period;
+        }
+
+        if (this.averageLoss === 0) {
+            return { value: this.averageGain === 0 ? 50 : 100 };
+        }
+        return { value: 100 - 100 / (1 + this.averageGain / this.averageLoss) };
+    }
+}
+
+/**
+ * MovingAverageConvergenceDivergence - Fast EMA minus slow EMA, with a signal line
+ */
+export class MovingAverageConvergenceDivergence {
+    constructor([fastPeriod, slowPeriod, signalPeriod]) {
+        this.fast = new ExponentialMovingAverage(fastPeriod);
+        this.slow = new ExponentialMovingAverage(slowPeriod);
+        this.signal = new ExponentialMovingAverage(signalPeriod);
+    }
+
+    /**
+     * Add a price
+     * @param {number} price - Latest price
+     * @returns {Object|null} { value, signal, histogram } once the signal line exists
+     */
+    update(price) {
+        const fast = this.fast.update(price);
+        const slow = this.slow.update(price);
+        if (!fast || !slow) {
+            return null;
+        }
+        const value = fast.value - slow.value;
+        const signal = this.signal.update(value);
+        return signal ? { value, signal: signal.value, histogram: value - signal.value } : null;
+    }
+}
+
+/**
+ * BollingerBands - SMA with bands a number of standard deviations away
+ */
+export class BollingerBands {
+    constructor(period, deviations = BOLLINGER_DEVIATIONS) {
+        this.period = period;
+        this.deviations = deviations;
+        this.window = []; // Last prices, oldest first
+    }
+
+    /**
+     * Add a price
+     * @param {number} price - Latest price
+     * @returns {Object|null} { value (the middle band), upper, lower }, or null until the window is full
+     */
+    update(price) {
+        this.window.push(price);
+        if (this.window.length > this.period) {
+            this.window.shift();
+        }
+        if (this.window.length < this.period) {
+            return null;
+        }
+        const mean = this.window.reduce((sum, entry) => sum + entry, 0) / this.period;
+        const variance = this.window.reduce((sum, entry) => sum + (entry - mean) ** 2, 0) / this.period;
+        const width = this.deviations * Math.sqrt(variance);
+        return { value: mean, upper: mean + width, lower: mean - width };
+    }
+}
+
+/**
+ * VolumeWeightedAveragePrice - Traded value divided by traded volume
+ */
+export class VolumeWeightedAveragePrice {
+    constructor() {
+        this.tradedValue = 0; // Sum of price * size
+        this.volume = 0; // Sum of size
+    }
+
+    /**
+     * Add a trade
+     * @param {number} price - Trade price
+     * @param {number} size - Traded quantity
+     * @returns {Object|null} { value, volume }, or null while there is no volume
+     */
+    update(price, size) {
+        if (size > 0) {
+            this.tradedValue += price * size;
+            this.volume += size;
+        }
+        return this.volume > 0 ? { value: this.tradedValue / this.volume, volume: this.volume } : null;
+    }
+}
+
+/**
+ * Create the calculator of an indicator
+ * @param {string} name - Indicator name (see parseIndicator)
+ * @returns {Object} Calculator with an update() method
+ * @throws {Error} If the name is invalid
+ */
+export function createIndicator(name) {
+    const indicator = parseIndicator(name);
+    switch (indicator.type) {
+        case IndicatorType.SMA:
+            return new SimpleMovingAverage(indicator.period);
+        case IndicatorType.EMA:
+            return new ExponentialMovingAverage(indicator.period);
+        case IndicatorType.RSI:
+            return new RelativeStrengthIndex(indicator.period);
+        case IndicatorType.MACD:
+            return new MovingAverageConvergenceDivergence(indicator.periods);
+        case IndicatorType.BOLLINGER:
+            return new BollingerBands(indicator.period);
+        default:
+            return new VolumeWeightedAveragePrice();
+    }
+}
+
+export class IndicatorEngine {
+    /**
+     * Constructor - Prepare an indicator engine (call start() to begin)
+     *
+     * @param {Broker} broker - The broker to read ticks and trades from and publish indicators to
+     * @param {Object} [options] - Engine options
+     * @param {string} [options.source] - Tick topic or pattern to compute indicators for
+     * @param {Array<string>} [options.indicators] - Default indicators for every symbol
+     * @throws {Error} If an indicator name is invalid
+     */
+    constructor(broker, { source = '*', indicators = DEFAULT_INDICATORS } = {}) {
+        indicators.forEach(parseIndicator);
+        this.broker = broker; // Broker for ticks, trades and indicators
+        this.clock = broker.clock || systemClock; // Time of ticks without a timestamp
+        this.source = source; // Tick topic or pattern subscribed to
+        this.tradeSource = marketDataTopic(source, TRADES_LEVEL); // Trades of the same symbols, for VWAP
+        this.defaultIndicators = indicators.slice();
+        this.symbolIndicators = new Map(); // Symbol -> indicator names configured for it
+        this.running = false;
+        this.listeners = new Map(); // Event name -> Set of listener functions
+
+        /**
+         * Calculators Map
+         * Key: Indicator topic (e.g., "AAPL.ind.rsi14")
+         * Value: Calculator holding the indicator's streaming state
+         */
+        this.calculators = new Map();
+
+        this.subscriber = new Subscriber('indicator-engine', 'Indicator Engine', broker);
+        this.subscriber.setUpdateCallback((topic, message) => this.handleMessage(topic, message));
+    }
+
+    /**
+     * Subscribe to ticks and trades (only messages published from now on are used)
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        this.subscriber.subscribe(this.source, null, { replay: { last: 0 } });
+        this.subscriber.subscribe(this.tradeSource, null, { replay: { last: 0 } });
+    }
+
+    /**
+     * Stop computing; indicator state is kept and continues on start()
+     */
+    stop() {
+        if (!this.running) {
+            return;
+        }
+        this.running = false;
+        this.subscriber.unsubscribe(this.source);
+        this.subscriber.unsubscribe(this.tradeSource);
+    }
+
+    /**
+     * Register a listener for an engine event
+     * @param {string} event - Event name ("change")
+     * @param {Function} listener - Called with the event payload
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+    }
+
+    /**
+     * Remove a previously registered event listener
+     * @param {string} event - Event name
+     * @param {Function} listener - The listener to remove
+     */
+    off(event, listener) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).delete(listener);
+        }
+    }
+
+    /**
+     * Notify all listeners of an event
+     * @param {string} event - Event name
+     * @param {Object} payload - Event data
+     * @returns {boolean} True if at least one listener was notified
+     */
+    emit(event, payload) {
+        const eventListeners = this.listeners.get(event);
+        if (!eventListeners || eventListeners.size === 0) {
+            return false;
+        }
+        eventListeners.forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`IndicatorEngine "${event}" listener failed:`, error);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Get the indicators computed for a symbol
+     * @param {string} symbol - Stock symbol
+     * @returns {Array<string>} Indicator names (the defaults unless the symbol is configured)
+     */
+    getIndicators(symbol) {
+        return (this.symbolIndicators.get(symbol) || this.defaultIndicators).slice();
+    }
+
+    /**
+     * Check whether a symbol has its own indicators instead of the defaults
+     * @param {string} symbol - Stock symbol
+     * @returns {boolean} True if the symbol was configured
+     */
+    isConfigured(symbol) {
+        return this.symbolIndicators.has(symbol);
+    }
+
+    /**
+     * Choose the indicators computed for a symbol
+     * Indicators that are kept continue from their current state; removed
+     * ones are forgotten.
+     * @param {string} symbol - Stock symbol
+     * @param {Array<string>|null} indicators - Indicator names, or null for the defaults
+     * @throws {Error} If an indicator name is invalid
+     */
+    configure(symbol, indicators) {
+        if (indicators) {
+            indicators.forEach(parseIndicator);
+            this.symbolIndicators.set(symbol, Array.from(new Set(indicators)));
+        } else {
+            this.symbolIndicators.delete(symbol);
+        }
+        const kept = new Set(this.getIndicators(symbol).map(name => indicatorTopic(symbol, name)));
+        Array.from(this.calculators.keys()).forEach(derivedTopic => {
+            if (splitTopic(derivedTopic)[0] === symbol && !kept.has(derivedTopic)) {
+                this.calculators.delete(derivedTopic);
+            }
+        });
+        console.log(`Indicators for ${symbol}: ${this.getIndicators(symbol).join(', ') || 'none'}`);
+        this.emit('change', {});
+    }
+
+    /**
+     * Add an indicator to a symbol's indicators
+     * @param {string} symbol - Stock symbol
+     * @param {string} name - Indicator name
+     * @throws {Error} If the name is invalid
+     */
+    addIndicator(symbol, name) {
+        parseIndicator(name);
+        this.configure(symbol, [...this.getIndicators(symbol), name]);
+    }
+
+    /**
+     * Remove an indicator from a symbol's indicators
+     * @param {string} symbol - Stock symbol
+     * @param {string} name - Indicator name
+     */
+    removeIndicator(symbol, name) {
+        this.configure(symbol, this.getIndicators(symbol).filter(entry => entry !== name));
+    }
+
+    /**
+     * Forget a symbol's indicator state, e.g. after it was delisted
+     * Its configuration is kept.
+     * @param {string} symbol - Stock symbol
+     */
+    reset(symbol) {
+        Array.from(this.calculators.keys()).forEach(derivedTopic => {
+            if (splitTopic(derivedTopic)[0] === symbol) {
+                this.calculators.delete(derivedTopic);
+            }
+        });
+    }
+
+    /**
+     * Feed a tick or trade to the symbol's indicators
+     * @param {string} topic - Tick topic (e.g., "AAPL") or trade topic (e.g., "AAPL.trades")
+     * @param {Object} message - Tick with price, timestamp and optionally volume, or trade with price and size
+     */
+    handleMessage(topic, message) {
+        const levels = splitTopic(topic);
+        const isTrade = levels.length === 2 && levels[1] === TRADES_LEVEL;
+        // Derived topics (bars, indicators, ...) matched by a broad source pattern are not ticks
+        if ((levels.length !== 1 && !isTrade) || typeof message.price !== 'number') {
+            return;
+        }
+        const symbol = levels[0];
+
+        const volume = isTrade ? message.size : message.volume;
+
+        this.getIndicators(symbol).forEach(name => {
+            const isVolumeWeighted = name === IndicatorType.VWAP;
+            // Trades only move VWAP; ticks move the others, and VWAP if they carry volume
+            const applies = isVolumeWeighted ? volume > 0 : !isTrade;
+            if (!applies) {
+                return;
+            }
+            const derivedTopic = indicatorTopic(symbol, name);
+            if (!this.calculators.has(derivedTopic)) {
+                this.calculators.set(derivedTopic, createIndicator(name));
+            }
+            const result = this.calculators.get(derivedTopic).update(message.price, volume);
+            if (result) {
+                this.broker.publish(derivedTopic, this.toMessage(symbol, name, result, message.timestamp));
+            }
+        });
+    }
+
+    /**
+     * Convert a calculator result to an indicator message
+     */
+    toMessage(symbol, name, result, timestamp) {
+        const message = { symbol, indicator: name, type: parseIndicator(name).type };
+        Object.entries(result).forEach(([field, value]) => {
+            message[field] = field === 'volume' ? value : roundValue(value);
+        });
+        message.timestamp = timestamp || this.clock.toISOString();
+        return message;
+    }
+
+    /**
+     * Capture the indicator configuration as a JSON-serializable snapshot
+     * Calculator state is not included; indicators warm up again after a restore.
+     * @returns {Object} Snapshot for IndicatorEngine.restore()
+     */
+    snapshot() {
+        return {
+            defaults: this.defaultIndicators.slice(),
+            symbols: Array.from(this.symbolIndicators.entries()).map(([symbol, indicators]) => ({
+                symbol,
+                indicators: indicators.slice()
+            }))
+        };
+    }
+
+    /**
+     * Restore the indicator configuration from a snapshot
+     * @param {Object} snapshot - Snapshot produced by IndicatorEngine.snapshot()
+     */
+    restore(snapshot) {
+        this.defaultIndicators = snapshot.defaults.slice();
+        this.symbolIndicators = new Map(snapshot.symbols.map(({ symbol, indicators }) => [symbol, indicators.slice()]));
+        this.calculators.clear();
+        this.emit('change', {});
+    }
+}
+
+/**
+ * Round an indicator value to 4 decimals
+ */
+function roundValue(value) {
+    return parseFloat(value.toFixed(4));
+}
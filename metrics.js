@@ -0,0 +1,165 @@
+/**
+ * BrokerMetrics - Publish and Delivery Metrics for the Broker
+ *
+ * The broker records every publish and every successful delivery here, so the
+ * load it is under can be inspected (and shown in the dashboard panel):
+ *
+ * Per topic:
+ * - publishCount:    messages published to the topic
+ * - ratePerSecond:   publishes per second over the recent rate window
+ * - fanOut:          subscribers the last message was queued for
+ * - averageFanOut:   average number of subscribers per message
+ * - lastPublishedAt: time of the last publish (ms since epoch)
+ *
+ * Per subscriber:
+ * - latency:         p50/p90/p99/max milliseconds from publish to completed
+ *                    delivery, over the most recent deliveries
+ *
+ * Delivery counters (delivered, failed, dropped, queue depth) are kept by each
+ * subscriber's DeliveryQueue; Broker.getMetrics() combines both.
+ */
+
+export class BrokerMetrics {
+    /**
+     * Constructor - Create an empty metrics collector
+     *
+     * @param {Object} [options] - Collector options
+     * @param {number} [options.rateWindowMs] - Window used to compute publish rates
+     * @param {number} [options.latencySamples] - Recent latencies kept per subscriber
+     */
+    constructor({ rateWindowMs = 10000, latencySamples = 500 } = {}) {
+        this.rateWindowMs = rateWindowMs;
+        this.latencySamples = latencySamples;
+
+        /**
+         * Topic Metrics Map
+         * Key: Topic
+         * Value: { publishCount, totalFanOut, fanOut, lastPublishedAt, recentPublishes }
+         */
+        this.topics = new Map();
+
+        /**
+         * Subscriber Latencies Map
+         * Key: Subscriber instance
+         * Value: Most recent delivery latencies in milliseconds, oldest first
+         */
+        this.latencies = new Map();
+    }
+
+    /**
+     * Record a publish
+     * @param {string} topic - Topic the message was published to
+     * @param {number} fanOut - Number of subscribers the message was queued for
+     * @param {number} [time] - Publish time in ms since epoch
+     */
+    recordPublish(topic, fanOut, time = Date.now()) {
+        if (!this.topics.has(topic)) {
+            this.topics.set(topic, {
+                publishCount: 0,
+                totalFanOut: 0,
+                fanOut: 0,
+                lastPublishedAt: null,
+                recentPublishes: []
+            });
+        }
+        const stats = this.topics.get(topic);
+        stats.publishCount++;
+        stats.totalFanOut += fanOut;
+        stats.fanOut = fanOut;
+        stats.lastPublishedAt = time;
+        stats.recentPublishes.push(time);
+        this.pruneRecent(stats, time);
+    }
+
+    /**
+     * Record a successful delivery
+     * @param {Subscriber} subscriber - Receiving subscriber
+     * @param {number} latencyMs - Milliseconds from publish to completed delivery
+     */
+    recordDelivery(subscriber, latencyMs) {
+        if (!this.latencies.has(subscriber)) {
+            this.latencies.set(subscriber, []);
+        }
+        const samples = this.latencies.get(subscriber);
+        samples.push(latencyMs);
+        if (samples.length > this.latencySamples) {
+            samples.shift();
+        }
+    }
+
+    /**
+     * Forget the publish metrics of a removed topic
+     * @param {string} topic - The removed topic
+     */
+    forgetTopic(topic) {
+        this.topics.delete(topic);
+    }
+
+    /**
+     * Forget the delivery latencies of a removed subscriber
+     * @param {Subscriber} subscriber - The removed subscriber
+     */
+    forgetSubscriber(subscriber) {
+        this.latencies.delete(subscriber);
+    }
+
+    /**
+     * Get metrics for every topic that has been published to
+     * @param {number} [now] - Current time in ms since epoch
+     * @returns {Array<Object>} One entry per topic, sorted by topic name
+     */
+    getTopicMetrics(now = Date.now()) {
+        return Array.from(this.topics.entries())
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([topic, stats]) => {
+                this.pruneRecent(stats, now);
+                return {
+                    topic,
+                    publishCount: stats.publishCount,
+                    ratePerSecond: stats.recentPublishes.length / (this.rateWindowMs / 1000),
+                    fanOut: stats.fanOut,
+                    averageFanOut: stats.totalFanOut / stats.publishCount,
+                    lastPublishedAt: stats.lastPublishedAt
+                };
+            });
+    }
+
+    /**
+     * Get delivery latency percentiles for a subscriber
+     * @param {Subscriber} subscriber - The subscriber instance
+     * @returns {{p50: number, p90: number, p99: number, max: number}} Latencies in
+     *          milliseconds (null before the first delivery)
+     */
+    getLatency(subscriber) {
+        const sorted = (this.latencies.get(subscriber) || []).slice().sort((a, b) => a - b);
+        return {
+            p50: percentile(sorted, 50),
+            p90: percentile(sorted, 90),
+            p99: percentile(sorted, 99),
+            max: sorted.length > 0 ? sorted[sorted.length - 1] : null
+        };
+    }
+
+    /**
+     * Drop publish timestamps that fall outside the rate window
+     */
+    pruneRecent(stats, now) {
+        while (stats.recentPublishes.length > 0 && now - stats.recentPublishes[0] > this.rateWindowMs) {
+            stats.recentPublishes.shift();
+        }
+    }
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @param {Array<number>} sorted - Values sorted in ascending order
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} The percentile value, or null if there are no values
+ */
+export function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return null;
+    }
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.max(0, rank - 1)];
+}
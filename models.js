@@ -0,0 +1,187 @@
+/**
+ * Price Models - Seedable Stochastic Models for Simulated Prices
+ *
+ * A Publisher delegates every price step to a price model. Each model takes
+ * the current price, the length of one tick as a fraction of a year and a
+ * random number generator, and returns the next price:
+ *
+ * - GeometricBrownianMotion: the classic stock model; log returns are normally
+ *   distributed with an annual drift and volatility
+ * - MeanReversion: the log price is pulled back towards a long-run mean
+ *   (exponential Ornstein-Uhlenbeck), useful for range-bound symbols
+ * - JumpDiffusion: geometric Brownian motion plus occasional normally
+ *   distributed jumps arriving as a Poisson process (Merton model)
+ *
+ * All randomness comes from createRandom(seed), so a publisher created with
+ * the same seed, model and parameters always produces the same price sequence.
+ */
+
+// One trading day as a fraction of a (252-day) trading year
+export const TRADING_DAY = 1 / 252;
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Any integer seed
+ * @returns {Function} Generator returning uniformly distributed numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Draw a standard normal value (Box-Muller transform)
+ * @param {Function} random - Uniform generator from createRandom()
+ * @returns {number} Normally distributed value with mean 0 and variance 1
+ */
+export function normal(random) {
+    const u = 1 - random(); // (0, 1], avoids log(0)
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Draw a Poisson-distributed count (Knuth's method, fine for small means)
+ * @param {number} mean - Expected count
+ * @param {Function} random - Uniform generator from createRandom()
+ * @returns {number} Non-negative integer count
+ */
+export function poisson(mean, random) {
+    const limit = Math.exp(-mean);
+    let count = 0;
+    let product = random();
+    while (product > limit) {
+        count++;
+        product *= random();
+    }
+    return count;
+}
+
+/**
+ * GeometricBrownianMotion - Log-normal random walk with drift
+ */
+export class GeometricBrownianMotion {
+    /**
+     * @param {Object} [params] - Model parameters
+     * @param {number} [params.drift] - Expected annual return (0.08 = 8%)
+     * @param {number} [params.volatility] - Annual volatility (0.3 = 30%)
+     */
+    constructor({ drift = 0.05, volatility = 0.3 } = {}) {
+        this.type = 'gbm';
+        this.drift = drift;
+        this.volatility = volatility;
+    }
+
+    /**
+     * Compute the next price
+     * @param {number} price - Current price
+     * @param {number} dt - Tick length as a fraction of a year
+     * @param {Function} random - Uniform generator from createRandom()
+     * @returns {number} Next price
+     */
+    next(price, dt, random) {
+        const shock = this.volatility * Math.sqrt(dt) * normal(random);
+        return price * Math.exp((this.drift - this.volatility ** 2 / 2) * dt + shock);
+    }
+}
+
+/**
+ * MeanReversion - Log price pulled towards a long-run mean
+ */
+export class MeanReversion {
+    /**
+     * @param {Object} [params] - Model parameters
+     * @param {number} [params.mean] - Long-run price level
+     * @param {number} [params.speed] - Annual mean-reversion speed (higher = faster pull)
+     * @param {number} [params.volatility] - Annual volatility
+     */
+    constructor({ mean = 100, speed = 5, volatility = 0.2 } = {}) {
+        this.type = 'mean-reversion';
+        this.mean = mean;
+        this.speed = speed;
+        this.volatility = volatility;
+    }
+
+    next(price, dt, random) {
+        const logPrice = Math.log(price);
+        const pull = this.speed * (Math.log(this.mean) - logPrice) * dt;
+        const shock = this.volatility * Math.sqrt(dt) * normal(random);
+        return Math.exp(logPrice + pull + shock);
+    }
+}
+
+/**
+ * JumpDiffusion - Geometric Brownian motion with Poisson-arriving jumps
+ */
+export class JumpDiffusion {
+    /**
+     * @param {Object} [params] - Model parameters
+     * @param {number} [params.drift] - Expected annual return, including jumps
+     * @param {number} [params.volatility] - Annual volatility of the diffusion part
+     * @param {number} [params.jumpIntensity] - Expected number of jumps per year
+     * @param {number} [params.jumpMean] - Mean log size of a jump (-0.05 = about -5%)
+     * @param {number} [params.jumpVolatility] - Standard deviation of the log jump size
+     */
+    constructor({ drift = 0.05, volatility = 0.3, jumpIntensity = 10, jumpMean = -0.02, jumpVolatility = 0.08 } = {}) {
+        this.type = 'jump-diffusion';
+        this.drift = drift;
+        this.volatility = volatility;
+        this.jumpIntensity = jumpIntensity;
+        this.jumpMean = jumpMean;
+        this.jumpVolatility = jumpVolatility;
+    }
+
+    next(price, dt, random) {
+        // Compensate the drift so jumps don't change the expected return
+        const expectedJump = Math.exp(this.jumpMean + this.jumpVolatility ** 2 / 2) - 1;
+        const drift = this.drift - this.jumpIntensity * expectedJump - this.volatility ** 2 / 2;
+        const shock = this.volatility * Math.sqrt(dt) * normal(random);
+
+        let jumps = 0;
+        const jumpCount = poisson(this.jumpIntensity * dt, random);
+        for (let i = 0; i < jumpCount; i++) {
+            jumps += this.jumpMean + this.jumpVolatility * normal(random);
+        }
+
+        return price * Math.exp(drift * dt + shock + jumps);
+    }
+}
+
+/**
+ * Create a price model by type name
+ * @param {string} type - "gbm", "mean-reversion" or "jump-diffusion"
+ * @param {Object} [params] - Parameters for the model's constructor
+ * @returns {Object} The price model
+ * @throws {Error} If the type is unknown
+ */
+export function createPriceModel(type, params = {}) {
+    switch (type) {
+        case 'gbm':
+            return new GeometricBrownianMotion(params);
+        case 'mean-reversion':
+            return new MeanReversion(params);
+        case 'jump-diffusion':
+            return new JumpDiffusion(params);
+        default:
+            throw new Error(`Unknown price model: ${type}`);
+    }
+}
+
+/**
+ * Default simulation profile per demo symbol
+ * name is the company name; startPrice is the first quote; model and params
+ * configure the price model.
+ */
+export const DEFAULT_SYMBOL_PROFILES = {
+    AAPL: { name: 'Apple', startPrice: 190, model: 'gbm', params: { drift: 0.08, volatility: 0.25 } },
+    GOOGL: { name: 'Google', startPrice: 140, model: 'gbm', params: { drift: 0.07, volatility: 0.3 } },
+    MSFT: { name: 'Microsoft', startPrice: 410, model: 'mean-reversion', params: { mean: 410, speed: 8, volatility: 0.2 } },
+    TSLA: { name: 'Tesla', startPrice: 250, model: 'jump-diffusion', params: { drift: 0.1, volatility: 0.55, jumpIntensity: 12, jumpMean: -0.01, jumpVolatility: 0.06 } },
+    AMZN: { name: 'Amazon', startPrice: 180, model: 'gbm', params: { drift: 0.09, volatility: 0.32 } }
+};
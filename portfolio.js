@@ -0,0 +1,386 @@
+/**
+ * Portfolio - Paper-Trading Portfolio with Live P&L
+ *
+ * A portfolio is a subscriber that trades against the prices published to
+ * the broker, without real money:
+ * - Market orders fill immediately at the latest price retained by the broker
+ * - Limit orders fill on the first tick at or better than the limit
+ *   (at or below it for buys, at or above it for sells)
+ *
+ * It tracks cash, positions with their average cost, and realized and
+ * unrealized P&L. The portfolio subscribes to exactly the symbols it holds or
+ * has open orders for, and publishes its valuation to "portfolio.<id>" after
+ * every fill and every price change of a held symbol. The valuation also
+ * carries price (equity), change (total return in percent) and timestamp, so
+ * it can be shown wherever ticks are.
+ *
+ * Invalid orders (unknown side, non-positive quantity, ...) throw. Orders that
+ * are valid but cannot be filled - not enough cash or shares, or no price
+ * published yet for a market order - are kept with status "rejected".
+ *
+ * Events (see on/off):
+ * - "fill": the order, when an order is filled
+ * - "change": {}, when orders, positions or the valuation change
+ */
+import { systemClock } from './clock.js';
+import { Subscriber } from './subscriber.js';
+
+export const OrderSide = { BUY: 'buy', SELL: 'sell' };
+export const OrderType = { MARKET: 'market', LIMIT: 'limit' };
+export const OrderStatus = { OPEN: 'open', FILLED: 'filled', CANCELLED: 'cancelled', REJECTED: 'rejected' };
+
+export const PORTFOLIO_TOPIC_PREFIX = 'portfolio';
+
+export class Portfolio {
+    /**
+     * Constructor - Create a portfolio holding only cash
+     *
+     * @param {Broker} broker - The broker to read prices from and publish valuations to
+     * @param {Object} [options] - Portfolio options
+     * @param {string} [options.id] - Portfolio ID, used in the valuation topic
+     * @param {number} [options.cash] - Starting cash
+     */
+    constructor(broker, { id = 'paper', cash = 100000 } = {}) {
+        this.broker = broker; // Broker for prices and valuations
+        this.clock = broker.clock || systemClock; // Time source for order and valuation timestamps
+        this.id = id;
+        this.topic = `${PORTFOLIO_TOPIC_PREFIX}.${id}`; // Valuation topic
+        this.startingCash = cash;
+        this.cash = cash;
+        this.realizedPnL = 0;
+        this.positions = new Map(); // Symbol -> { quantity, averageCost, realizedPnL }
+        this.orders = []; // All orders, oldest first
+        this.orderCounter = 0; // Counter for generating unique order IDs
+        this.prices = new Map(); // Symbol -> latest price seen
+        this.subscribedSymbols = new Set(); // Symbols currently subscribed to
+        this.listeners = new Map(); // Event name -> Set of listener functions
+
+        this.subscriber = new Subscriber(`portfolio-${id}`, `Portfolio ${id}`, broker);
+        this.subscriber.setUpdateCallback((topic, message) => this.handleTick(topic, message));
+    }
+
+    /**
+     * Register a listener for a portfolio event
+     * @param {string} event - Event name ("fill" or "change")
+     * @param {Function} listener - Called with the event payload
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+    }
+
+    /**
+     * Remove a previously registered event listener
+     * @param {string} event - Event name
+     * @param {Function} listener - The listener to remove
+     */
+    off(event, listener) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).delete(listener);
+        }
+    }
+
+    /**
+     * Notify all listeners of an event
+     * @param {string} event - Event name
+     * @param {Object} payload - Event data
+     * @returns {boolean} True if at least one listener was notified
+     */
+    emit(event, payload) {
+        const eventListeners = this.listeners.get(event);
+        if (!eventListeners || eventListeners.size === 0) {
+            return false;
+        }
+        eventListeners.forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Portfolio "${event}" listener failed:`, error);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Place an order
+     * @param {Object} request - Order request
+     * @param {string} request.symbol - Stock symbol (topic)
+     * @param {string} request.side - "buy" or "sell"
+     * @param {number} request.quantity - Number of shares (positive integer)
+     * @param {string} [request.type] - "market" or "limit"
+     * @param {number} [request.limitPrice] - Limit price for limit orders
+     * @returns {Object} The order, already filled or rejected for market orders
+     * @throws {Error} If the request is invalid
+     */
+    placeOrder({ symbol, side, quantity, type = OrderType.MARKET, limitPrice = null }) {
+        if (typeof symbol !== 'string' || symbol === '') {
+            throw new Error('Order needs a symbol');
+        }
+        if (!Object.values(OrderSide).includes(side)) {
+            throw new Error(`Unknown order side: ${side}`);
+        }
+        if (!Object.values(OrderType).includes(type)) {
+            throw new Error(`Unknown order type: ${type}`);
+        }
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            throw new Error('Order quantity must be a positive whole number');
+        }
+        if (type === OrderType.LIMIT && !(limitPrice > 0)) {
+            throw new Error('Limit orders need a limit price greater than 0');
+        }
+
+        this.orderCounter++;
+        const order = {
+            id: `order-${this.orderCounter}`,
+            symbol,
+            side,
+            type,
+            quantity,
+            limitPrice: type === OrderType.LIMIT ? limitPrice : null,
+            status: OrderStatus.OPEN,
+            createdAt: this.clock.toISOString(),
+            filledAt: null,
+            fillPrice: null,
+            reason: null
+        };
+        this.orders.push(order);
+        console.log(`Order placed: ${side} ${quantity} ${symbol} (${type}${order.limitPrice ? ` @ ${order.limitPrice}` : ''})`);
+
+        const price = this.getLatestPrice(symbol);
+        if (type === OrderType.MARKET) {
+            if (price === null) {
+                this.reject(order, `No price published yet for ${symbol}`);
+            } else {
+                this.fill(order, price);
+            }
+        } else if (price !== null && this.isMarketable(order, price)) {
+            this.fill(order, price);
+        }
+
+        this.refreshSubscriptions();
+        this.emit('change', {});
+        return order;
+    }
+
+    /**
+     * Cancel an open order
+     * @param {string} orderId - ID of the order
+     * @returns {boolean} True if the order was open and is now cancelled
+     */
+    cancelOrder(orderId) {
+        const order = this.orders.find(entry => entry.id === orderId);
+        if (!order || order.status !== OrderStatus.OPEN) {
+            return false;
+        }
+        order.status = OrderStatus.CANCELLED;
+        this.refreshSubscriptions();
+        this.emit('change', {});
+        return true;
+    }
+
+    /**
+     * Get all orders, oldest first
+     * @returns {Array<Object>} Orders
+     */
+    getOrders() {
+        return this.orders;
+    }
+
+    /**
+     * Get the latest price for a symbol: the last tick seen, or else the
+     * latest message the broker retains for the topic
+     * @param {string} symbol - Stock symbol
+     * @returns {number|null} Latest price, or null if nothing was published
+     */
+    getLatestPrice(symbol) {
+        if (this.prices.has(symbol)) {
+            return this.prices.get(symbol);
+        }
+        const entries = this.broker.getRetainedEntries(symbol);
+        return entries.length > 0 ? entries[entries.length - 1].message.price : null;
+    }
+
+    /**
+     * Value the portfolio at the latest prices
+     * @returns {Object} Valuation with cash, positions, market value, equity and P&L
+     */
+    getValuation() {
+        const positions = Array.from(this.positions.entries()).map(([symbol, position]) => {
+            // Value at cost until a price is known (e.g., right after a restore)
+            const latestPrice = this.getLatestPrice(symbol);
+            const price = latestPrice !== null ? latestPrice : position.averageCost;
+            const marketValue = position.quantity * price;
+            return {
+                symbol,
+                quantity: position.quantity,
+                averageCost: position.averageCost,
+                price,
+                marketValue,
+                unrealizedPnL: marketValue - position.quantity * position.averageCost,
+                realizedPnL: position.realizedPnL
+            };
+        });
+        const marketValue = positions.reduce((sum, position) => sum + position.marketValue, 0);
+        const unrealizedPnL = positions.reduce((sum, position) => sum + position.unrealizedPnL, 0);
+        const equity = this.cash + marketValue;
+
+        return {
+            portfolio: this.id,
+            cash: this.cash,
+            positions,
+            marketValue,
+            equity,
+            realizedPnL: this.realizedPnL,
+            unrealizedPnL,
+            price: equity,
+            change: parseFloat(((equity - this.startingCash) / this.startingCash * 100).toFixed(2)),
+            timestamp: this.clock.toISOString()
+        };
+    }
+
+    /**
+     * Track a price tick: fill marketable limit orders and revalue holdings
+     * @param {string} topic - Symbol topic
+     * @param {Object} message - Tick with price
+     */
+    handleTick(topic, message) {
+        this.prices.set(topic, message.price);
+
+        let filled = false;
+        this.orders.forEach(order => {
+            if (order.symbol === topic && order.status === OrderStatus.OPEN && this.isMarketable(order, message.price)) {
+                this.fill(order, message.price);
+                filled = true;
+            }
+        });
+
+        if (filled) {
+            this.refreshSubscriptions();
+            this.emit('change', {});
+        } else if (this.positions.has(topic)) {
+            this.publishValuation();
+            this.emit('change', {});
+        }
+    }
+
+    /**
+     * Check whether a limit order can fill at a price
+     */
+    isMarketable(order, price) {
+        return order.side === OrderSide.BUY ? price <= order.limitPrice : price >= order.limitPrice;
+    }
+
+    /**
+     * Execute an order at a price, or reject it if cash or shares are short
+     */
+    fill(order, price) {
+        const cost = order.quantity * price;
+        const position = this.positions.get(order.symbol) || { quantity: 0, averageCost: 0, realizedPnL: 0 };
+
+        if (order.side === OrderSide.BUY) {
+            if (cost > this.cash) {
+                this.reject(order, `Insufficient cash: need ${cost.toFixed(2)}, have ${this.cash.toFixed(2)}`);
+                return;
+            }
+            this.cash -= cost;
+            position.averageCost = (position.quantity * position.averageCost + cost) / (position.quantity + order.quantity);
+            position.quantity += order.quantity;
+            this.positions.set(order.symbol, position);
+        } else {
+            if (order.quantity > position.quantity) {
+                this.reject(order, `Insufficient shares: selling ${order.quantity}, holding ${position.quantity}`);
+                return;
+            }
+            const pnl = (price - position.averageCost) * order.quantity;
+            this.cash += cost;
+            this.realizedPnL += pnl;
+            position.realizedPnL += pnl;
+            position.quantity -= order.quantity;
+            if (position.quantity === 0) {
+                this.positions.delete(order.symbol);
+            }
+        }
+
+        order.status = OrderStatus.FILLED;
+        order.fillPrice = price;
+        order.filledAt = this.clock.toISOString();
+        console.log(`Order filled: ${order.side} ${order.quantity} ${order.symbol} @ ${price}`);
+        this.emit('fill', order);
+        this.publishValuation();
+    }
+
+    /**
+     * Mark an order as rejected
+     */
+    reject(order, reason) {
+        order.status = OrderStatus.REJECTED;
+        order.reason = reason;
+        console.warn(`Order rejected: ${reason}`);
+    }
+
+    /**
+     * Publish the current valuation to the portfolio topic
+     */
+    publishValuation() {
+        this.broker.publish(this.topic, this.getValuation());
+    }
+
+    /**
+     * Subscribe to held symbols and symbols with open orders, and to nothing else
+     */
+    refreshSubscriptions() {
+        const wanted = new Set(this.positions.keys());
+        this.orders.forEach(order => {
+            if (order.status === OrderStatus.OPEN) {
+                wanted.add(order.symbol);
+            }
+        });
+
+        this.subscribedSymbols.forEach(symbol => {
+            if (!wanted.has(symbol)) {
+                this.subscriber.unsubscribe(symbol);
+                this.prices.delete(symbol);
+            }
+        });
+        wanted.forEach(symbol => {
+            if (!this.subscribedSymbols.has(symbol)) {
+                // No replay: the latest retained price is read on demand
+                this.subscriber.subscribe(symbol, null, { replay: { last: 0 } });
+            }
+        });
+        this.subscribedSymbols = wanted;
+    }
+
+    /**
+     * Capture cash, positions and orders as a JSON-serializable snapshot
+     * @returns {Object} Snapshot for Portfolio.restore()
+     */
+    snapshot() {
+        return {
+            startingCash: this.startingCash,
+            cash: this.cash,
+            realizedPnL: this.realizedPnL,
+            positions: Array.from(this.positions.entries()).map(([symbol, position]) => [symbol, { ...position }]),
+            orderCounter: this.orderCounter,
+            orders: this.orders.map(order => ({ ...order }))
+        };
+    }
+
+    /**
+     * Restore cash, positions and orders, and resubscribe accordingly
+     * @param {Object} snapshot - Snapshot produced by Portfolio.snapshot()
+     */
+    restore(snapshot) {
+        this.startingCash = snapshot.startingCash;
+        this.cash = snapshot.cash;
+        this.realizedPnL = snapshot.realizedPnL;
+        this.positions = new Map(snapshot.positions);
+        this.orderCounter = snapshot.orderCounter;
+        this.orders = snapshot.orders.map(order => ({ ...order }));
+        this.prices.clear();
+        this.refreshSubscriptions();
+        this.emit('change', {});
+    }
+}
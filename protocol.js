@@ -0,0 +1,72 @@
+/**
+ * Protocol - JSON Wire Protocol Between BrokerServer and RemoteBroker
+ *
+ * Remote clients talk to a broker hosted by server.js over WebSocket.
+ * Every WebSocket text message carries exactly one JSON frame with a "type".
+ *
+ * Client -> Server:
+ * - { type: "subscribe", subscriberId, topic, filter?, options? }
+ * - { type: "unsubscribe", subscriberId, topic }
+ * - { type: "unsubscribe-all", subscriberId }
+ * - { type: "pause", subscriberId }
+ * - { type: "resume", subscriberId }
+ * - { type: "publish", topic, message, options? }
+ * - { type: "resend", subscriberId, topic, fromSequence, toSequence }
+ * - { type: "ack", subscriberId, deliveryId }
+ * - { type: "nack", subscriberId, deliveryId, reason? }
+ * - { type: "replay-dead-letters", subscriberId, pattern? }
+ * - { type: "discard-dead-letters", subscriberId, pattern? }
+ *
+ * Server -> Client:
+ * - { type: "message", subscriberId, topic, message, envelope? }   (envelope: see broker.js)
+ * - { type: "dead-letter", subscriberId, deadLetter }   (deadLetter: see Broker.getDeadLetters)
+ * - { type: "error", error, request? }   (request is the frame that failed, if any)
+ *
+ * subscriberId identifies a subscriber within one connection, so a single
+ * connection can carry any number of independent subscribers.
+ */
+
+export const FrameType = {
+    SUBSCRIBE: 'subscribe',
+    UNSUBSCRIBE: 'unsubscribe',
+    UNSUBSCRIBE_ALL: 'unsubscribe-all',
+    PAUSE: 'pause',
+    RESUME: 'resume',
+    PUBLISH: 'publish',
+    RESEND: 'resend',
+    ACK: 'ack',
+    NACK: 'nack',
+    REPLAY_DEAD_LETTERS: 'replay-dead-letters',
+    DISCARD_DEAD_LETTERS: 'discard-dead-letters',
+    MESSAGE: 'message',
+    DEAD_LETTER: 'dead-letter',
+    ERROR: 'error'
+};
+
+/**
+ * Serialize a frame for sending
+ * @param {Object} frame - Frame object with a "type" field
+ * @returns {string} JSON text
+ */
+export function encodeFrame(frame) {
+    return JSON.stringify(frame);
+}
+
+/**
+ * Parse and validate a received frame
+ * @param {string} text - JSON text received over the socket
+ * @returns {Object} The frame object
+ * @throws {Error} If the text is not JSON or the frame type is unknown
+ */
+export function decodeFrame(text) {
+    let frame;
+    try {
+        frame = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Malformed frame: ${error.message}`);
+    }
+    if (!frame || !Object.values(FrameType).includes(frame.type)) {
+        throw new Error(`Unknown frame type: ${frame && frame.type}`);
+    }
+    return frame;
+}
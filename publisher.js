@@ -1,3 +1,29 @@
+import { systemClock } from './clock.js';
+import { BOOK_LEVEL, BookSimulator, QUOTE_LEVEL, TRADES_LEVEL, marketDataTopic } from './book.js';
+import { GeometricBrownianMotion, TRADING_DAY, createRandom } from './models.js';
+import { SessionPhase } from './session.js';
+import { CircuitBreaker, HaltTrigger, MarketEvent, MarketStatus, statusTopic } from './status.js';
+
+/**
+ * Schema of the price ticks published to "<symbol>" topics (see schemas.js)
+ * Register it with broker.registerSchema('*', TICK_SCHEMA) to reject malformed ticks.
+ * The session fields are only present on ticks of publishers that track them.
+ */
+export const TICK_SCHEMA = {
+    name: 'stock-tick',
+    version: 1,
+    fields: {
+        symbol: 'string',
+        price: { type: 'number', min: 0 },
+        timestamp: 'string',
+        change: 'number',
+        previousClose: { type: 'number', required: false, min: 0 },
+        changeFromClose: { type: 'number', required: false },
+        dayOpen: { type: 'number', required: false, min: 0 },
+        session: { type: 'string', required: false, enum: Object.values(SessionPhase) }
+    }
+};
+
 /**
  * Publisher - Publishes Stock Price Updates to the Broker
  * 
@@ -7,10 +33,29 @@
  * 3. Maintaining independence from subscribers (decoupled design)
  * 
  * This class demonstrates:
- * - Asynchronous message generation (using setInterval)
+ * - Asynchronous message generation (using the clock's setInterval)
  * - Topic-based publishing (each publisher publishes to a specific stock symbol)
  * - Decoupled communication (publisher only interacts with the broker)
  * 
+ * Prices are generated by a pluggable, seedable price model (see models.js),
+ * so the same seed always reproduces the same tick sequence.
+ * 
+ * Each tick is also published as market data (see book.js): the best bid and
+ * ask on "<symbol>.quote", the trade on "<symbol>.trades" and the level-2
+ * order book on "<symbol>.book".
+ * 
+ * A circuit breaker halts the symbol when its price moves past the limit-up or
+ * limit-down band, and resumes it after a cooldown; news shocks jump the price.
+ * Halts, resumptions and news are announced on "status.<symbol>" (see status.js).
+ * 
+ * With a market session (see session.js), the tick rate and volatility follow
+ * the session phase and nothing is published while the market is closed.
+ * Ticks report change per tick and changeFromClose against the previous
+ * regular-session close, along with the day's open.
+ * 
+ * Timers and timestamps come from a clock (see clock.js), by default the
+ * broker's, so a virtual clock can run the simulation faster than real time.
+ * 
  * Architecture Pattern: Publish-Subscribe
  * Publisher -> Broker -> Subscribers (one-to-many communication)
  */
@@ -20,42 +65,88 @@ export class Publisher {
      * 
      * @param {Broker} broker - The central message broker instance
      * @param {string} symbol - The stock symbol (acts as topic in pub-sub pattern)
+     * @param {Object} [options] - Simulation options
+     * @param {number} [options.startPrice] - First price of the simulation
+     * @param {Object} [options.model] - Price model (see models.js; default: geometric Brownian motion)
+     * @param {number} [options.seed] - Seed for the random number generator (default: random)
+     * @param {number} [options.timeStep] - Simulated time per tick as a fraction of a year
+     * @param {number} [options.bookDepth] - Price levels per side of the order book
+     * @param {number} [options.intervalMs] - Default update interval in milliseconds
+     * @param {Clock} [options.clock] - Time source and timers (default: the broker's clock)
+     * @param {Object|null} [options.circuitBreaker] - Circuit breaker settings (see CircuitBreaker),
+     *        or null to never halt automatically
+     * @param {MarketSession|null} [options.session] - Market session to follow (null = always regular hours)
+     * @param {string} [options.id] - Publisher ID stamped on message envelopes (default: "publisher-<symbol>")
      */
-    constructor(broker, symbol) {
+    constructor(broker, symbol, {
+        startPrice = 100.00,
+        model = new GeometricBrownianMotion(),
+        seed = Math.floor(Math.random() * 2 ** 32),
+        timeStep = TRADING_DAY,
+        bookDepth = 5,
+        intervalMs = 2000,
+        clock = broker.clock || systemClock,
+        circuitBreaker = {},
+        session = null,
+        id = `publisher-${symbol}`
+    } = {}) {
         this.broker = broker; // Reference to the central broker
         this.symbol = symbol; // Stock symbol (topic identifier)
-        this.currentPrice = 100.00; // Starting price for simulation
+        this.id = id; // Publisher ID for message tracing
+        this.currentPrice = startPrice; // Starting price for simulation
+        this.model = model; // Price model generating each step
+        this.seed = seed; // Seed used for this publisher's random sequence
+        this.random = createRandom(seed); // Seeded random number generator
+        this.timeStep = timeStep; // Simulated time per tick (fraction of a year)
+        // Quotes, trades and book; sizes use their own generator so prices don't depend on them
+        this.book = new BookSimulator(symbol, createRandom(seed ^ 0x5bd1e995), { depth: bookDepth });
+        this.clock = clock; // Source of timers and timestamps
         this.updateInterval = null; // Reference to the interval timer
+        this.intervalMs = intervalMs; // Milliseconds between updates
+        this.publishedCount = 0; // Price updates published so far
+        this.lastMessage = null; // Most recently published price update
+        this.circuitBreaker = null; // Limit-up/limit-down bands (see setCircuitBreaker)
+        this.setCircuitBreaker(circuitBreaker);
+        this.currentHalt = null; // { trigger, since, resumesAt } while trading is halted
+        this.resumeTimer = null; // Clock timeout that ends the current halt
+        this.scheduledNews = new Map(); // Clock timeout ID -> news shock waiting to be published
+        this.previousClose = startPrice; // Last regular-session close, the reference for changeFromClose
+        this.dayOpen = null; // First regular-session price of the day
+        this.session = null; // Market session followed (see setSession)
+        this.phaseListener = event => this.handlePhaseChange(event);
+        this.setSession(session);
     }
 
     /**
      * Start Publishing Price Updates at Regular Intervals
      * 
-     * This method initiates asynchronous message publishing using JavaScript's setInterval.
+     * This method initiates asynchronous message publishing using the clock's setInterval.
      * The publisher generates and publishes messages periodically without blocking,
      * demonstrating asynchronous, message-driven communication.
      * 
      * Key aspects:
-     * - Asynchronous: Uses setInterval for non-blocking periodic updates
+     * - Asynchronous: Uses a clock interval for non-blocking periodic updates
      * - Message-driven: Each update triggers a message publication
      * - Decoupled: Publisher doesn't know who receives the messages
      * 
-     * @param {number} intervalMs - Update interval in milliseconds (default: 2000ms)
+     * @param {number} intervalMs - Update interval in milliseconds (default: the publisher's interval)
      */
-    startPublishing(intervalMs = 2000) {
+    startPublishing(intervalMs = this.intervalMs) {
         // Clear any existing interval to prevent duplicates
         if (this.updateInterval) {
-            clearInterval(this.updateInterval);
+            this.clock.clearInterval(this.updateInterval);
         }
+        this.intervalMs = intervalMs;
+        
+        // Start with a full book so book consumers can (re)synchronize
+        this.book.requestSnapshot();
 
         /**
          * Set up periodic message publishing
-         * setInterval creates an asynchronous timer that calls publishUpdate()
+         * The clock's setInterval creates an asynchronous timer that calls publishUpdate()
          * at regular intervals, demonstrating asynchronous message generation
          */
-        this.updateInterval = setInterval(() => {
-            this.publishUpdate();
-        }, intervalMs);
+        this.scheduleUpdates();
 
         // Publish initial update immediately to show current state
         this.publishUpdate();
@@ -66,11 +157,271 @@ export class Publisher {
      */
     stopPublishing() {
         if (this.updateInterval) {
-            clearInterval(this.updateInterval);
+            this.clock.clearInterval(this.updateInterval);
             this.updateInterval = null;
         }
     }
 
+    /**
+     * Check whether the publisher is currently publishing
+     * @returns {boolean} True between startPublishing() and stopPublishing()
+     */
+    isPublishing() {
+        return this.updateInterval !== null;
+    }
+
+    /**
+     * Change the update interval
+     * A running publisher keeps publishing at the new interval.
+     * @param {number} intervalMs - Update interval in milliseconds
+     * @throws {Error} If the interval is not a positive number
+     */
+    setUpdateInterval(intervalMs) {
+        if (!(intervalMs > 0)) {
+            throw new Error(`Invalid update interval: ${intervalMs}`);
+        }
+        this.intervalMs = intervalMs;
+        if (this.updateInterval) {
+            this.scheduleUpdates();
+        }
+    }
+
+    /**
+     * (Re)start the update timer at the interval of the current session phase
+     */
+    scheduleUpdates() {
+        if (this.updateInterval) {
+            this.clock.clearInterval(this.updateInterval);
+        }
+        this.updateInterval = this.clock.setInterval(() => {
+            this.publishUpdate();
+        }, this.getEffectiveInterval());
+    }
+
+    /**
+     * Get the time between updates in the current session phase
+     * @returns {number} The update interval scaled by the phase's intervalScale
+     */
+    getEffectiveInterval() {
+        const settings = this.getPhaseSettings();
+        return this.intervalMs * (settings ? settings.intervalScale : 1);
+    }
+
+    /**
+     * Follow a market session, or stop following one
+     * @param {MarketSession|null} session - Session whose phases set the tick rate and volatility
+     */
+    setSession(session) {
+        if (this.session) {
+            this.session.off('phase', this.phaseListener);
+        }
+        this.session = session;
+        if (session) {
+            session.on('phase', this.phaseListener);
+        }
+        if (this.updateInterval) {
+            this.scheduleUpdates();
+        }
+    }
+
+    /**
+     * Get the behavior of the current session phase
+     * @returns {Object|null} { trading, intervalScale, volatilityScale }, or null without a session
+     */
+    getPhaseSettings() {
+        return this.session ? this.session.getPhaseSettings() : null;
+    }
+
+    /**
+     * Check whether the market is open for trading (always true without a session)
+     * @returns {boolean} True if the current session phase publishes ticks
+     */
+    isMarketOpen() {
+        const settings = this.getPhaseSettings();
+        return !settings || settings.trading;
+    }
+
+    /**
+     * Update the day's reference prices and tick rate when the session phase changes
+     * The regular session's last price becomes the previous close, and the
+     * first regular-session price of the next day becomes its open.
+     */
+    handlePhaseChange({ phase, previousPhase }) {
+        if (previousPhase === SessionPhase.REGULAR) {
+            this.previousClose = this.currentPrice;
+        }
+        if (phase === SessionPhase.REGULAR) {
+            this.dayOpen = null;
+        }
+        if (this.updateInterval) {
+            this.scheduleUpdates();
+        }
+    }
+
+    /**
+     * Replace the circuit breaker settings
+     * A new breaker takes the current price as its first reference price.
+     * @param {Object|null} settings - Settings for CircuitBreaker.configure(), or null to disable it
+     * @throws {Error} If a setting is invalid
+     */
+    setCircuitBreaker(settings) {
+        if (!settings) {
+            this.circuitBreaker = null;
+        } else if (this.circuitBreaker) {
+            this.circuitBreaker.configure(settings);
+        } else {
+            this.circuitBreaker = new CircuitBreaker(settings);
+            this.circuitBreaker.reset(this.clock.now(), this.currentPrice);
+        }
+    }
+
+    /**
+     * Check whether trading in the symbol is halted
+     * @returns {boolean} True between a halt and the following resumption
+     */
+    isHalted() {
+        return this.currentHalt !== null;
+    }
+
+    /**
+     * Halt trading in the symbol
+     * No price updates are published until the halt ends. The halt is
+     * announced on "status.<symbol>".
+     * @param {string} [trigger] - Why trading halts (a HaltTrigger value)
+     * @param {number|null} [durationMs] - Resume automatically after this long (null = halt until resume())
+     * @param {Object} [bands] - The breached bands { lower, upper }, for circuit breaker halts
+     * @returns {boolean} False if trading was already halted
+     */
+    haltTrading(trigger = HaltTrigger.MANUAL, durationMs = null, bands = null) {
+        if (this.currentHalt) {
+            return false;
+        }
+        const since = this.clock.now();
+        this.currentHalt = { trigger, since, resumesAt: durationMs ? since + durationMs : null };
+        if (durationMs) {
+            this.resumeTimer = this.clock.setTimeout(() => {
+                this.resumeTimer = null;
+                this.resumeTrading();
+            }, durationMs);
+        }
+        console.warn(`Trading halted: ${this.symbol} (${trigger})`);
+
+        const event = { trigger };
+        if (bands) {
+            event.lowerBand = bands.lower;
+            event.upperBand = bands.upper;
+        }
+        if (this.currentHalt.resumesAt) {
+            event.resumesAt = new Date(this.currentHalt.resumesAt).toISOString();
+        }
+        this.publishStatus(MarketEvent.HALT, event);
+        return true;
+    }
+
+    /**
+     * Resume trading after a halt
+     * The circuit breaker's reference price starts again from the last price.
+     * @returns {boolean} False if trading was not halted
+     */
+    resumeTrading() {
+        if (!this.currentHalt) {
+            return false;
+        }
+        if (this.resumeTimer) {
+            this.clock.clearTimeout(this.resumeTimer);
+            this.resumeTimer = null;
+        }
+        this.currentHalt = null;
+        if (this.circuitBreaker) {
+            this.circuitBreaker.reset(this.clock.now(), this.currentPrice);
+        }
+        console.log(`Trading resumed: ${this.symbol}`);
+        this.publishStatus(MarketEvent.RESUME);
+        return true;
+    }
+
+    /**
+     * Publish a news shock that moves the price
+     * The news is announced on "status.<symbol>" and the shocked price is
+     * published right away, so a large shock can trigger the circuit breaker.
+     * During a halt or while the market is closed, trading resumes from the
+     * shocked price instead.
+     * @param {Object} news - The news shock
+     * @param {string} [news.headline] - What happened
+     * @param {number} news.percent - Price move in percent (e.g., -8 for an 8% drop)
+     * @throws {Error} If the move is not a number above -100%
+     */
+    publishNews({ headline = 'Market news', percent }) {
+        if (!Number.isFinite(percent) || percent <= -100) {
+            throw new Error(`Invalid news shock: ${percent}%`);
+        }
+        const shockedPrice = Math.max(0.01, this.currentPrice * (1 + percent / 100));
+        console.log(`News for ${this.symbol}: ${headline} (${percent}%)`);
+        this.publishStatus(MarketEvent.NEWS, { headline, percent });
+        if (this.currentHalt || !this.isMarketOpen()) {
+            this.currentPrice = shockedPrice;
+        } else {
+            this.publishPrice(shockedPrice);
+        }
+    }
+
+    /**
+     * Schedule a news shock
+     * @param {Object} news - The news shock (see publishNews())
+     * @param {number} delayMs - Delay in milliseconds on the publisher's clock
+     * @returns {*} ID for cancelNews()
+     * @throws {Error} If the news shock is invalid
+     */
+    scheduleNews(news, delayMs) {
+        if (!Number.isFinite(news.percent) || news.percent <= -100) {
+            throw new Error(`Invalid news shock: ${news.percent}%`);
+        }
+        const id = this.clock.setTimeout(() => {
+            this.scheduledNews.delete(id);
+            this.publishNews(news);
+        }, delayMs);
+        this.scheduledNews.set(id, { ...news, dueAt: this.clock.now() + delayMs });
+        return id;
+    }
+
+    /**
+     * Cancel a scheduled news shock
+     * @param {*} id - ID returned by scheduleNews()
+     * @returns {boolean} False if the news was already published or cancelled
+     */
+    cancelNews(id) {
+        if (!this.scheduledNews.has(id)) {
+            return false;
+        }
+        this.clock.clearTimeout(id);
+        this.scheduledNews.delete(id);
+        return true;
+    }
+
+    /**
+     * Publish a market event to the symbol's status topic
+     * @param {string} event - A MarketEvent value
+     * @param {Object} [details] - Event-specific fields
+     */
+    publishStatus(event, details = {}) {
+        this.broker.publish(statusTopic(this.symbol), {
+            symbol: this.symbol,
+            event,
+            status: this.currentHalt ? MarketStatus.HALTED : MarketStatus.TRADING,
+            lastPrice: parseFloat(this.currentPrice.toFixed(2)),
+            timestamp: this.clock.toISOString(),
+            ...details
+        }, { publisherId: this.id });
+    }
+
+    /**
+     * Replace the price model; the next update continues from the current price
+     * @param {Object} model - Price model (see models.js)
+     */
+    setModel(model) {
+        this.model = model;
+    }
+
     /**
      * Generate and Publish a Price Update
      * 
@@ -87,14 +438,42 @@ export class Publisher {
      * - price: Current stock price
      * - timestamp: ISO timestamp of the update
      * - change: Percentage change from previous price
+     * - previousClose, changeFromClose: Last regular-session close and the percentage change from it
+     * - dayOpen: First regular-session price of the day (once known)
+     * - session: Session phase (only with a market session)
+     * 
+     * Nothing is published while trading is halted or the market is closed.
      */
     publishUpdate() {
+        if (this.currentHalt || !this.isMarketOpen()) {
+            return;
+        }
+        
         /**
          * Simulate realistic price changes
-         * Random change between -5% and +5% to simulate market volatility
+         * The price model computes the next price from the seeded random sequence;
+         * the session phase scales its log return (e.g., calmer pre-market trading)
          */
-        const changePercent = (Math.random() * 10 - 5) / 100;
-        this.currentPrice = Math.max(0.01, this.currentPrice * (1 + changePercent));
+        let nextPrice = this.model.next(this.currentPrice, this.timeStep, this.random);
+        const settings = this.getPhaseSettings();
+        if (settings && settings.volatilityScale !== 1 && nextPrice > 0) {
+            nextPrice = this.currentPrice * Math.exp(settings.volatilityScale * Math.log(nextPrice / this.currentPrice));
+        }
+        this.publishPrice(Math.max(0.01, nextPrice));
+    }
+
+    /**
+     * Publish a new price, its market data, and a halt if it breaches a band
+     * A price beyond the circuit breaker's band is published at the band.
+     * @param {number} price - The new price
+     */
+    publishPrice(price) {
+        const breach = this.circuitBreaker ? this.circuitBreaker.check(price) : null;
+        const previousPrice = this.currentPrice;
+        this.currentPrice = breach ? breach.limitPrice : price;
+        // A previous price of 0 has no percentage change
+        const changePercent = previousPrice === 0 ? 0 : (this.currentPrice - previousPrice) / previousPrice;
+        const changeFromClose = this.previousClose === 0 ? 0 : (this.currentPrice - this.previousClose) / this.previousClose;
         
         /**
          * Create message object
@@ -103,16 +482,45 @@ export class Publisher {
         const message = {
             symbol: this.symbol,
             price: parseFloat(this.currentPrice.toFixed(2)),
-            timestamp: new Date().toISOString(),
-            change: parseFloat((changePercent * 100).toFixed(2))
+            timestamp: this.clock.toISOString(),
+            change: parseFloat((changePercent * 100).toFixed(2)),
+            previousClose: parseFloat(this.previousClose.toFixed(2)),
+            changeFromClose: parseFloat((changeFromClose * 100).toFixed(2))
         };
+        if (this.dayOpen === null && (!this.session || this.session.getPhase() === SessionPhase.REGULAR)) {
+            this.dayOpen = message.price;
+        }
+        if (this.dayOpen !== null) {
+            message.dayOpen = this.dayOpen;
+        }
+        if (this.session) {
+            message.session = this.session.getPhase();
+        }
 
         /**
          * Publish message to broker
          * The broker handles asynchronous distribution to all subscribers
          * Publisher doesn't need to know who receives the message (decoupled)
          */
-        this.broker.publish(this.symbol, message);
+        const options = { publisherId: this.id };
+        this.broker.publish(this.symbol, message, options);
+        this.publishedCount++;
+        this.lastMessage = message;
+        
+        /**
+         * Publish the market data around the new price
+         * Subscribers choose the level of detail by topic
+         */
+        const { quote, trade, book } = this.book.next(message.price, message.timestamp);
+        this.broker.publish(marketDataTopic(this.symbol, QUOTE_LEVEL), quote, options);
+        this.broker.publish(marketDataTopic(this.symbol, TRADES_LEVEL), trade, options);
+        this.broker.publish(marketDataTopic(this.symbol, BOOK_LEVEL), book, options);
+        
+        if (breach) {
+            this.haltTrading(breach.trigger, this.circuitBreaker.haltMs, breach.bands);
+        } else if (this.circuitBreaker) {
+            this.circuitBreaker.record(this.clock.now(), this.currentPrice);
+        }
     }
 
     /**
@@ -0,0 +1,268 @@
+/**
+ * DeliveryQueue - Per-Subscriber Asynchronous Delivery Queue
+ *
+ * The broker gives every subscriber its own delivery queue. Publishing only
+ * appends the message to the queues of matching subscribers and returns;
+ * the queues are drained afterwards by microtasks, one message per step.
+ *
+ * This provides:
+ * 1. True asynchronous delivery: publish() never runs subscriber code
+ * 2. Fault isolation: a subscriber that throws (or whose callback returns a
+ *    rejected promise) only affects itself; the error is caught, counted and
+ *    reported, and the next message is delivered as usual
+ * 3. Ordering: each subscriber receives messages in publish order, and a
+ *    subscriber whose callback returns a promise is not handed the next
+ *    message until that promise settles
+ * 4. Fairness: queues are drained one message per microtask, so busy
+ *    subscribers interleave instead of starving each other
+ * 5. Backpressure: a slow subscriber's backlog can be bounded; when the buffer
+ *    is full the configured overflow policy decides what happens
+ * 6. Pausing: a paused queue keeps accepting messages (subject to backpressure)
+ *    but delivers nothing until it is resumed
+ *
+ * Overflow policies:
+ * - "drop-oldest": discard the oldest pending message to make room
+ * - "drop-newest": discard the incoming message
+ * - "conflate":    replace the pending message for the same topic with the
+ *                  incoming one (only the newest quote per symbol matters);
+ *                  falls back to dropping the oldest if the topic has none pending
+ * - "disconnect":  discard the backlog and disconnect the subscriber
+ */
+export const OverflowPolicy = {
+    DROP_OLDEST: 'drop-oldest',
+    DROP_NEWEST: 'drop-newest',
+    CONFLATE: 'conflate',
+    DISCONNECT: 'disconnect'
+};
+
+export class DeliveryQueue {
+    /**
+     * Constructor - Create an empty, unbounded queue for a subscriber
+     *
+     * @param {Subscriber} subscriber - The subscriber this queue delivers to
+     * @param {Object} hooks - Callbacks provided by the broker
+     * @param {Function} hooks.onError - Called with (error, topic, message, envelope) when delivery fails
+     * @param {Function} hooks.onDisconnect - Called when the "disconnect" policy triggers
+     * @param {Function} [hooks.onDelivered] - Called with the latency in ms of each successful delivery
+     * @param {Function} [hooks.onDispatched] - Called with the envelope right before each receive() call
+     * @param {Function} [hooks.onDropped] - Called with (topic, message, envelope) for each message
+     *        discarded by the overflow policy
+     * @param {Function} [hooks.onSuperseded] - Called with (topic, message, envelope) for each pending
+     *        message the "conflate" policy replaces with a newer one of the same topic
+     */
+    constructor(subscriber, {
+        onError,
+        onDisconnect,
+        onDelivered = () => {},
+        onDispatched = () => {},
+        onDropped = () => {},
+        onSuperseded = () => {}
+    }) {
+        this.subscriber = subscriber; // Receiving subscriber
+        this.onError = onError; // Failure reporting hook
+        this.onDisconnect = onDisconnect; // Overflow disconnect hook
+        this.onDelivered = onDelivered; // Delivery latency hook
+        this.onDispatched = onDispatched; // Hook that starts ack timeouts (see acks.js)
+        this.onDropped = onDropped; // Hook that redelivers dropped acknowledged messages
+        this.onSuperseded = onSuperseded; // Hook that releases conflated acknowledged messages
+        this.pending = []; // Messages waiting for delivery: { topic, message, envelope, enqueuedAt }
+        this.draining = false; // True while a drain step is scheduled or running
+        this.bufferSize = Infinity; // Maximum number of pending messages
+        this.overflow = OverflowPolicy.DROP_OLDEST; // Policy applied when the buffer is full
+        this.delivered = 0; // Messages successfully delivered
+        this.failed = 0; // Messages whose delivery threw or rejected
+        this.dropped = 0; // Messages discarded by the overflow policy
+        this.paused = false; // True while delivery is suspended
+    }
+
+    /**
+     * Set the buffer size and overflow policy
+     * Messages already pending are kept even if they exceed the new size.
+     *
+     * @param {Object} options - Backpressure options
+     * @param {number} [options.bufferSize] - Maximum pending messages, a positive integer (Infinity for unbounded)
+     * @param {string} [options.overflow] - One of the OverflowPolicy values
+     * @throws {Error} If the buffer size or policy is invalid
+     */
+    configure({ bufferSize = this.bufferSize, overflow = this.overflow } = {}) {
+        if (bufferSize !== Infinity && !(Number.isInteger(bufferSize) && bufferSize >= 1)) {
+            throw new Error(`Invalid buffer size: ${bufferSize}`);
+        }
+        if (!Object.values(OverflowPolicy).includes(overflow)) {
+            throw new Error(`Unknown overflow policy: ${overflow}`);
+        }
+        this.bufferSize = bufferSize;
+        this.overflow = overflow;
+    }
+
+    /**
+     * Add a message to the queue and schedule draining
+     * If the buffer is full, the overflow policy is applied first.
+     * @param {string} topic - The concrete topic the message was published to
+     * @param {Object} message - The message data
+     * @param {Object|null} [envelope] - Message envelope passed on to the subscriber (see broker.js)
+     */
+    enqueue(topic, message, envelope = null) {
+        if (this.pending.length >= this.bufferSize && !this.applyOverflow(topic, message, envelope)) {
+            return;
+        }
+        this.pending.push({ topic, message, envelope, enqueuedAt: performance.now() });
+        this.scheduleDrain();
+    }
+
+    /**
+     * Apply the overflow policy for an incoming message
+     * @returns {boolean} True if the incoming message should still be appended
+     */
+    applyOverflow(topic, message, envelope) {
+        switch (this.overflow) {
+            case OverflowPolicy.DROP_NEWEST:
+                this.drop({ topic, message, envelope });
+                return false;
+
+            case OverflowPolicy.CONFLATE: {
+                const existing = this.pending.find(entry => entry.topic === topic);
+                if (existing) {
+                    // Counted as dropped, but superseded rather than lost
+                    this.dropped++;
+                    this.onSuperseded(existing.topic, existing.message, existing.envelope);
+                    existing.message = message;
+                    existing.envelope = envelope;
+                    existing.enqueuedAt = performance.now();
+                    return false;
+                }
+                this.drop(this.pending.shift());
+                return true;
+            }
+
+            case OverflowPolicy.DISCONNECT: {
+                const discarded = this.pending;
+                this.pending = [];
+                discarded.forEach(entry => this.drop(entry));
+                this.drop({ topic, message, envelope });
+                this.onDisconnect();
+                return false;
+            }
+
+            default:
+                this.drop(this.pending.shift());
+                return true;
+        }
+    }
+
+    /**
+     * Count a discarded message and report it
+     */
+    drop({ topic, message, envelope }) {
+        this.dropped++;
+        this.onDropped(topic, message, envelope);
+    }
+
+    /**
+     * Suspend delivery; incoming messages are buffered until resume()
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Resume delivery, starting with the buffered messages
+     */
+    resume() {
+        this.paused = false;
+        this.scheduleDrain();
+    }
+
+    /**
+     * Discard every pending message (counted as dropped)
+     */
+    clear() {
+        this.dropped += this.pending.length;
+        this.pending = [];
+    }
+
+    /**
+     * Number of messages waiting for delivery
+     * @returns {number} Current queue depth
+     */
+    get depth() {
+        return this.pending.length;
+    }
+
+    /**
+     * Schedule the next drain step unless one is already in progress
+     */
+    scheduleDrain() {
+        if (this.draining || this.paused || this.pending.length === 0) {
+            return;
+        }
+        this.draining = true;
+        queueMicrotask(() => this.drainNext());
+    }
+
+    /**
+     * Deliver the message at the head of the queue
+     * If the subscriber returns a promise, the next message waits for it to settle.
+     */
+    drainNext() {
+        // The backlog may have been discarded (e.g., on disconnect) or the
+        // queue paused since scheduling
+        if (this.pending.length === 0 || this.paused) {
+            this.draining = false;
+            return;
+        }
+
+        const { topic, message, envelope, enqueuedAt } = this.pending.shift();
+        let result;
+
+        this.onDispatched(envelope);
+        try {
+            result = this.subscriber.receive(topic, message, envelope);
+        } catch (error) {
+            this.recordFailure(error, topic, message, envelope);
+            this.continueDraining();
+            return;
+        }
+
+        if (result && typeof result.then === 'function') {
+            result.then(
+                () => {
+                    this.recordSuccess(enqueuedAt);
+                    this.continueDraining();
+                },
+                error => {
+                    this.recordFailure(error, topic, message, envelope);
+                    this.continueDraining();
+                }
+            );
+            return;
+        }
+
+        this.recordSuccess(enqueuedAt);
+        this.continueDraining();
+    }
+
+    /**
+     * Release the drain flag and schedule the following message, if any
+     */
+    continueDraining() {
+        this.draining = false;
+        this.scheduleDrain();
+    }
+
+    /**
+     * Count a successful delivery and report its latency
+     */
+    recordSuccess(enqueuedAt) {
+        this.delivered++;
+        this.onDelivered(performance.now() - enqueuedAt);
+    }
+
+    /**
+     * Count a failed delivery and report it
+     */
+    recordFailure(error, topic, message, envelope) {
+        this.failed++;
+        this.onError(error, topic, message, envelope);
+    }
+}
@@ -0,0 +1,364 @@
+/**
+ * RemoteBroker - Client for a Broker Hosted by server.js
+ *
+ * RemoteBroker has the same subscription, pause/resume and publish surface as
+ * Broker, so Subscriber and Publisher instances can be given a RemoteBroker
+ * instead of a local one without any changes:
+ *
+ *   const remote = new RemoteBroker('ws://localhost:8080');
+ *   const subscriber = new Subscriber('sub-1', 'Remote Trader', remote);
+ *   subscriber.subscribe('AAPL', 'abs(change) >= 2');
+ *   new Publisher(remote, 'TSLA').startPublishing(1000);
+ *
+ * Requests are sent as JSON frames (see protocol.js). Requests made before the
+ * connection is open are queued and sent once it opens. Validation happens on
+ * the server, so errors such as an invalid filter are reported asynchronously
+ * through the "error" event rather than thrown.
+ *
+ * Queries that Broker answers synchronously (getSubscriptions, isPaused) are
+ * answered from the subscriptions and pause state this client has requested,
+ * so they do not wait for the server. Subscriptions with an invalid filter or
+ * invalid ack settings are not recorded, since the server rejects them.
+ * Likewise, getDeadLetters answers from the dead letters the server has sent
+ * since this client connected.
+ *
+ * Works with the browser's WebSocket, or any compatible implementation
+ * passed in the options (e.g. the global WebSocket of Node 22+).
+ *
+ * Events (see on/off):
+ * - "open": the connection is established
+ * - "close": the connection is closed
+ * - "error": { error, request } when the server rejects a request or the connection fails
+ */
+import { MAX_DEAD_LETTERS, resolveAckSettings } from './acks.js';
+import { compileFilter } from './filters.js';
+import { FrameType, decodeFrame, encodeFrame } from './protocol.js';
+
+export class RemoteBroker {
+    /**
+     * Constructor - Connect to a broker server
+     *
+     * @param {string} url - WebSocket URL of the server (e.g., "ws://localhost:8080")
+     * @param {Object} [options] - Client options
+     * @param {Function} [options.WebSocket] - WebSocket constructor (defaults to the global one)
+     */
+    constructor(url, { WebSocket = globalThis.WebSocket } = {}) {
+        if (!WebSocket) {
+            throw new Error('No WebSocket implementation available');
+        }
+
+        this.url = url;
+        this.subscribers = new Map(); // Subscriber ID -> Subscriber receiving message frames
+        this.subscriptions = new Map(); // Subscriber ID -> Map of topic -> { topic, filter, schemaVersion, ack }
+        this.paused = new Set(); // IDs of paused subscribers
+        this.deadLetters = new Map(); // Subscriber ID -> dead letters received from the server, oldest first
+        this.outbox = []; // Frames waiting for the connection to open
+        this.listeners = new Map(); // Event name -> Set of listener functions
+
+        this.socket = new WebSocket(url);
+        this.ready = new Promise((resolve, reject) => {
+            this.socket.addEventListener('open', () => {
+                this.outbox.forEach(text => this.socket.send(text));
+                this.outbox = [];
+                this.emit('open', {});
+                resolve();
+            });
+            this.socket.addEventListener('error', () => {
+                const error = new Error(`WebSocket connection to ${url} failed`);
+                this.emit('error', { error, request: null });
+                reject(error);
+            });
+        });
+        // Avoid unhandled rejections for callers that only use events
+        this.ready.catch(() => {});
+
+        this.socket.addEventListener('message', event => this.handleFrame(event.data));
+        this.socket.addEventListener('close', () => this.emit('close', {}));
+    }
+
+    /**
+     * Register a listener for a client event
+     * @param {string} event - Event name ("open", "close" or "error")
+     * @param {Function} listener - Called with the event payload
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+    }
+
+    /**
+     * Remove a previously registered event listener
+     * @param {string} event - Event name
+     * @param {Function} listener - The listener to remove
+     */
+    off(event, listener) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).delete(listener);
+        }
+    }
+
+    /**
+     * Notify all listeners of an event
+     * @param {string} event - Event name
+     * @param {Object} payload - Event data
+     * @returns {boolean} True if at least one listener was notified
+     */
+    emit(event, payload) {
+        const eventListeners = this.listeners.get(event);
+        if (!eventListeners || eventListeners.size === 0) {
+            return false;
+        }
+        eventListeners.forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`RemoteBroker "${event}" listener failed:`, error);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Subscribe a subscriber to a topic on the remote broker
+     * Same parameters as Broker.subscribe().
+     * @param {string} topic - The topic or pattern to subscribe to
+     * @param {Subscriber} subscriber - The local subscriber that receives the messages
+     * @param {string|Object} [filter] - Content filter
+     * @param {Object} [options] - Subscription options (bufferSize, overflow, replay, schemaVersion, ack)
+     */
+    subscribe(topic, subscriber, filter = null, options = {}) {
+        this.subscribers.set(subscriber.id, subscriber);
+        this.send({ type: FrameType.SUBSCRIBE, subscriberId: subscriber.id, topic, filter, options });
+
+        let subscription;
+        try {
+            subscription = {
+                topic,
+                filter: filter ? compileFilter(filter).source : null,
+                schemaVersion: options.schemaVersion === undefined ? null : options.schemaVersion,
+                ack: options.ack ? resolveAckSettings(options.ack) : null
+            };
+        } catch (error) {
+            return; // The server reports the error
+        }
+        if (!this.subscriptions.has(subscriber.id)) {
+            this.subscriptions.set(subscriber.id, new Map());
+        }
+        this.subscriptions.get(subscriber.id).set(topic, subscription);
+    }
+
+    /**
+     * Unsubscribe a subscriber from a topic on the remote broker
+     * @param {string} topic - The topic to unsubscribe from
+     * @param {Subscriber} subscriber - The local subscriber
+     */
+    unsubscribe(topic, subscriber) {
+        this.send({ type: FrameType.UNSUBSCRIBE, subscriberId: subscriber.id, topic });
+        if (this.subscriptions.has(subscriber.id)) {
+            this.subscriptions.get(subscriber.id).delete(topic);
+        }
+    }
+
+    /**
+     * Unsubscribe a subscriber from every topic and pattern on the remote broker
+     * @param {Subscriber} subscriber - The local subscriber
+     * @returns {number} Number of subscriptions removed
+     */
+    unsubscribeAll(subscriber) {
+        const count = this.getSubscriptions(subscriber).length;
+        this.send({ type: FrameType.UNSUBSCRIBE_ALL, subscriberId: subscriber.id });
+        this.subscriptions.delete(subscriber.id);
+        return count;
+    }
+
+    /**
+     * Get every subscription of a subscriber, as requested by this client
+     * @param {Subscriber} subscriber - The local subscriber
+     * @returns {Array<Object>} Entries { topic, filter, schemaVersion, ack } (see Broker.getSubscriptions)
+     */
+    getSubscriptions(subscriber) {
+        const subscriptions = this.subscriptions.get(subscriber.id);
+        return subscriptions ? Array.from(subscriptions.values(), subscription => ({ ...subscription })) : [];
+    }
+
+    /**
+     * Suspend delivery to a subscriber; the remote broker buffers its messages
+     * @param {Subscriber} subscriber - The local subscriber
+     */
+    pause(subscriber) {
+        this.paused.add(subscriber.id);
+        this.send({ type: FrameType.PAUSE, subscriberId: subscriber.id });
+    }
+
+    /**
+     * Resume delivery to a paused subscriber
+     * @param {Subscriber} subscriber - The local subscriber
+     */
+    resume(subscriber) {
+        this.paused.delete(subscriber.id);
+        this.send({ type: FrameType.RESUME, subscriberId: subscriber.id });
+    }
+
+    /**
+     * Check whether delivery to a subscriber is paused
+     * @param {Subscriber} subscriber - The local subscriber
+     * @returns {boolean} True if paused
+     */
+    isPaused(subscriber) {
+        return this.paused.has(subscriber.id);
+    }
+
+    /**
+     * Publish a message through the remote broker
+     * @param {string} topic - The concrete topic to publish to
+     * @param {Object} message - The message data
+     * @param {Object} [options] - Publish options (schemaVersion)
+     */
+    publish(topic, message, options = {}) {
+        this.send({ type: FrameType.PUBLISH, topic, message, options });
+    }
+
+    /**
+     * Ask the remote broker to resend retained messages to a subscriber
+     * The messages arrive asynchronously, so unlike Broker.resend() nothing
+     * is returned and the subscriber keeps waiting for the whole range.
+     * @param {string} topic - The concrete topic
+     * @param {Subscriber} subscriber - The local subscriber
+     * @param {number} fromSequence - First sequence number to resend
+     * @param {number} toSequence - Last sequence number to resend
+     */
+    resend(topic, subscriber, fromSequence, toSequence) {
+        this.send({ type: FrameType.RESEND, subscriberId: subscriber.id, topic, fromSequence, toSequence });
+    }
+
+    /**
+     * Acknowledge a delivery of an acknowledged subscription
+     * @param {Subscriber} subscriber - The local subscriber
+     * @param {string} deliveryId - The envelope's deliveryId
+     */
+    ack(subscriber, deliveryId) {
+        this.send({ type: FrameType.ACK, subscriberId: subscriber.id, deliveryId });
+    }
+
+    /**
+     * Reject a delivery of an acknowledged subscription
+     * @param {Subscriber} subscriber - The local subscriber
+     * @param {string} deliveryId - The envelope's deliveryId
+     * @param {string} [reason] - Why processing failed
+     */
+    nack(subscriber, deliveryId, reason) {
+        this.send({ type: FrameType.NACK, subscriberId: subscriber.id, deliveryId, reason });
+    }
+
+    /**
+     * Get the messages in a subscriber's dead-letter queues
+     * @param {Subscriber} subscriber - The local subscriber
+     * @param {string} [pattern] - Only this subscription's queue (default: all)
+     * @returns {Array<Object>} Dead letters (see Broker.getDeadLetters)
+     */
+    getDeadLetters(subscriber, pattern = null) {
+        const deadLetters = this.deadLetters.get(subscriber.id) || [];
+        return deadLetters.filter(deadLetter => pattern === null || deadLetter.pattern === pattern);
+    }
+
+    /**
+     * Ask the remote broker to deliver a subscriber's dead letters again
+     * @param {Subscriber} subscriber - The local subscriber
+     * @param {string} [pattern] - Only this subscription's queue (default: all)
+     * @returns {number} Number of messages redelivered
+     */
+    replayDeadLetters(subscriber, pattern = null) {
+        this.send({ type: FrameType.REPLAY_DEAD_LETTERS, subscriberId: subscriber.id, pattern });
+        return this.takeDeadLetters(subscriber, pattern).length;
+    }
+
+    /**
+     * Empty a subscriber's dead-letter queues on the remote broker
+     * @param {Subscriber} subscriber - The local subscriber
+     * @param {string} [pattern] - Only this subscription's queue (default: all)
+     * @returns {number} Number of dead letters discarded
+     */
+    discardDeadLetters(subscriber, pattern = null) {
+        this.send({ type: FrameType.DISCARD_DEAD_LETTERS, subscriberId: subscriber.id, pattern });
+        return this.takeDeadLetters(subscriber, pattern).length;
+    }
+
+    /**
+     * Remove and return the local copy of a subscriber's dead letters
+     */
+    takeDeadLetters(subscriber, pattern) {
+        const deadLetters = this.getDeadLetters(subscriber, pattern);
+        this.deadLetters.set(subscriber.id, (this.deadLetters.get(subscriber.id) || [])
+            .filter(deadLetter => !deadLetters.includes(deadLetter)));
+        return deadLetters;
+    }
+
+    /**
+     * Close the connection
+     */
+    close() {
+        this.socket.close();
+    }
+
+    /**
+     * Send a frame now, or queue it until the connection opens
+     */
+    send(frame) {
+        const text = encodeFrame(frame);
+        if (this.socket.readyState === 1) { // WebSocket.OPEN
+            this.socket.send(text);
+        } else {
+            this.outbox.push(text);
+        }
+    }
+
+    /**
+     * Dispatch a frame received from the server
+     */
+    handleFrame(text) {
+        let frame;
+        try {
+            frame = decodeFrame(text);
+        } catch (error) {
+            this.emit('error', { error, request: null });
+            return;
+        }
+
+        if (frame.type === FrameType.ERROR) {
+            const error = new Error(frame.error);
+            if (!this.emit('error', { error, request: frame.request })) {
+                console.error('Remote broker error:', frame.error);
+            }
+            return;
+        }
+
+        if (frame.type === FrameType.DEAD_LETTER) {
+            const deadLetters = this.deadLetters.get(frame.subscriberId) || [];
+            deadLetters.push(frame.deadLetter);
+            // Keep what the remote broker keeps per subscription
+            const queued = deadLetters.filter(deadLetter => deadLetter.pattern === frame.deadLetter.pattern);
+            if (queued.length > MAX_DEAD_LETTERS) {
+                deadLetters.splice(deadLetters.indexOf(queued[0]), 1);
+            }
+            this.deadLetters.set(frame.subscriberId, deadLetters);
+            return;
+        }
+
+        if (frame.type === FrameType.MESSAGE) {
+            const subscriber = this.subscribers.get(frame.subscriberId);
+            if (!subscriber) {
+                return;
+            }
+            // Isolate subscriber failures like the local broker does
+            Promise.resolve()
+                .then(() => subscriber.receive(frame.topic, frame.message, frame.envelope || null))
+                .catch(error => {
+                    if (!this.emit('error', { error, request: null })) {
+                        console.error(`Subscriber ${subscriber.id} failed for topic ${frame.topic}:`, error);
+                    }
+                });
+        }
+    }
+}
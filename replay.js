@@ -0,0 +1,344 @@
+import { systemClock } from './clock.js';
+
+/**
+ * ReplayPublisher - Publishes Recorded Market Data to the Broker
+ *
+ * Where Publisher simulates prices, ReplayPublisher plays back recorded ticks
+ * or OHLC bars from a CSV or JSON file, publishing the same message shape
+ * (symbol, price, timestamp, change) so subscribers cannot tell the difference.
+ * This makes specific market days reproducible in demos and tests.
+ *
+ * Playback:
+ * - Timing: the original gaps between records are preserved, divided by the
+ *   speed multiplier (1 = real time, 10 = ten times faster, Infinity = as fast
+ *   as possible)
+ * - Controls: startPublishing/pause to play and pause, stopPublishing to stop
+ *   and rewind, seek to jump to a record index or timestamp, loop to restart
+ *   at the end
+ *
+ * Input format (CSV with a header row, or JSON array of objects):
+ * - timestamp (or time/date): ISO string, or epoch seconds/milliseconds
+ * - symbol: optional if a symbol is given in the options
+ * - price for ticks, or open/high/low/close for bars (close becomes the price)
+ * - volume: optional
+ *
+ * Messages carry the recorded timestamp; change is the percentage change from
+ * the previous record of the same symbol (or from the open for a first bar).
+ */
+export class ReplayPublisher {
+    /**
+     * Constructor - Prepare playback of parsed records (see parseMarketData)
+     *
+     * @param {Broker} broker - The central message broker instance
+     * @param {Array<Object>} records - Records sorted by time
+     * @param {Object} [options] - Playback options
+     * @param {number} [options.speed] - Speed multiplier (Infinity = as fast as possible)
+     * @param {boolean} [options.loop] - Restart from the beginning after the last record
+     * @param {string} [options.id] - Publisher ID stamped on message envelopes
+     */
+    constructor(broker, records, { speed = 1, loop = false, id = 'replay' } = {}) {
+        this.broker = broker; // Reference to the central broker
+        this.id = id; // Publisher ID for message tracing
+        this.clock = broker.clock || systemClock; // Schedules the gaps between records
+        this.records = records; // Recorded ticks or bars, oldest first
+        this.speed = speed; // Playback speed multiplier
+        this.loop = loop; // Whether playback wraps around at the end
+        this.position = 0; // Index of the next record to publish
+        this.timer = null; // Pending clock timeout for the next record
+        this.playing = false; // True between startPublishing() and pause()/stop
+        this.lastPrices = new Map(); // Symbol -> last published price, for change
+    }
+
+    /**
+     * Load records from a CSV or JSON file and create a replay publisher
+     * In the browser the source is fetched as a URL; under Node it is read
+     * from the filesystem unless it is an http(s) URL.
+     *
+     * @param {Broker} broker - The central message broker instance
+     * @param {string} source - File path or URL ending in .csv or .json
+     * @param {Object} [options] - Playback options plus { symbol, format }
+     * @returns {Promise<ReplayPublisher>} The publisher, ready to start
+     */
+    static async fromFile(broker, source, options = {}) {
+        const format = options.format || (source.toLowerCase().endsWith('.json') ? 'json' : 'csv');
+        const text = await readSource(source);
+        return new ReplayPublisher(broker, parseMarketData(text, format, options.symbol), options);
+    }
+
+    /**
+     * Start (or resume) playback from the current position
+     */
+    startPublishing() {
+        if (this.playing) {
+            return;
+        }
+        this.playing = true;
+        this.scheduleNext(0);
+    }
+
+    /**
+     * Pause playback, keeping the current position
+     */
+    pause() {
+        this.playing = false;
+        if (this.timer) {
+            this.clock.clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Stop playback and rewind to the first record
+     */
+    stopPublishing() {
+        this.pause();
+        this.position = 0;
+        this.lastPrices.clear();
+    }
+
+    /**
+     * Change the playback speed (takes effect from the next record)
+     * @param {number} speed - Speed multiplier (Infinity = as fast as possible)
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    /**
+     * Jump to a record index or point in time
+     * A timestamp seeks to the first record at or after it. Price changes are
+     * measured from the record before the new position.
+     * @param {number|string|Date} target - Record index (number) or timestamp (string/Date)
+     */
+    seek(target) {
+        if (typeof target === 'number') {
+            this.position = Math.min(Math.max(0, target), this.records.length);
+        } else {
+            const time = new Date(target).getTime();
+            const index = this.records.findIndex(record => record.time >= time);
+            this.position = index === -1 ? this.records.length : index;
+        }
+
+        this.lastPrices.clear();
+        this.records.slice(0, this.position).forEach(record => {
+            this.lastPrices.set(record.symbol, record.price);
+        });
+
+        if (this.playing) {
+            this.clock.clearTimeout(this.timer);
+            this.scheduleNext(0);
+        }
+    }
+
+    /**
+     * Publish the record at the current position and advance
+     * @returns {boolean} False if there was no record left to publish
+     */
+    publishUpdate() {
+        if (this.position >= this.records.length) {
+            if (!this.loop || this.records.length === 0) {
+                return false;
+            }
+            this.position = 0;
+            this.lastPrices.clear();
+        }
+
+        const record = this.records[this.position];
+        const previousPrice = this.lastPrices.has(record.symbol)
+            ? this.lastPrices.get(record.symbol)
+            : (record.open !== undefined ? record.open : record.price);
+        this.lastPrices.set(record.symbol, record.price);
+        this.position++;
+
+        const message = {
+            symbol: record.symbol,
+            price: record.price,
+            timestamp: new Date(record.time).toISOString(),
+            // A previous price of 0 has no percentage change
+            change: previousPrice === 0 ? 0 : parseFloat(((record.price - previousPrice) / previousPrice * 100).toFixed(2))
+        };
+        ['open', 'high', 'low', 'volume'].forEach(field => {
+            if (record[field] !== undefined) {
+                message[field] = record[field];
+            }
+        });
+
+        this.broker.publish(record.symbol, message, { publisherId: this.id });
+        return true;
+    }
+
+    /**
+     * Schedule the next record after a delay, then keep going
+     */
+    scheduleNext(delayMs) {
+        this.timer = this.clock.setTimeout(() => {
+            this.timer = null;
+            if (!this.playing) {
+                return;
+            }
+            const previous = this.records[this.position - 1];
+            if (!this.publishUpdate()) {
+                this.playing = false;
+                return;
+            }
+            const current = this.records[this.position - 1];
+            const next = this.records[this.position];
+            if (!next && !this.loop) {
+                this.playing = false;
+                return;
+            }
+            // At the end of a loop, reuse the gap that led up to the last record
+            const gap = next ? next.time - current.time : (previous ? current.time - previous.time : 0);
+            this.scheduleNext(Number.isFinite(this.speed) ? Math.max(0, gap) / this.speed : 0);
+        }, delayMs);
+    }
+}
+
+/**
+ * Parse recorded market data into replay records
+ *
+ * @param {string} text - File contents
+ * @param {string} format - "csv" or "json"
+ * @param {string} [defaultSymbol] - Symbol for records without a symbol field
+ * @returns {Array<Object>} Records { symbol, time, price, open?, high?, low?, volume? } sorted by time
+ * @throws {Error} If a record has no usable timestamp, symbol or price
+ */
+export function parseMarketData(text, format, defaultSymbol = null) {
+    const rows = format === 'json' ? parseJsonRows(text) : parseCsvRows(text);
+
+    return rows
+        .map((row, index) => toRecord(row, index, defaultSymbol))
+        .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Read JSON rows: either an array of objects or { ticks: [...] } / { bars: [...] }
+ */
+function parseJsonRows(text) {
+    const data = JSON.parse(text);
+    const rows = Array.isArray(data) ? data : (data.ticks || data.bars);
+    if (!Array.isArray(rows)) {
+        throw new Error('JSON market data must be an array or contain a "ticks" or "bars" array');
+    }
+    return rows;
+}
+
+/**
+ * Read CSV rows into objects keyed by the (lower-cased) header names
+ * Supports quoted fields with embedded commas and doubled quotes.
+ */
+function parseCsvRows(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) {
+        return [];
+    }
+    const header = splitCsvLine(lines[0]).map(name => name.trim().toLowerCase());
+    return lines.slice(1).map(line => {
+        const values = splitCsvLine(line);
+        const row = {};
+        header.forEach((name, i) => {
+            row[name] = values[i] !== undefined ? values[i].trim() : '';
+        });
+        return row;
+    });
+}
+
+/**
+ * Split one CSV line into fields
+ */
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * Convert a raw row into a replay record
+ */
+function toRecord(row, index, defaultSymbol) {
+    const rawTime = row.timestamp !== undefined ? row.timestamp : (row.time !== undefined ? row.time : row.date);
+    const time = parseTime(rawTime);
+    if (Number.isNaN(time)) {
+        throw new Error(`Record ${index + 1}: invalid timestamp "${rawTime}"`);
+    }
+
+    const symbol = row.symbol || defaultSymbol;
+    if (!symbol) {
+        throw new Error(`Record ${index + 1}: missing symbol`);
+    }
+
+    const price = toNumber(row.price !== undefined && row.price !== '' ? row.price : row.close);
+    if (price === undefined || Number.isNaN(price)) {
+        throw new Error(`Record ${index + 1}: missing price or close`);
+    }
+
+    const record = { symbol, time, price };
+    ['open', 'high', 'low', 'volume'].forEach(field => {
+        const value = toNumber(row[field]);
+        if (value !== undefined && !Number.isNaN(value)) {
+            record[field] = value;
+        }
+    });
+    return record;
+}
+
+/**
+ * Parse a timestamp: numbers below 1e11 are epoch seconds, larger ones milliseconds
+ * @returns {number} Milliseconds since epoch (NaN if invalid)
+ */
+function parseTime(value) {
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value))) {
+        const number = Number(value);
+        return number < 1e11 ? number * 1000 : number;
+    }
+    return Date.parse(value);
+}
+
+/**
+ * Convert a CSV/JSON value to a number (undefined for empty values)
+ */
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    return Number(value);
+}
+
+/**
+ * Read a file or URL as text
+ */
+async function readSource(source) {
+    const isNode = typeof process !== 'undefined' && process.versions && process.versions.node;
+    if (isNode && !/^https?:\/\//.test(source)) {
+        const fs = await import('node:fs/promises');
+        return fs.readFile(source, 'utf8');
+    }
+    const response = await fetch(source);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${source}: ${response.status} ${response.statusText}`);
+    }
+    return response.text();
+}
@@ -0,0 +1,118 @@
+/**
+ * Retention - Retained Message Policies and Replay Selection
+ *
+ * The broker retains recently published messages per topic so that new
+ * subscribers can be brought up to date immediately. How much is retained is
+ * decided per topic by a retention policy:
+ * - RetentionPolicy.last(n):        keep the last n messages
+ * - RetentionPolicy.window(ms):     keep messages published within the last ms milliseconds
+ * - RetentionPolicy.none():         keep nothing (no replay for this topic)
+ *
+ * When subscribing, a replay option chooses which retained messages are sent:
+ * - { last: n }:          the last n retained messages of each matching topic
+ * - { since: time }:      messages published at or after a timestamp (Date, ISO string or ms)
+ * - { sinceSequence: n }: messages with a per-topic sequence number of n or higher
+ *
+ * Each retained entry has the shape
+ * { sequence, offset, publishedAt, publisherId, schemaVersion, message },
+ * where sequence counts the messages published to that topic starting at 1,
+ * offset counts all messages published through the broker (so entries from
+ * different topics can be put back in publish order), publishedAt is the
+ * publish time in milliseconds and publisherId is given by the publisher (or null).
+ */
+
+export const RetentionPolicy = {
+    /**
+     * Keep the last n messages of a topic
+     * @param {number} count - Number of messages to keep
+     * @returns {Object} Retention policy
+     */
+    last(count) {
+        return { type: 'last', count };
+    },
+
+    /**
+     * Keep the messages published within a time window
+     * @param {number} windowMs - Window length in milliseconds
+     * @returns {Object} Retention policy
+     */
+    window(windowMs) {
+        return { type: 'window', windowMs };
+    },
+
+    /**
+     * Keep no messages for a topic
+     * @returns {Object} Retention policy
+     */
+    none() {
+        return { type: 'none' };
+    }
+};
+
+/**
+ * Default policy, matching the classic "last value" behavior of the broker
+ */
+export const DEFAULT_RETENTION = RetentionPolicy.last(1);
+
+/**
+ * Default replay on subscribe: the latest message of each matching topic
+ */
+export const DEFAULT_REPLAY = { last: 1 };
+
+/**
+ * Check that a retention policy is well-formed
+ * @param {Object} policy - Retention policy
+ * @throws {Error} If the policy is invalid
+ */
+export function validateRetention(policy) {
+    const valid = policy && (
+        (policy.type === 'last' && policy.count >= 0) ||
+        (policy.type === 'window' && policy.windowMs > 0) ||
+        policy.type === 'none'
+    );
+    if (!valid) {
+        throw new Error(`Invalid retention policy: ${JSON.stringify(policy)}`);
+    }
+}
+
+/**
+ * Remove entries that fall outside a retention policy
+ * @param {Array<Object>} entries - Retained entries, oldest first
+ * @param {Object} policy - Retention policy
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<Object>} The entries still retained
+ */
+export function pruneRetained(entries, policy, now) {
+    switch (policy.type) {
+        case 'none':
+            return [];
+        case 'window':
+            return entries.filter(entry => now - entry.publishedAt <= policy.windowMs);
+        default:
+            return policy.count === 0 ? [] : entries.slice(-policy.count);
+    }
+}
+
+/**
+ * Select the retained entries a new subscription should be replayed
+ * @param {Array<Object>} entries - Retained entries of one topic, oldest first
+ * @param {Object} replay - Replay option ({ last }, { since } or { sinceSequence })
+ * @returns {Array<Object>} The entries to replay, oldest first
+ * @throws {Error} If the replay option is invalid
+ */
+export function selectReplay(entries, replay) {
+    if (replay.last !== undefined) {
+        return replay.last > 0 ? entries.slice(-replay.last) : [];
+    }
+    if (replay.since !== undefined) {
+        const since = new Date(replay.since).getTime();
+        if (Number.isNaN(since)) {
+            throw new Error(`Invalid replay timestamp: ${replay.since}`);
+        }
+        return entries.filter(entry => entry.publishedAt >= since);
+    }
+    if (replay.sinceSequence !== undefined) {
+        return entries.filter(entry => entry.sequence >= replay.sinceSequence);
+    }
+    throw new Error(`Invalid replay option: ${JSON.stringify(replay)}`);
+}
@@ -0,0 +1,232 @@
+import { matchTopic } from './topics.js';
+
+/**
+ * Schemas - Versioned Message Schemas, Validation and Upcasting
+ *
+ * A topic (or wildcard pattern) can register a schema describing the fields
+ * of its messages. Schemas are versioned: each new version of a topic's schema
+ * gets the next version number and an upcast function that converts a message
+ * of the previous version into the new shape.
+ *
+ * Fields are declared by type name or with a full specification:
+ *   fields: {
+ *     symbol: 'string',
+ *     price: { type: 'number', min: 0 },
+ *     venue: { type: 'string', required: false, enum: ['XNAS', 'XNYS'] }
+ *   }
+ * Supported types are string, number (finite), integer, boolean, object and
+ * array. Fields not declared in the schema are allowed.
+ *
+ * The broker validates every published message against the schema of its
+ * topic; rejected messages are published to the dead-letter topic
+ * "deadletter.<topic>" instead. Subscribers may request a schema version and
+ * receive messages published under older versions upcast to it.
+ */
+
+export const DEAD_LETTER_PREFIX = 'deadletter';
+
+const FIELD_TYPES = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value)
+};
+
+/**
+ * Get the dead-letter topic for messages rejected on a topic
+ * @param {string} topic - The topic the message was published to (e.g., "AAPL")
+ * @returns {string} Dead-letter topic (e.g., "deadletter.AAPL")
+ */
+export function deadLetterTopic(topic) {
+    return `${DEAD_LETTER_PREFIX}.${topic}`;
+}
+
+/**
+ * Check whether a topic is a dead-letter topic
+ * @param {string} topic - Concrete topic
+ * @returns {boolean} True for "deadletter.<topic>"
+ */
+export function isDeadLetterTopic(topic) {
+    return topic.startsWith(`${DEAD_LETTER_PREFIX}.`);
+}
+
+/**
+ * Normalize a field declaration to { type, required, min, max, enum }
+ */
+function normalizeField(name, spec) {
+    const field = typeof spec === 'string' ? { type: spec } : { ...spec };
+    if (!FIELD_TYPES[field.type]) {
+        throw new Error(`Unknown type for schema field "${name}": ${field.type}`);
+    }
+    field.required = field.required !== false;
+    return field;
+}
+
+/**
+ * Check a message against a schema
+ * @param {Object} schema - Registered schema (see SchemaRegistry.register)
+ * @param {Object} message - Message to check
+ * @returns {string|null} Why the message is invalid, or null if it is valid
+ */
+export function validateMessage(schema, message) {
+    if (!FIELD_TYPES.object(message)) {
+        return 'message must be an object';
+    }
+    for (const [name, field] of Object.entries(schema.fields)) {
+        const value = message[name];
+        if (value === undefined || value === null) {
+            if (field.required) {
+                return `missing required field "${name}"`;
+            }
+            continue;
+        }
+        if (!FIELD_TYPES[field.type](value)) {
+            return `field "${name}" must be of type ${field.type} (got ${JSON.stringify(value)})`;
+        }
+        if (field.min !== undefined && value < field.min) {
+            return `field "${name}" must be at least ${field.min} (got ${value})`;
+        }
+        if (field.max !== undefined && value > field.max) {
+            return `field "${name}" must be at most ${field.max} (got ${value})`;
+        }
+        if (field.enum && !field.enum.includes(value)) {
+            return `field "${name}" must be one of ${field.enum.join(', ')} (got ${JSON.stringify(value)})`;
+        }
+    }
+    return null;
+}
+
+/**
+ * SchemaRegistry - Schema versions registered per topic or pattern
+ *
+ * Like retention policies, schemas registered for an exact topic take
+ * precedence over patterns; among patterns, the first one registered that
+ * matches wins.
+ */
+export class SchemaRegistry {
+    constructor() {
+        /**
+         * Schemas Map
+         * Key: Topic or wildcard pattern
+         * Value: Registered schema versions, oldest first
+         */
+        this.schemas = new Map();
+    }
+
+    /**
+     * Register the next version of a topic's schema
+     * @param {string} topic - Topic or pattern (e.g., "AAPL" or "*")
+     * @param {Object} definition - Schema definition
+     * @param {string} [definition.name] - Schema name shown in dead letters (default: the topic)
+     * @param {number} [definition.version] - Version number (default: the next version)
+     * @param {Object} definition.fields - Field name -> type name or field specification
+     * @param {Function} [definition.upcast] - Converts a message of the previous version
+     *        into this version (required from version 2 on)
+     * @returns {Object} The registered schema { name, version, fields, upcast }
+     * @throws {Error} If the definition is invalid or the version is not the next one
+     */
+    register(topic, { name = topic, version, fields, upcast = null }) {
+        const versions = this.schemas.get(topic) || [];
+        const nextVersion = versions.length + 1;
+        if (version === undefined) {
+            version = nextVersion;
+        }
+        if (version !== nextVersion) {
+            throw new Error(`Schema for ${topic} must be registered as version ${nextVersion} (got ${version})`);
+        }
+        if (!FIELD_TYPES.object(fields)) {
+            throw new Error(`Schema for ${topic} must declare its fields`);
+        }
+        if (version > 1 && typeof upcast !== 'function') {
+            throw new Error(`Schema version ${version} for ${topic} needs an upcast function from version ${version - 1}`);
+        }
+
+        const normalized = {};
+        Object.entries(fields).forEach(([fieldName, spec]) => {
+            normalized[fieldName] = normalizeField(fieldName, spec);
+        });
+        const schema = { name, version, fields: normalized, upcast };
+        versions.push(schema);
+        this.schemas.set(topic, versions);
+        return schema;
+    }
+
+    /**
+     * Get the schema versions that apply to a concrete topic
+     * @param {string} topic - The concrete topic
+     * @returns {Array<Object>} Registered versions, oldest first (empty if the topic has no schema)
+     */
+    getVersions(topic) {
+        if (this.schemas.has(topic)) {
+            return this.schemas.get(topic);
+        }
+        for (const [pattern, versions] of this.schemas) {
+            if (matchTopic(pattern, topic)) {
+                return versions;
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Get one version of the schema that applies to a concrete topic
+     * @param {string} topic - The concrete topic
+     * @param {number} [version] - Schema version (default: the latest)
+     * @returns {Object|null} The schema, or null if there is no such version
+     */
+    getSchema(topic, version) {
+        const versions = this.getVersions(topic);
+        if (version === undefined) {
+            return versions.length > 0 ? versions[versions.length - 1] : null;
+        }
+        return versions[version - 1] || null;
+    }
+
+    /**
+     * Validate a message published to a concrete topic
+     * Topics without a schema accept every message.
+     * @param {string} topic - The concrete topic
+     * @param {Object} message - The published message
+     * @param {number} [version] - Schema version the message claims (default: the latest)
+     * @returns {{schema: Object|null, reason: string|null}} The schema used and why the
+     *          message was rejected (null if it is valid)
+     */
+    validate(topic, message, version) {
+        if (this.getVersions(topic).length === 0) {
+            return { schema: null, reason: null };
+        }
+        const schema = this.getSchema(topic, version);
+        if (!schema) {
+            return { schema: null, reason: `unknown schema version ${version}` };
+        }
+        return { schema, reason: validateMessage(schema, message) };
+    }
+
+    /**
+     * Convert a message to a newer version of its topic's schema
+     * Messages already at or above the requested version are returned unchanged.
+     * @param {string} topic - The concrete topic
+     * @param {Object} message - The message as published
+     * @param {number} fromVersion - Schema version the message was published with
+     * @param {number} toVersion - Schema version the subscriber requested
+     * @returns {Object} The upcast message
+     * @throws {Error} If an upcast function fails or produces an invalid message
+     */
+    upcast(topic, message, fromVersion, toVersion) {
+        let upcast = message;
+        for (let version = fromVersion + 1; version <= toVersion; version++) {
+            const schema = this.getSchema(topic, version);
+            if (!schema) {
+                throw new Error(`No schema version ${version} for ${topic}`);
+            }
+            upcast = schema.upcast({ ...upcast });
+            const reason = validateMessage(schema, upcast);
+            if (reason) {
+                throw new Error(`Upcast of ${topic} to schema version ${version} is invalid: ${reason}`);
+            }
+        }
+        return upcast;
+    }
+}
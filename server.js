@@ -0,0 +1,274 @@
+/**
+ * BrokerServer - Hosts a Broker for Remote Clients over WebSocket (Node only)
+ *
+ * The server makes an ordinary Broker reachable from other processes and
+ * browsers. Remote clients use RemoteBroker (remote.js), which speaks the JSON
+ * wire protocol in protocol.js, so their Subscriber and Publisher instances
+ * work exactly as they would with a local broker.
+ *
+ * For every remote subscriber the server creates a proxy Subscriber on the
+ * hosted broker. Messages delivered to the proxy are forwarded to the client
+ * as "message" frames, so remote subscribers get the same topic matching,
+ * filtering, retention replay and backpressure as local ones. Messages that
+ * run out of delivery attempts on acknowledged subscriptions are sent as
+ * "dead-letter" frames, so clients can keep a copy of their dead-letter queues.
+ *
+ * Usage:
+ *   node server.js [port] [--simulate] [--seed=N] [--replay=FILE] [--speed=X] [--loop]
+ *
+ * --simulate starts a Publisher for each demo stock symbol on the hosted broker,
+ * so clients have a live feed without publishing anything themselves.
+ * --seed=N makes the simulated price sequences reproducible.
+ * --replay=FILE plays back recorded ticks or bars from a CSV or JSON file
+ * instead (see replay.js), at --speed=X times real time ("max" = as fast as
+ * possible), restarting at the end with --loop.
+ *
+ * The command-line broker registers the tick schema for single-level topics,
+ * so malformed ticks from any client end up on "deadletter.<symbol>".
+ */
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { Broker } from './broker.js';
+import { DEFAULT_SYMBOL_PROFILES, createPriceModel } from './models.js';
+import { FrameType, decodeFrame, encodeFrame } from './protocol.js';
+import { Publisher, TICK_SCHEMA } from './publisher.js';
+import { ReplayPublisher } from './replay.js';
+import { SESSION_SCHEMA, SESSION_TOPIC } from './session.js';
+import { STATUS_SCHEMA } from './status.js';
+import { Subscriber } from './subscriber.js';
+import { SymbolRegistry } from './symbols.js';
+import { acceptWebSocket } from './websocket.js';
+
+export const DEFAULT_PORT = 8080;
+
+export class BrokerServer {
+    /**
+     * Constructor - Prepare a server for a broker (call start() to listen)
+     *
+     * @param {Broker} broker - The broker to expose
+     */
+    constructor(broker) {
+        this.broker = broker; // Hosted broker
+        this.httpServer = null; // node:http server accepting WebSocket upgrades
+        this.connections = new Set(); // Open WebSocket connections
+        this.connectionCounter = 0; // Counter for generating unique proxy subscriber IDs
+    }
+
+    /**
+     * Start listening for WebSocket connections
+     * @param {number} [port] - TCP port (0 picks a free port)
+     * @param {string} [host] - Interface to bind
+     * @returns {Promise<number>} Resolves with the port actually listened on
+     */
+    start(port = DEFAULT_PORT, host = 'localhost') {
+        this.httpServer = createServer((request, response) => {
+            response.writeHead(426, { 'Content-Type': 'text/plain' });
+            response.end('This endpoint only accepts WebSocket connections\n');
+        });
+
+        this.httpServer.on('upgrade', (request, socket) => {
+            const connection = acceptWebSocket(request, socket);
+            if (connection) {
+                this.handleConnection(connection);
+            }
+        });
+
+        return new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(port, host, () => {
+                const { port: actualPort } = this.httpServer.address();
+                console.log(`Broker server listening on ws://${host}:${actualPort}`);
+                resolve(actualPort);
+            });
+        });
+    }
+
+    /**
+     * Close every connection and stop listening
+     * @returns {Promise<void>} Resolves when the server is closed
+     */
+    stop() {
+        this.connections.forEach(connection => connection.close(1001)); // 1001 = going away
+        return new Promise(resolve => {
+            if (!this.httpServer) {
+                resolve();
+                return;
+            }
+            this.httpServer.close(() => resolve());
+        });
+    }
+
+    /**
+     * Serve one client connection
+     * Proxy subscribers are created on demand and removed from the broker
+     * when the connection closes.
+     * @param {WebSocketConnection} connection - Accepted WebSocket connection
+     */
+    handleConnection(connection) {
+        this.connectionCounter++;
+        const connectionId = `remote-${this.connectionCounter}`;
+        const proxies = new Map(); // Client subscriber ID -> proxy Subscriber
+
+        this.connections.add(connection);
+        console.log(`Remote client connected: ${connectionId}`);
+
+        const getProxy = subscriberId => {
+            if (!proxies.has(subscriberId)) {
+                // The client tracks sequences itself, so the proxy forwards every delivery
+                const proxy = new Subscriber(`${connectionId}/${subscriberId}`, subscriberId, this.broker, {
+                    trackSequences: false
+                });
+                proxy.setUpdateCallback((topic, message, envelope) => {
+                    connection.send(encodeFrame({ type: FrameType.MESSAGE, subscriberId, topic, message, envelope }));
+                });
+                proxies.set(subscriberId, proxy);
+            }
+            return proxies.get(subscriberId);
+        };
+
+        const onUndelivered = ({ subscriber, ...deadLetter }) => {
+            proxies.forEach((proxy, subscriberId) => {
+                if (proxy === subscriber) {
+                    connection.send(encodeFrame({ type: FrameType.DEAD_LETTER, subscriberId, deadLetter }));
+                }
+            });
+        };
+        this.broker.on('undelivered', onUndelivered);
+
+        connection.on('message', text => {
+            let frame = null;
+            try {
+                frame = decodeFrame(text);
+                this.handleFrame(frame, getProxy);
+            } catch (error) {
+                connection.send(encodeFrame({ type: FrameType.ERROR, error: error.message, request: frame }));
+            }
+        });
+
+        connection.on('close', () => {
+            this.connections.delete(connection);
+            this.broker.off('undelivered', onUndelivered);
+            proxies.forEach(proxy => this.broker.removeSubscriber(proxy));
+            console.log(`Remote client disconnected: ${connectionId}`);
+        });
+    }
+
+    /**
+     * Apply a client frame to the hosted broker
+     * @param {Object} frame - Decoded client frame
+     * @param {Function} getProxy - Returns the proxy Subscriber for a client subscriber ID
+     * @throws {Error} If the frame is invalid or the broker rejects it
+     */
+    handleFrame(frame, getProxy) {
+        switch (frame.type) {
+            case FrameType.SUBSCRIBE:
+                requireFields(frame, ['subscriberId', 'topic']);
+                getProxy(frame.subscriberId).subscribe(frame.topic, frame.filter || null, frame.options || {});
+                break;
+            case FrameType.UNSUBSCRIBE:
+                requireFields(frame, ['subscriberId', 'topic']);
+                getProxy(frame.subscriberId).unsubscribe(frame.topic);
+                break;
+            case FrameType.UNSUBSCRIBE_ALL:
+                requireFields(frame, ['subscriberId']);
+                getProxy(frame.subscriberId).unsubscribeAll();
+                break;
+            case FrameType.PAUSE:
+                requireFields(frame, ['subscriberId']);
+                getProxy(frame.subscriberId).pause();
+                break;
+            case FrameType.RESUME:
+                requireFields(frame, ['subscriberId']);
+                getProxy(frame.subscriberId).resume();
+                break;
+            case FrameType.PUBLISH:
+                requireFields(frame, ['topic', 'message']);
+                this.broker.publish(frame.topic, frame.message, frame.options || {});
+                break;
+            case FrameType.RESEND:
+                requireFields(frame, ['subscriberId', 'topic', 'fromSequence', 'toSequence']);
+                this.broker.resend(frame.topic, getProxy(frame.subscriberId), frame.fromSequence, frame.toSequence);
+                break;
+            case FrameType.ACK:
+                requireFields(frame, ['subscriberId', 'deliveryId']);
+                this.broker.ack(getProxy(frame.subscriberId), frame.deliveryId);
+                break;
+            case FrameType.NACK:
+                requireFields(frame, ['subscriberId', 'deliveryId']);
+                this.broker.nack(getProxy(frame.subscriberId), frame.deliveryId, frame.reason || undefined);
+                break;
+            case FrameType.REPLAY_DEAD_LETTERS:
+                requireFields(frame, ['subscriberId']);
+                this.broker.replayDeadLetters(getProxy(frame.subscriberId), frame.pattern || null);
+                break;
+            case FrameType.DISCARD_DEAD_LETTERS:
+                requireFields(frame, ['subscriberId']);
+                this.broker.discardDeadLetters(getProxy(frame.subscriberId), frame.pattern || null);
+                break;
+            default:
+                throw new Error(`Frame type not accepted from clients: ${frame.type}`);
+        }
+    }
+}
+
+/**
+ * Check that a frame carries the fields its type requires
+ * @throws {Error} If a field is missing
+ */
+function requireFields(frame, fields) {
+    fields.forEach(field => {
+        if (frame[field] === undefined || frame[field] === null) {
+            throw new Error(`Missing "${field}" in ${frame.type} frame`);
+        }
+    });
+}
+
+/**
+ * Command-line entry point: host a fresh broker on the given port
+ */
+async function main(args) {
+    const portArg = args.find(arg => /^\d+$/.test(arg));
+    const broker = new Broker();
+    broker.registerSchema('*', TICK_SCHEMA);
+    broker.registerSchema('status.*', STATUS_SCHEMA);
+    broker.registerSchema(SESSION_TOPIC, SESSION_SCHEMA);
+    const server = new BrokerServer(broker);
+    await server.start(portArg ? Number(portArg) : DEFAULT_PORT);
+
+    if (args.includes('--simulate')) {
+        const seedArg = args.find(arg => arg.startsWith('--seed='));
+        const symbols = new SymbolRegistry(broker);
+        Object.entries(DEFAULT_SYMBOL_PROFILES).forEach(([symbol, profile], index) => {
+            // Listing announces each symbol on "topics.created" for clients to discover
+            symbols.add({ symbol, ...profile });
+            const options = {
+                startPrice: profile.startPrice,
+                model: createPriceModel(profile.model, profile.params)
+            };
+            if (seedArg) {
+                options.seed = Number(seedArg.slice('--seed='.length)) + index;
+            }
+            new Publisher(broker, symbol, options).startPublishing(2000);
+        });
+        console.log('Simulated publishers started');
+    }
+
+    const replayArg = args.find(arg => arg.startsWith('--replay='));
+    if (replayArg) {
+        const speedArg = args.find(arg => arg.startsWith('--speed='));
+        const speed = speedArg ? speedArg.slice('--speed='.length) : '1';
+        const replay = await ReplayPublisher.fromFile(broker, replayArg.slice('--replay='.length), {
+            speed: speed === 'max' ? Infinity : Number(speed),
+            loop: args.includes('--loop')
+        });
+        replay.startPublishing();
+        console.log(`Replaying ${replay.records.length} records (speed: ${speed})`);
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error('Broker server failed to start:', error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,350 @@
+import { systemClock } from './clock.js';
+
+/**
+ * Market Session - Trading Calendar with Pre-Market, Regular and After-Hours Phases
+ *
+ * A trading day is divided into phases, each with its own tick rate and
+ * volatility (defaults follow US equity hours in New York time):
+ * - "pre-market":  04:00-09:30, slower ticks with half the volatility
+ * - "regular":     09:30-16:00, the publisher's own rate and full volatility
+ * - "after-hours": 16:00-20:00, slower ticks with half the volatility
+ * - "closed":      overnight and on weekends, no ticks at all
+ *
+ * MarketCalendar maps a point in time to its phase; MarketSession follows the
+ * calendar on a clock (see clock.js) and announces every transition on the
+ * "market.session" topic and through its "phase" event. Publishers given a
+ * session adapt their tick rate and volatility to the phase, and track the
+ * day's open and the previous close (see Publisher).
+ */
+
+export const SessionPhase = {
+    PRE_MARKET: 'pre-market',
+    REGULAR: 'regular',
+    AFTER_HOURS: 'after-hours',
+    CLOSED: 'closed'
+};
+
+// Topic on which session transitions are published
+export const SESSION_TOPIC = 'market.session';
+
+/**
+ * Default phase behavior
+ * intervalScale multiplies a publisher's update interval and volatilityScale
+ * its log returns; phases that are not trading publish nothing.
+ */
+export const DEFAULT_PHASE_SETTINGS = {
+    [SessionPhase.PRE_MARKET]: { trading: true, intervalScale: 3, volatilityScale: 0.5 },
+    [SessionPhase.REGULAR]: { trading: true, intervalScale: 1, volatilityScale: 1 },
+    [SessionPhase.AFTER_HOURS]: { trading: true, intervalScale: 3, volatilityScale: 0.5 },
+    [SessionPhase.CLOSED]: { trading: false, intervalScale: 1, volatilityScale: 0 }
+};
+
+// Phases of a trading day in exchange time; any other time is closed
+export const DEFAULT_PHASES = [
+    { phase: SessionPhase.PRE_MARKET, start: '04:00', end: '09:30' },
+    { phase: SessionPhase.REGULAR, start: '09:30', end: '16:00' },
+    { phase: SessionPhase.AFTER_HOURS, start: '16:00', end: '20:00' }
+];
+
+/**
+ * Schema of the messages published to the "market.session" topic (see schemas.js)
+ */
+export const SESSION_SCHEMA = {
+    name: 'market-session',
+    version: 1,
+    fields: {
+        phase: { type: 'string', enum: Object.values(SessionPhase) },
+        previousPhase: { type: 'string', required: false, enum: Object.values(SessionPhase) },
+        nextPhase: { type: 'string', required: false, enum: Object.values(SessionPhase) },
+        nextTransitionAt: { type: 'string', required: false },
+        timestamp: 'string'
+    }
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Parse "HH:MM" into minutes after midnight ("24:00" is the end of the day)
+ */
+function parseTimeOfDay(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(text);
+    const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+    if (!(minutes >= 0 && minutes <= 24 * 60)) {
+        throw new Error(`Invalid time of day: ${text} (expected "HH:MM")`);
+    }
+    return minutes;
+}
+
+/**
+ * MarketCalendar - Maps points in time to session phases
+ */
+export class MarketCalendar {
+    /**
+     * Constructor - Create a calendar
+     *
+     * @param {Object} [options] - Calendar options
+     * @param {string} [options.timeZone] - IANA time zone of the exchange
+     * @param {Array<Object>} [options.phases] - { phase, start, end } with "HH:MM" exchange times
+     * @param {Array<number>} [options.tradingDays] - Days with sessions (0 = Sunday ... 6 = Saturday)
+     * @throws {Error} If a phase or time is invalid
+     */
+    constructor({ timeZone = 'America/New_York', phases = DEFAULT_PHASES, tradingDays = [1, 2, 3, 4, 5] } = {}) {
+        this.timeZone = timeZone;
+        this.phases = phases.map(({ phase, start, end }) => {
+            if (!Object.values(SessionPhase).includes(phase)) {
+                throw new Error(`Unknown session phase: ${phase}`);
+            }
+            return { phase, start: parseTimeOfDay(start), end: parseTimeOfDay(end) };
+        });
+        this.tradingDays = new Set(tradingDays);
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        // Every minute of the day at which some phase starts or ends
+        this.boundaries = Array.from(new Set([0, ...this.phases.flatMap(({ start, end }) => [start, end])]))
+            .filter(minute => minute < 24 * 60)
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Create a calendar whose regular session never closes
+     * @returns {MarketCalendar} A calendar without transitions
+     */
+    static alwaysOpen() {
+        return new MarketCalendar({
+            timeZone: 'UTC',
+            phases: [{ phase: SessionPhase.REGULAR, start: '00:00', end: '24:00' }],
+            tradingDays: [0, 1, 2, 3, 4, 5, 6]
+        });
+    }
+
+    /**
+     * Get the exchange's weekday and minute of the day at a point in time
+     */
+    getLocalTime(time) {
+        const parts = {};
+        this.formatter.formatToParts(new Date(time)).forEach(({ type, value }) => {
+            parts[type] = value;
+        });
+        return { weekday: WEEKDAYS.indexOf(parts.weekday), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+    }
+
+    /**
+     * Get the phase at a point in time
+     * @param {number} time - Milliseconds since epoch
+     * @returns {string} A SessionPhase value
+     */
+    getPhase(time) {
+        const { weekday, minutes } = this.getLocalTime(time);
+        if (!this.tradingDays.has(weekday)) {
+            return SessionPhase.CLOSED;
+        }
+        const entry = this.phases.find(({ start, end }) => minutes >= start && minutes < end);
+        return entry ? entry.phase : SessionPhase.CLOSED;
+    }
+
+    /**
+     * Find the next change of phase
+     * Candidates are the phase boundaries of the next eight days; daylight
+     * saving time shifts are corrected by re-reading the exchange time.
+     * @param {number} time - Milliseconds since epoch
+     * @returns {{phase: string, at: number}|null} The next phase and when it starts,
+     *          or null if the phase never changes
+     */
+    getNextTransition(time) {
+        const current = this.getPhase(time);
+        const { minutes } = this.getLocalTime(time);
+        const midnight = Math.floor(time / MINUTE_MS) * MINUTE_MS - minutes * MINUTE_MS;
+        for (let day = 0; day <= 8; day++) {
+            for (const boundary of this.boundaries) {
+                let at = midnight + day * DAY_MS + boundary * MINUTE_MS;
+                const drift = this.getLocalTime(at).minutes - boundary;
+                if (drift !== 0 && Math.abs(drift) <= 60) {
+                    at -= drift * MINUTE_MS;
+                }
+                if (at > time) {
+                    const phase = this.getPhase(at);
+                    if (phase !== current) {
+                        return { phase, at };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * MarketSession - Follows a calendar on a clock and broadcasts transitions
+ */
+export class MarketSession {
+    /**
+     * Constructor - Prepare a session (call start() to begin)
+     *
+     * @param {Broker} broker - Broker the transitions are published to
+     * @param {Object} [options] - Session options
+     * @param {MarketCalendar} [options.calendar] - Trading calendar (default: New York hours)
+     * @param {Object} [options.phaseSettings] - Phase -> { trading, intervalScale, volatilityScale }
+     */
+    constructor(broker, { calendar = new MarketCalendar(), phaseSettings = DEFAULT_PHASE_SETTINGS } = {}) {
+        this.broker = broker;
+        this.clock = broker.clock || systemClock; // Clock the calendar is followed on
+        this.calendar = calendar;
+        this.phaseSettings = phaseSettings;
+        this.phase = calendar.getPhase(this.clock.now()); // Current phase
+        this.nextTransition = null; // { phase, at } of the next scheduled change
+        this.timer = null; // Clock timeout for the next transition
+        this.running = false; // Whether the calendar is being followed (see start())
+        this.listeners = new Map(); // Event name -> Set of listener functions
+    }
+
+    /**
+     * Register a listener for a session event
+     * @param {string} event - Event name ("phase")
+     * @param {Function} listener - Called with { phase, previousPhase, time }
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+    }
+
+    /**
+     * Remove a previously registered event listener
+     * @param {string} event - Event name
+     * @param {Function} listener - The listener to remove
+     */
+    off(event, listener) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).delete(listener);
+        }
+    }
+
+    /**
+     * Notify all listeners of an event
+     * @param {string} event - Event name
+     * @param {Object} payload - Event data
+     * @returns {boolean} True if at least one listener was notified
+     */
+    emit(event, payload) {
+        const eventListeners = this.listeners.get(event);
+        if (!eventListeners || eventListeners.size === 0) {
+            return false;
+        }
+        eventListeners.forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`MarketSession "${event}" listener failed:`, error);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Publish the current phase and follow the calendar from now on
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        this.update(true);
+    }
+
+    /**
+     * Stop following the calendar; the phase stays as it is
+     */
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            this.clock.clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Switch to another calendar (e.g., from exchange hours to always open)
+     * A running session announces its phase and next transition under the new calendar.
+     * @param {MarketCalendar} calendar - The new calendar
+     */
+    setCalendar(calendar) {
+        this.calendar = calendar;
+        if (this.timer) {
+            this.clock.clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (this.running) {
+            this.update(true);
+        } else {
+            this.phase = calendar.getPhase(this.clock.now());
+        }
+    }
+
+    /**
+     * Re-read the phase, announce a change and schedule the next check
+     * @param {boolean} announce - Publish the phase even if it did not change
+     */
+    update(announce) {
+        const previousPhase = this.phase;
+        this.phase = this.calendar.getPhase(this.clock.now());
+        this.nextTransition = this.calendar.getNextTransition(this.clock.now());
+        if (this.nextTransition) {
+            this.timer = this.clock.setTimeout(() => {
+                this.timer = null;
+                this.update(false);
+            }, this.nextTransition.at - this.clock.now());
+        } else {
+            this.timer = null;
+        }
+
+        if (this.phase === previousPhase && !announce) {
+            return;
+        }
+        console.log(`Market session: ${previousPhase} -> ${this.phase}`);
+        const message = { phase: this.phase, timestamp: this.clock.toISOString() };
+        if (this.phase !== previousPhase) {
+            message.previousPhase = previousPhase;
+        }
+        if (this.nextTransition) {
+            message.nextPhase = this.nextTransition.phase;
+            message.nextTransitionAt = new Date(this.nextTransition.at).toISOString();
+        }
+        this.broker.publish(SESSION_TOPIC, message);
+        if (this.phase !== previousPhase) {
+            this.emit('phase', { phase: this.phase, previousPhase, time: this.clock.now() });
+        }
+    }
+
+    /**
+     * Get the current phase
+     * @returns {string} A SessionPhase value
+     */
+    getPhase() {
+        return this.phase;
+    }
+
+    /**
+     * Get the behavior of a phase
+     * @param {string} [phase] - A SessionPhase value (default: the current phase)
+     * @returns {{trading: boolean, intervalScale: number, volatilityScale: number}} Phase settings
+     */
+    getPhaseSettings(phase = this.phase) {
+        return this.phaseSettings[phase];
+    }
+
+    /**
+     * Get the next scheduled transition
+     * @returns {{phase: string, at: number}|null} Next phase and its start time, if any
+     */
+    getNextTransition() {
+        return this.nextTransition;
+    }
+}
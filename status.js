@@ -0,0 +1,173 @@
+/**
+ * Market Status - Circuit Breakers, Trading Halts and News Shocks
+ *
+ * Besides prices, a publisher announces market events for its symbol on the
+ * control topic "status.<symbol>":
+ * - "halt":   trading stopped, either by the circuit breaker (the price moved
+ *             past its limit-up or limit-down band) or manually
+ * - "resume": trading continues, after the halt's cooldown or manually
+ * - "news":   a news shock moved the price by a given percentage
+ *
+ * Every status message carries the symbol's status after the event
+ * ("trading" or "halted"), so the latest message alone tells whether a symbol
+ * is halted.
+ *
+ * The circuit breaker works like limit-up/limit-down bands: the reference
+ * price is the average price over a recent window, and a price more than
+ * bandPercent away from it is capped at the band and halts the symbol for
+ * haltMs. Halted symbols publish no ticks; after resuming, the reference
+ * window starts again from the last price.
+ */
+
+export const STATUS_TOPIC_PREFIX = 'status';
+
+export const MarketStatus = {
+    TRADING: 'trading',
+    HALTED: 'halted'
+};
+
+export const MarketEvent = {
+    HALT: 'halt',
+    RESUME: 'resume',
+    NEWS: 'news'
+};
+
+export const HaltTrigger = {
+    LIMIT_UP: 'limit-up',
+    LIMIT_DOWN: 'limit-down',
+    MANUAL: 'manual'
+};
+
+/**
+ * Schema of the messages published to "status.<symbol>" topics (see schemas.js)
+ * Register it with broker.registerSchema('status.*', STATUS_SCHEMA).
+ */
+export const STATUS_SCHEMA = {
+    name: 'market-status',
+    version: 1,
+    fields: {
+        symbol: 'string',
+        event: { type: 'string', enum: Object.values(MarketEvent) },
+        status: { type: 'string', enum: Object.values(MarketStatus) },
+        lastPrice: { type: 'number', min: 0 },
+        timestamp: 'string',
+        trigger: { type: 'string', required: false, enum: Object.values(HaltTrigger) },
+        lowerBand: { type: 'number', required: false },
+        upperBand: { type: 'number', required: false },
+        resumesAt: { type: 'string', required: false },
+        headline: { type: 'string', required: false },
+        percent: { type: 'number', required: false }
+    }
+};
+
+/**
+ * Get the control topic of a symbol
+ * @param {string} symbol - Stock symbol (e.g., "AAPL")
+ * @returns {string} Status topic (e.g., "status.AAPL")
+ */
+export function statusTopic(symbol) {
+    return `${STATUS_TOPIC_PREFIX}.${symbol}`;
+}
+
+/**
+ * CircuitBreaker - Limit-up/limit-down bands around a rolling reference price
+ */
+export class CircuitBreaker {
+    /**
+     * Constructor - Create a breaker with no price history
+     *
+     * @param {Object} [options] - Breaker settings (see configure())
+     */
+    constructor(options = {}) {
+        this.bandPercent = 10; // Allowed move away from the reference price, in percent
+        this.referenceWindowMs = 30 * 1000; // Prices averaged into the reference price
+        this.haltMs = 60 * 1000; // How long a triggered halt lasts
+        this.prices = []; // { time, price } within the reference window, oldest first
+        this.configure(options);
+    }
+
+    /**
+     * Change the breaker settings
+     * @param {Object} options - Settings to change
+     * @param {number} [options.bandPercent] - Band width on each side of the reference price, in percent
+     * @param {number} [options.referenceWindowMs] - Window of the rolling reference price
+     * @param {number} [options.haltMs] - Duration of a triggered halt
+     * @throws {Error} If a setting is not a positive number
+     */
+    configure({ bandPercent = this.bandPercent, referenceWindowMs = this.referenceWindowMs, haltMs = this.haltMs } = {}) {
+        if (!(bandPercent > 0)) {
+            throw new Error(`Invalid circuit breaker band: ${bandPercent}%`);
+        }
+        if (!(referenceWindowMs > 0)) {
+            throw new Error(`Invalid reference window: ${referenceWindowMs} ms`);
+        }
+        if (!(haltMs > 0)) {
+            throw new Error(`Invalid halt duration: ${haltMs} ms`);
+        }
+        this.bandPercent = bandPercent;
+        this.referenceWindowMs = referenceWindowMs;
+        this.haltMs = haltMs;
+    }
+
+    /**
+     * Record a traded price
+     * @param {number} time - Time of the price in ms since epoch
+     * @param {number} price - Traded price
+     */
+    record(time, price) {
+        this.prices.push({ time, price });
+        while (this.prices.length > 1 && time - this.prices[0].time > this.referenceWindowMs) {
+            this.prices.shift();
+        }
+    }
+
+    /**
+     * Start a new reference window (e.g., when trading resumes)
+     * @param {number} time - Current time in ms since epoch
+     * @param {number} price - Price the window starts from
+     */
+    reset(time, price) {
+        this.prices = [];
+        this.record(time, price);
+    }
+
+    /**
+     * Get the current bands
+     * @returns {{lower: number, upper: number}|null} Band prices, or null before the first price
+     */
+    getBands() {
+        if (this.prices.length === 0) {
+            return null;
+        }
+        const reference = this.prices.reduce((sum, entry) => sum + entry.price, 0) / this.prices.length;
+        const width = reference * this.bandPercent / 100;
+        return { lower: roundPrice(reference - width), upper: roundPrice(reference + width) };
+    }
+
+    /**
+     * Check a new price against the bands
+     * @param {number} price - Price about to be published
+     * @returns {{trigger: string, limitPrice: number, bands: Object}|null} The breached
+     *          band and the price it caps the move at, or null if the price is allowed
+     */
+    check(price) {
+        const bands = this.getBands();
+        if (!bands) {
+            return null;
+        }
+        if (price > bands.upper) {
+            return { trigger: HaltTrigger.LIMIT_UP, limitPrice: bands.upper, bands };
+        }
+        if (price < bands.lower) {
+            return { trigger: HaltTrigger.LIMIT_DOWN, limitPrice: Math.max(0.01, bands.lower), bands };
+        }
+        return null;
+    }
+}
+
+/**
+ * Round a band price to cents
+ */
+function roundPrice(price) {
+    return parseFloat(price.toFixed(2));
+}
@@ -0,0 +1,179 @@
+/**
+ * Storage - Pluggable Persistence Adapters
+ *
+ * Broker and Subscriber state can be captured as plain JSON-serializable
+ * snapshots (see Broker.snapshot and Subscriber.snapshot). A storage adapter
+ * decides where those snapshots live, so the same application code can run
+ * in memory, in the browser or under Node.
+ *
+ * Every adapter implements the same asynchronous interface:
+ * - load(key):         resolves to the stored value, or null if there is none
+ * - save(key, value):  stores a JSON-serializable value under a key
+ * - remove(key):       deletes the value stored under a key
+ *
+ * Implementations:
+ * - MemoryStorage:        in-process only (tests, simulations)
+ * - LocalStorageAdapter:  browser window.localStorage
+ * - IndexedDBStorage:     browser IndexedDB, for larger histories
+ * - FileStorage:          Node filesystem, one JSON file per key
+ */
+
+/**
+ * MemoryStorage - Keeps values in a Map for the lifetime of the process
+ * Values are stored as JSON so callers never share references with the store.
+ */
+export class MemoryStorage {
+    constructor() {
+        this.values = new Map(); // Key -> JSON string
+    }
+
+    async load(key) {
+        return this.values.has(key) ? JSON.parse(this.values.get(key)) : null;
+    }
+
+    async save(key, value) {
+        this.values.set(key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        this.values.delete(key);
+    }
+}
+
+/**
+ * LocalStorageAdapter - Persists values in the browser's localStorage
+ * localStorage is synchronous, which makes it safe to save from "pagehide".
+ */
+export class LocalStorageAdapter {
+    /**
+     * @param {string} [prefix] - Prefix added to every key to avoid collisions
+     * @param {Storage} [storage] - Storage object (defaults to window.localStorage)
+     */
+    constructor(prefix = 'stock-market-demo:', storage = globalThis.localStorage) {
+        this.prefix = prefix;
+        this.storage = storage;
+    }
+
+    async load(key) {
+        const text = this.storage.getItem(this.prefix + key);
+        return text === null ? null : JSON.parse(text);
+    }
+
+    async save(key, value) {
+        this.storage.setItem(this.prefix + key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        this.storage.removeItem(this.prefix + key);
+    }
+}
+
+/**
+ * IndexedDBStorage - Persists values in a browser IndexedDB object store
+ */
+export class IndexedDBStorage {
+    /**
+     * @param {string} [databaseName] - IndexedDB database name
+     * @param {string} [storeName] - Object store holding the values
+     */
+    constructor(databaseName = 'stock-market-demo', storeName = 'state') {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.database = null; // Promise of the opened database
+    }
+
+    /**
+     * Open the database, creating the object store on first use
+     * @returns {Promise<IDBDatabase>} The opened database
+     */
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = globalThis.indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.database;
+    }
+
+    /**
+     * Run a single request against the object store
+     * @param {string} mode - Transaction mode ("readonly" or "readwrite")
+     * @param {Function} operation - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} The request result
+     */
+    async request(mode, operation) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async load(key) {
+        const value = await this.request('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async save(key, value) {
+        // Round-trip through JSON so only plain data is stored
+        await this.request('readwrite', store => store.put(JSON.parse(JSON.stringify(value)), key));
+    }
+
+    async remove(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+}
+
+/**
+ * FileStorage - Persists values as JSON files in a Node directory
+ * Node modules are imported lazily, so this file can still be loaded in the browser.
+ */
+export class FileStorage {
+    /**
+     * @param {string} directory - Directory that holds one "<key>.json" file per key
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    /**
+     * Resolve the file path for a key
+     */
+    async pathFor(key) {
+        const path = await import('node:path');
+        return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+    }
+
+    async load(key) {
+        const fs = await import('node:fs/promises');
+        try {
+            return JSON.parse(await fs.readFile(await this.pathFor(key), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async save(key, value) {
+        const fs = await import('node:fs/promises');
+        const file = await this.pathFor(key);
+        await fs.mkdir(this.directory, { recursive: true });
+
+        // Write to a temporary file first so a crash never leaves a half-written file
+        const temporaryFile = `${file}.tmp`;
+        await fs.writeFile(temporaryFile, JSON.stringify(value));
+        await fs.rename(temporaryFile, file);
+    }
+
+    async remove(key) {
+        const fs = await import('node:fs/promises');
+        await fs.rm(await this.pathFor(key), { force: true });
+    }
+}
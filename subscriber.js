@@ -1,3 +1,6 @@
+import { systemClock } from './clock.js';
+import { matchTopic } from './topics.js';
+
 /**
  * Subscriber - Receives and Processes Stock Price Updates
  * 
@@ -11,6 +14,20 @@
  * - Dynamic subscriptions (can subscribe/unsubscribe at runtime)
  * - Decoupled communication (subscriber only interacts with broker)
  * - Message history tracking
+ * - Gap and duplicate detection from the sequence numbers in message envelopes
+ * - Acknowledgements for subscriptions that require them (ack() / nack())
+ * 
+ * Sequence tracking: the broker numbers the messages of every topic. A jump
+ * in the numbers is recorded as a gap (the missing range can be requested
+ * again with requestResend()), and a message numbered at or below the latest
+ * one that fills no gap is a duplicate and is discarded. Messages that only
+ * reached the subscriber through a filtered subscription are not tracked,
+ * since the filter skips messages on purpose.
+ * 
+ * Acknowledgements: on a subscription made with { ack: true } every envelope
+ * carries a deliveryId, and the callback must pass the envelope to ack() once
+ * the message is processed or to nack() if it could not be (see acks.js).
+ * Redeliveries of a message already received are not treated as duplicates.
  * 
  * Architecture Pattern: Publish-Subscribe
  * Multiple subscribers can subscribe to the same topic and receive
@@ -23,13 +40,20 @@ export class Subscriber {
      * @param {string} id - Unique identifier for this subscriber
      * @param {string} name - Human-readable name for display
      * @param {Broker} broker - Reference to the central message broker
+     * @param {Object} [options] - Subscriber options
+     * @param {Clock} [options.clock] - Clock that stamps receivedAt (default: the broker's clock)
+     * @param {boolean} [options.trackSequences] - Detect gaps and duplicates (default: true)
      */
-    constructor(id, name, broker) {
+    constructor(id, name, broker, { clock = broker.clock || systemClock, trackSequences = true } = {}) {
         this.id = id; // Unique subscriber identifier
         this.name = name; // Display name
         this.broker = broker; // Reference to broker for subscription management
+        this.clock = clock; // Time source for receivedAt
         this.receivedMessages = []; // Message history (last 50 messages)
         this.updateCallback = null; // Callback function for asynchronous notifications
+        this.trackSequences = trackSequences; // Whether envelopes are checked for gaps and duplicates
+        this.sequences = new Map(); // Topic -> { last, missing: [{ from, to }] } of tracked topics
+        this.sequenceStats = { gaps: 0, recovered: 0, lost: 0, duplicates: 0 }; // Totals since creation
     }
 
     /**
@@ -53,19 +77,42 @@ export class Subscriber {
      * - Decoupled: Subscriber doesn't know which publisher sent the message
      * - Callback pattern: Uses callback for asynchronous UI updates
      * 
+     * The broker calls this from the subscriber's delivery queue. Whatever the
+     * callback returns is passed back, so an async callback makes the queue wait
+     * for it before delivering the next message; errors are isolated by the broker.
+     * The callback is called with (topic, message, envelope) and is not called
+     * for duplicates.
+     * 
      * @param {string} topic - The topic (stock symbol) the message was published to
      * @param {Object} message - The message data containing price update information
+     * @param {Object|null} [envelope] - Message ID, sequence number, publish time and publisher (see broker.js)
+     * @returns {*} The callback's return value (e.g., a promise for async processing)
      */
-    receive(topic, message) {
+    receive(topic, message, envelope = null) {
+        if (!this.checkSequence(topic, envelope)) {
+            // Settle discarded duplicates so they are not redelivered
+            if (envelope.deliveryId) {
+                this.ack(envelope);
+            }
+            return;
+        }
+        
         /**
          * Store message in history
-         * This allows subscribers to track received messages over time
+         * This allows subscribers to track received messages over time;
+         * receivedAt minus the envelope's publishedAt is the delivery time.
+         * A resent message goes back before the topic's later messages.
          */
-        this.receivedMessages.push({
-            topic,
-            message,
-            receivedAt: new Date().toISOString()
-        });
+        const entry = { topic, message, receivedAt: this.clock.toISOString(), envelope };
+        const laterIndex = envelope && envelope.resent
+            ? this.receivedMessages.findIndex(other =>
+                other.topic === topic && other.envelope && other.envelope.sequence > envelope.sequence)
+            : -1;
+        if (laterIndex === -1) {
+            this.receivedMessages.push(entry);
+        } else {
+            this.receivedMessages.splice(laterIndex, 0, entry);
+        }
 
         /**
          * Limit message history to prevent memory issues
@@ -81,11 +128,176 @@ export class Subscriber {
          * (like UI components) when messages are received, demonstrating
          * asynchronous, event-driven programming
          */
+        console.log(`Subscriber ${this.name} (${this.id}) received update for ${topic}:`, message);
+
         if (this.updateCallback) {
-            this.updateCallback(topic, message);
+            return this.updateCallback(topic, message, envelope);
         }
+    }
 
-        console.log(`Subscriber ${this.name} (${this.id}) received update for ${topic}:`, message);
+    /**
+     * Check a message's sequence number against the topic's previous ones
+     * @returns {boolean} False if the message is a duplicate and must be discarded
+     */
+    checkSequence(topic, envelope) {
+        if (!this.trackSequences || !envelope || envelope.filtered || !Number.isInteger(envelope.sequence)) {
+            return true;
+        }
+        const { sequence } = envelope;
+        const tracked = this.sequences.get(topic);
+        if (!tracked) {
+            this.sequences.set(topic, { last: sequence, missing: [] });
+            return true;
+        }
+        
+        if (sequence > tracked.last) {
+            if (sequence > tracked.last + 1) {
+                tracked.missing.push({ from: tracked.last + 1, to: sequence - 1 });
+                this.sequenceStats.gaps++;
+                console.warn(`Subscriber ${this.id} missed messages ${tracked.last + 1}-${sequence - 1} on topic ${topic}`);
+            }
+            tracked.last = sequence;
+            return true;
+        }
+        
+        // An older message either fills a gap or was already received
+        const index = tracked.missing.findIndex(range => sequence >= range.from && sequence <= range.to);
+        if (index === -1) {
+            if (envelope.redelivered) {
+                return true;
+            }
+            this.sequenceStats.duplicates++;
+            console.warn(`Subscriber ${this.id} discarded duplicate message ${sequence} on topic ${topic}`);
+            return false;
+        }
+        const range = tracked.missing[index];
+        const remaining = [];
+        if (range.from < sequence) {
+            remaining.push({ from: range.from, to: sequence - 1 });
+        }
+        if (sequence < range.to) {
+            remaining.push({ from: sequence + 1, to: range.to });
+        }
+        tracked.missing.splice(index, 1, ...remaining);
+        this.sequenceStats.recovered++;
+        return true;
+    }
+
+    /**
+     * Ask the broker to resend the messages missing from one or every topic
+     * Messages the broker no longer retains cannot be recovered and are
+     * counted as lost; the others arrive through receive() like any message.
+     * @param {string} [topic] - Concrete topic (default: every topic with gaps)
+     * @returns {number} Number of messages the broker is resending (0 if the broker cannot tell)
+     */
+    requestResend(topic = null) {
+        const topics = topic === null ? Array.from(this.sequences.keys()) : [topic];
+        let resending = 0;
+        topics.forEach(gapTopic => {
+            const tracked = this.sequences.get(gapTopic);
+            if (!tracked || tracked.missing.length === 0) {
+                return;
+            }
+            const missing = [];
+            tracked.missing.forEach(({ from, to }) => {
+                const resent = this.broker.resend(gapTopic, this, from, to);
+                if (!Array.isArray(resent)) {
+                    // Remote brokers resend asynchronously, so keep waiting for the whole range
+                    missing.push({ from, to });
+                    return;
+                }
+                this.sequenceStats.lost += (to - from + 1) - resent.length;
+                resent.forEach(sequence => missing.push({ from: sequence, to: sequence }));
+                resending += resent.length;
+            });
+            tracked.missing = missing;
+        });
+        return resending;
+    }
+
+    /**
+     * Acknowledge a message of an acknowledged subscription
+     * @param {Object} envelope - The envelope the message was received with
+     * @returns {boolean} False if the message needs no ack or was already settled
+     */
+    ack(envelope) {
+        if (!envelope || !envelope.deliveryId) {
+            return false;
+        }
+        return this.broker.ack(this, envelope.deliveryId);
+    }
+
+    /**
+     * Reject a message of an acknowledged subscription so it is redelivered
+     * (or dead-lettered once it has used all its attempts)
+     * @param {Object} envelope - The envelope the message was received with
+     * @param {string} [reason] - Why processing failed
+     * @returns {boolean} False if the message needs no ack or was already settled
+     */
+    nack(envelope, reason) {
+        if (!envelope || !envelope.deliveryId) {
+            return false;
+        }
+        return this.broker.nack(this, envelope.deliveryId, reason);
+    }
+
+    /**
+     * Get the messages in this subscriber's dead-letter queues
+     * @param {string} [pattern] - Only this subscription's queue (default: all)
+     * @returns {Array<Object>} Dead letters (see Broker.getDeadLetters)
+     */
+    getDeadLetters(pattern = null) {
+        return this.broker.getDeadLetters(this, pattern);
+    }
+
+    /**
+     * Deliver the dead-lettered messages again
+     * @param {string} [pattern] - Only this subscription's queue (default: all)
+     * @returns {number} Number of messages redelivered
+     */
+    replayDeadLetters(pattern = null) {
+        return this.broker.replayDeadLetters(this, pattern);
+    }
+
+    /**
+     * Empty the dead-letter queues
+     * @param {string} [pattern] - Only this subscription's queue (default: all)
+     * @returns {number} Number of dead letters discarded
+     */
+    discardDeadLetters(pattern = null) {
+        return this.broker.discardDeadLetters(this, pattern);
+    }
+
+    /**
+     * Get gap and duplicate statistics
+     * @returns {{gaps: number, missing: number, recovered: number, lost: number, duplicates: number}}
+     *          Gaps detected, messages still missing, recovered by a resend, lost for good
+     *          and duplicates discarded
+     */
+    getSequenceStats() {
+        let missing = 0;
+        this.sequences.forEach(tracked => {
+            tracked.missing.forEach(({ from, to }) => {
+                missing += to - from + 1;
+            });
+        });
+        return { ...this.sequenceStats, missing };
+    }
+
+    /**
+     * Stop tracking the sequences of topics covered by a pattern
+     * After unsubscribing, a later subscription starts from a fresh sequence
+     * number instead of reporting the messages in between as a gap. Topics
+     * still received through another unfiltered subscription (e.g., "AAPL"
+     * after unsubscribing "*") keep their tracking.
+     */
+    forgetSequences(pattern) {
+        const remaining = this.getSubscriptions().filter(({ filter }) => filter === null);
+        Array.from(this.sequences.keys()).forEach(topic => {
+            if (matchTopic(pattern, topic) && !remaining.some(subscription => matchTopic(subscription.topic, topic))) {
+                this.sequences.delete(topic);
+            }
+        });
     }
 
     /**
@@ -95,10 +307,19 @@ export class Subscriber {
      * After subscription, the subscriber will receive all messages published
      * to that topic. This demonstrates dynamic subscription management.
      * 
+     * An optional filter lets the broker deliver only the messages this
+     * subscriber cares about, instead of filtering inside the callback.
+     * 
+     * Options such as { bufferSize, overflow } bound how many undelivered
+     * messages the broker keeps for this subscriber, and { replay } chooses
+     * which retained messages are sent right away (see Broker.subscribe).
+     * 
      * @param {string} topic - The topic (stock symbol) to subscribe to
+     * @param {string|Object} [filter] - Filter expression (e.g., "abs(change) >= 2") or field-equality map
+     * @param {Object} [options] - Subscription options passed to the broker
      */
-    subscribe(topic) {
-        this.broker.subscribe(topic, this);
+    subscribe(topic, filter = null, options = {}) {
+        this.broker.subscribe(topic, this, filter, options);
     }
 
     /**
@@ -112,6 +333,58 @@ export class Subscriber {
      */
     unsubscribe(topic) {
         this.broker.unsubscribe(topic, this);
+        this.forgetSequences(topic);
+    }
+
+    /**
+     * Unsubscribe from every topic and pattern at once
+     * @returns {number} Number of subscriptions removed
+     */
+    unsubscribeAll() {
+        this.sequences.clear();
+        return this.broker.unsubscribeAll(this);
+    }
+
+    /**
+     * Get this subscriber's subscriptions
+     * @returns {Array<Object>} Entries { topic, filter, schemaVersion, ack } (see Broker.getSubscriptions)
+     */
+    getSubscriptions() {
+        return this.broker.getSubscriptions(this);
+    }
+
+    /**
+     * Pause delivery; the broker buffers messages until resume() is called
+     */
+    pause() {
+        this.broker.pause(this);
+    }
+
+    /**
+     * Resume delivery, starting with the messages buffered while paused
+     */
+    resume() {
+        this.broker.resume(this);
+    }
+
+    /**
+     * Check whether delivery to this subscriber is paused
+     * @returns {boolean} True if paused
+     */
+    isPaused() {
+        return this.broker.isPaused(this);
+    }
+
+    /**
+     * Change the display name
+     * @param {string} name - New name
+     * @throws {Error} If the name is empty
+     */
+    rename(name) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('Subscriber name must not be empty');
+        }
+        this.name = name.trim();
     }
 
     /**
@@ -121,5 +394,31 @@ export class Subscriber {
     getMessageHistory() {
         return this.receivedMessages;
     }
+
+    /**
+     * Capture this subscriber's state as a JSON-serializable snapshot
+     * Subscriptions are part of the broker snapshot, not this one.
+     * @returns {Object} Snapshot for Subscriber.restore()
+     */
+    snapshot() {
+        return {
+            id: this.id,
+            name: this.name,
+            receivedMessages: this.receivedMessages.slice(),
+            sequences: Array.from(this.sequences.entries()),
+            sequenceStats: { ...this.sequenceStats }
+        };
+    }
+
+    /**
+     * Restore name, message history and sequence tracking from a snapshot
+     * @param {Object} snapshot - Snapshot produced by Subscriber.snapshot()
+     */
+    restore(snapshot) {
+        this.name = snapshot.name;
+        this.receivedMessages = snapshot.receivedMessages.slice(-50);
+        this.sequences = new Map(snapshot.sequences || []);
+        this.sequenceStats = { ...this.sequenceStats, ...snapshot.sequenceStats };
+    }
 }
 
@@ -0,0 +1,179 @@
+import { createPriceModel } from './models.js';
+
+/**
+ * Symbols - Runtime Registry of Simulated Stock Symbols
+ *
+ * The registry is the single list of symbols the application simulates.
+ * Each entry describes a symbol and how its prices are generated:
+ *   { symbol: 'NVDA', name: 'NVIDIA', startPrice: 120, model: 'gbm', params: {} }
+ *
+ * Listing a symbol declares its topic on the broker, and delisting removes the
+ * topic again (see Broker.createTopic and Broker.removeTopic), so every change
+ * is announced on "topics.created" or "topics.removed". Within the process,
+ * "add" and "remove" events let the UI create or drop publishers, select
+ * options and subscriptions.
+ */
+
+// Upper-case tickers keep symbol topics apart from lower-case system topics
+// such as "alerts.AAPL" or "topics.created"
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9]{0,9}$/;
+
+export class SymbolRegistry {
+    /**
+     * Constructor - Create an empty registry
+     *
+     * @param {Broker} broker - Broker on which symbol topics are created and removed
+     */
+    constructor(broker) {
+        this.broker = broker;
+        this.symbols = new Map(); // Symbol -> entry, in listing order
+        this.listeners = new Map(); // Event name -> Set of listener functions
+    }
+
+    /**
+     * Register a listener for a registry event
+     * @param {string} event - Event name ("add" or "remove")
+     * @param {Function} listener - Called with the symbol's entry
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+    }
+
+    /**
+     * Remove a previously registered event listener
+     * @param {string} event - Event name
+     * @param {Function} listener - The listener to remove
+     */
+    off(event, listener) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).delete(listener);
+        }
+    }
+
+    /**
+     * Notify all listeners of an event
+     * @param {string} event - Event name
+     * @param {Object} payload - Event data
+     * @returns {boolean} True if at least one listener was notified
+     */
+    emit(event, payload) {
+        const eventListeners = this.listeners.get(event);
+        if (!eventListeners || eventListeners.size === 0) {
+            return false;
+        }
+        eventListeners.forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`SymbolRegistry "${event}" listener failed:`, error);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * List a new symbol
+     * @param {Object} definition - Symbol definition
+     * @param {string} definition.symbol - Ticker, 1-10 upper-case letters or digits (e.g., "NVDA")
+     * @param {string} [definition.name] - Company name (default: the ticker)
+     * @param {number} definition.startPrice - First simulated price
+     * @param {string} [definition.model] - Price model type (see createPriceModel)
+     * @param {Object} [definition.params] - Price model parameters
+     * @returns {Object} The registered entry
+     * @throws {Error} If the definition is invalid or the symbol is already listed
+     */
+    add({ symbol, name = symbol, startPrice, model = 'gbm', params = {} }) {
+        if (typeof symbol !== 'string' || !SYMBOL_PATTERN.test(symbol)) {
+            throw new Error(`Invalid symbol: ${symbol} (use 1-10 upper-case letters or digits)`);
+        }
+        if (this.symbols.has(symbol)) {
+            throw new Error(`Symbol already listed: ${symbol}`);
+        }
+        if (!(startPrice > 0)) {
+            throw new Error(`Start price must be a positive number (got ${startPrice})`);
+        }
+        createPriceModel(model, params); // Throws for unknown models
+
+        const entry = { symbol, name: name || symbol, startPrice, model, params };
+        this.symbols.set(symbol, entry);
+        this.broker.createTopic(symbol, { name: entry.name, startPrice, model });
+        console.log(`Symbol listed: ${symbol} (${entry.name})`);
+        this.emit('add', entry);
+        return entry;
+    }
+
+    /**
+     * Delist a symbol
+     * @param {string} symbol - Ticker to delist
+     * @throws {Error} If the symbol is not listed
+     */
+    remove(symbol) {
+        const entry = this.symbols.get(symbol);
+        if (!entry) {
+            throw new Error(`Symbol not listed: ${symbol}`);
+        }
+        this.symbols.delete(symbol);
+        this.broker.removeTopic(symbol);
+        console.log(`Symbol delisted: ${symbol}`);
+        this.emit('remove', entry);
+    }
+
+    /**
+     * Get a listed symbol
+     * @param {string} symbol - Ticker
+     * @returns {Object|undefined} The entry, if listed
+     */
+    get(symbol) {
+        return this.symbols.get(symbol);
+    }
+
+    /**
+     * Check whether a symbol is listed
+     * @param {string} symbol - Ticker
+     * @returns {boolean} True if listed
+     */
+    has(symbol) {
+        return this.symbols.has(symbol);
+    }
+
+    /**
+     * Get every listed symbol
+     * @returns {Array<Object>} Entries in listing order
+     */
+    getAll() {
+        return Array.from(this.symbols.values());
+    }
+
+    /**
+     * Capture the listed symbols as a JSON-serializable snapshot
+     * @returns {Array<Object>} Snapshot for SymbolRegistry.restore()
+     */
+    snapshot() {
+        return this.getAll().map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Replace the listed symbols with a snapshot
+     * Listeners are told about every symbol that disappears or appears. The
+     * broker is not involved: its own snapshot restores the topic catalog.
+     * @param {Array<Object>} snapshot - Snapshot produced by SymbolRegistry.snapshot()
+     */
+    restore(snapshot) {
+        const restored = new Map(snapshot.map(entry => [entry.symbol, { ...entry }]));
+        const previous = this.symbols;
+        this.symbols = restored;
+        previous.forEach((entry, symbol) => {
+            if (!restored.has(symbol)) {
+                this.emit('remove', entry);
+            }
+        });
+        restored.forEach((entry, symbol) => {
+            if (!previous.has(symbol)) {
+                this.emit('add', entry);
+            }
+        });
+    }
+}
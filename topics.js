@@ -0,0 +1,94 @@
+/**
+ * Topics - Hierarchical Topic Names and Wildcard Matching
+ *
+ * Topics in the broker are hierarchical: levels are separated by dots,
+ * from the most general to the most specific (e.g., "stocks.tech.AAPL").
+ * A plain stock symbol such as "AAPL" is simply a topic with a single level.
+ *
+ * Subscribers may use wildcard patterns instead of exact topic names:
+ * - "*" matches exactly one level   ("stocks.tech.*" matches "stocks.tech.AAPL")
+ * - "#" matches zero or more levels ("stocks.#" matches "stocks" and "stocks.tech.AAPL")
+ *
+ * Publishers always publish to concrete topics; wildcards are only meaningful
+ * on the subscribing side, where they let one subscription cover many topics,
+ * including topics that are first published after the subscription was made.
+ */
+
+export const TOPIC_SEPARATOR = '.';
+export const SINGLE_LEVEL_WILDCARD = '*';
+export const MULTI_LEVEL_WILDCARD = '#';
+
+// Topics on which the broker announces created and removed topics
+export const TOPIC_CREATED = 'topics.created';
+export const TOPIC_REMOVED = 'topics.removed';
+
+/**
+ * Split a topic or pattern into its levels
+ * @param {string} topic - Topic name or pattern
+ * @returns {Array<string>} The individual levels
+ */
+export function splitTopic(topic) {
+    return topic.split(TOPIC_SEPARATOR);
+}
+
+/**
+ * Check whether a topic string contains wildcards
+ * @param {string} topic - Topic name or pattern
+ * @returns {boolean} True if the topic is a wildcard pattern
+ */
+export function isPattern(topic) {
+    return splitTopic(topic).some(level =>
+        level === SINGLE_LEVEL_WILDCARD || level === MULTI_LEVEL_WILDCARD
+    );
+}
+
+/**
+ * Check whether a concrete topic matches a subscription pattern
+ *
+ * Exact topic names only match themselves, so this can be used for every
+ * subscription key regardless of whether it contains wildcards.
+ *
+ * @param {string} pattern - Subscription topic or wildcard pattern
+ * @param {string} topic - Concrete topic a message was published to
+ * @returns {boolean} True if the topic is covered by the pattern
+ */
+export function matchTopic(pattern, topic) {
+    if (pattern === topic) {
+        return true;
+    }
+    if (!isPattern(pattern)) {
+        return false;
+    }
+    return matchLevels(splitTopic(pattern), 0, splitTopic(topic), 0);
+}
+
+/**
+ * Recursively match pattern levels against topic levels
+ * "#" may consume any number of topic levels, so each possible split is tried.
+ */
+function matchLevels(patternLevels, p, topicLevels, t) {
+    if (p === patternLevels.length) {
+        return t === topicLevels.length;
+    }
+
+    const level = patternLevels[p];
+
+    if (level === MULTI_LEVEL_WILDCARD) {
+        for (let skip = t; skip <= topicLevels.length; skip++) {
+            if (matchLevels(patternLevels, p + 1, topicLevels, skip)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    if (t === topicLevels.length) {
+        return false;
+    }
+
+    if (level === SINGLE_LEVEL_WILDCARD || level === topicLevels[t]) {
+        return matchLevels(patternLevels, p + 1, topicLevels, t + 1);
+    }
+
+    return false;
+}
@@ -0,0 +1,251 @@
+/**
+ * WebSocket - Minimal Server-Side WebSocket Connection (Node only)
+ *
+ * The project has no dependencies, so the broker server implements the small
+ * part of RFC 6455 it needs on top of node:http: the opening handshake, text
+ * messages (including fragmented ones), ping/pong and the closing handshake.
+ * Binary messages and extensions such as compression are not supported.
+ *
+ * Client frames must be masked (RFC 6455 section 5.1), and messages larger
+ * than the maximum message size close the connection with 1009 (message too
+ * big) before their payload is buffered.
+ */
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+// Fixed GUID from RFC 6455 used to compute Sec-WebSocket-Accept
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Largest message accepted from a client, in bytes (all fragments together)
+export const MAX_MESSAGE_SIZE = 1024 * 1024;
+
+const Opcode = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+/**
+ * Complete the WebSocket opening handshake for an HTTP upgrade request
+ *
+ * @param {http.IncomingMessage} request - The upgrade request
+ * @param {net.Socket} socket - The underlying TCP socket
+ * @returns {WebSocketConnection|null} The connection, or null if the request was rejected
+ */
+export function acceptWebSocket(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket);
+}
+
+/**
+ * WebSocketConnection - One accepted WebSocket connection
+ *
+ * Events:
+ * - "message" (text): a complete text message was received
+ * - "close": the connection is closed (by either side or by a socket error)
+ */
+export class WebSocketConnection extends EventEmitter {
+    /**
+     * @param {net.Socket} socket - Socket that has completed the handshake
+     * @param {Object} [options] - Connection options
+     * @param {number} [options.maxMessageSize] - Largest message accepted, in bytes
+     */
+    constructor(socket, { maxMessageSize = MAX_MESSAGE_SIZE } = {}) {
+        super();
+        this.socket = socket;
+        this.maxMessageSize = maxMessageSize;
+        this.buffer = Buffer.alloc(0); // Bytes received but not yet parsed
+        this.fragments = []; // Payloads of a fragmented message in progress
+        this.fragmentsLength = 0; // Total bytes in fragments
+        this.closed = false;
+
+        socket.setNoDelay(true);
+        socket.on('data', data => this.handleData(data));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    /**
+     * Send a text message
+     * @param {string} text - Message text
+     */
+    send(text) {
+        this.writeFrame(Opcode.TEXT, Buffer.from(text, 'utf8'));
+    }
+
+    /**
+     * Start the closing handshake
+     * @param {number} [code] - Close status code (1000 = normal closure)
+     */
+    close(code = 1000) {
+        if (this.closed) {
+            return;
+        }
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.writeFrame(Opcode.CLOSE, payload);
+        this.socket.end();
+        this.handleClose();
+    }
+
+    /**
+     * Write a single unmasked frame (servers never mask)
+     */
+    writeFrame(opcode, payload) {
+        if (this.closed) {
+            return;
+        }
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        header[0] = 0x80 | opcode; // FIN bit + opcode
+
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * Accumulate incoming bytes and process every complete frame
+     */
+    handleData(data) {
+        if (this.closed) {
+            return;
+        }
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        let frame;
+        while (!this.closed && (frame = this.readFrame()) !== null) {
+            this.handleFrame(frame);
+        }
+    }
+
+    /**
+     * Parse one frame from the buffer
+     * Closes the connection if the frame is unmasked or too large.
+     * @returns {Object|null} { fin, opcode, payload }, or null if more bytes are needed
+     *          or the connection was closed
+     */
+    readFrame() {
+        if (this.buffer.length < 2) {
+            return null;
+        }
+
+        const fin = (this.buffer[0] & 0x80) !== 0;
+        const opcode = this.buffer[0] & 0x0F;
+        const masked = (this.buffer[1] & 0x80) !== 0;
+        let length = this.buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (!masked) {
+            // Clients must mask every frame (1002 = protocol error)
+            this.close(1002);
+            return null;
+        }
+
+        if (length === 126) {
+            if (this.buffer.length < 4) {
+                return null;
+            }
+            length = this.buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (this.buffer.length < 10) {
+                return null;
+            }
+            length = Number(this.buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        if (this.fragmentsLength + length > this.maxMessageSize) {
+            // Refuse before buffering the payload (1009 = message too big)
+            this.close(1009);
+            return null;
+        }
+
+        const maskOffset = offset;
+        offset += 4;
+        if (this.buffer.length < offset + length) {
+            return null;
+        }
+
+        const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= this.buffer[maskOffset + (i % 4)];
+        }
+
+        this.buffer = this.buffer.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    /**
+     * React to a parsed frame according to its opcode
+     */
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case Opcode.TEXT:
+            case Opcode.CONTINUATION:
+                this.fragments.push(payload);
+                this.fragmentsLength += payload.length;
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentsLength = 0;
+                    this.emit('message', text);
+                }
+                break;
+            case Opcode.PING:
+                this.writeFrame(Opcode.PONG, payload);
+                break;
+            case Opcode.CLOSE:
+                this.close();
+                break;
+            case Opcode.PONG:
+                break;
+            default:
+                // Binary and reserved opcodes are not supported (1003 = unsupported data)
+                this.close(1003);
+        }
+    }
+
+    /**
+     * Mark the connection closed and notify listeners once
+     */
+    handleClose() {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsLength = 0;
+        this.emit('close');
+    }
+}